@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * LLM 分類離線評估
+ *
+ * 用法:
+ *   npm run eval:llm -- [--mode recorded|live] [--providers ollama,gemini,keyword]
+ *                       [--runs 3] [--dataset evaluation/datasets/turtle-platform.json]
+ *                       [--output evaluation-report.json]
+ *
+ * recorded (預設): 使用資料集中錄製的回應取代提供商請求，不需要網路
+ * live: 依 .env 配置實際呼叫提供商 (例如本機 Ollama)
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const SmartLLMService = require('../src/services/smartLLMService');
+const { LLM_PROVIDERS } = require('../src/config/llm');
+const { runEvaluation } = require('../src/services/llm/classificationEvaluator');
+
+const DEFAULT_DATASET_DIR = path.join(__dirname, '..', 'evaluation', 'datasets');
+const GENERATIVE_PROVIDERS = [LLM_PROVIDERS.OLLAMA, LLM_PROVIDERS.GEMINI, LLM_PROVIDERS.OPENAI];
+
+const parseArgs = (argv) => {
+  const args = {
+    mode: 'recorded',
+    providers: [...GENERATIVE_PROVIDERS, LLM_PROVIDERS.EMBEDDING, LLM_PROVIDERS.KEYWORD],
+    runs: 1,
+    datasets: [],
+    output: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--mode':
+        args.mode = value;
+        i++;
+        break;
+      case '--providers':
+        args.providers = value.split(',').map(provider => provider.trim()).filter(Boolean);
+        i++;
+        break;
+      case '--runs':
+        args.runs = Math.max(parseInt(value) || 1, 1);
+        i++;
+        break;
+      case '--dataset':
+        args.datasets.push(path.resolve(value));
+        i++;
+        break;
+      case '--output':
+        args.output = path.resolve(value);
+        i++;
+        break;
+      default:
+        throw new Error(`未知的參數: ${argv[i]}`);
+    }
+  }
+
+  if (!['recorded', 'live'].includes(args.mode)) {
+    throw new Error(`--mode 只能是 recorded 或 live: ${args.mode}`);
+  }
+  const unknown = args.providers.filter(provider => !Object.values(LLM_PROVIDERS).includes(provider) || provider === LLM_PROVIDERS.AUTO);
+  if (unknown.length > 0) {
+    throw new Error(`未知的提供商: ${unknown.join(', ')}`);
+  }
+
+  return args;
+};
+
+const loadDatasets = (files) => {
+  const datasetFiles = files.length > 0 ? files : fs.readdirSync(DEFAULT_DATASET_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => path.join(DEFAULT_DATASET_DIR, file));
+
+  return datasetFiles.map(file => {
+    const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(dataset.cases) || dataset.cases.length === 0) {
+      throw new Error(`資料集沒有案例: ${file}`);
+    }
+    dataset.cases.forEach((testCase, index) => {
+      const unlabeled = (testCase.products || []).filter(product => !product.label);
+      if (!testCase.query || unlabeled.length > 0) {
+        throw new Error(`資料集 ${file} 第 ${index + 1} 個案例缺少 query 或商品標註`);
+      }
+    });
+    return { name: dataset.name || path.basename(file, '.json'), ...dataset };
+  });
+};
+
+/**
+ * 建立服務實例 - recorded 模式啟用所有生成式提供商，請求由錄製回應替身處理
+ */
+const createServiceFactory = (mode) => () => {
+  const service = new SmartLLMService();
+  // 評估模型本身的分類品質與穩定度，不套用使用者修正、覆寫規則與分類歷史
+  service.correctionStore.enabled = false;
+  service.overrideRuleStore.enabled = false;
+  service.categoryHistory.enabled = false;
+  if (mode === 'recorded') {
+    GENERATIVE_PROVIDERS.forEach(provider => {
+      service.config[provider].enabled = true;
+    });
+    service.config.gemini.apiKey = service.config.gemini.apiKey || 'recorded';
+  }
+  return service;
+};
+
+const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const printReport = (report) => {
+  console.log(`\n📏 LLM 分類評估 (${report.mode} 模式，每個案例 ${report.runs} 次)\n`);
+
+  const rows = {};
+  Object.entries(report.providers).forEach(([provider, { summary }]) => {
+    rows[provider] = {
+      成功率: formatPercent(summary.successRate),
+      正確率: formatPercent(summary.accuracy),
+      純度: formatPercent(summary.purity),
+      分類數誤差: summary.categoryCount.meanAbsError ?? '-',
+      分類數穩定度: formatPercent(summary.categoryCount.stability),
+      遺漏索引率: formatPercent(summary.droppedIndexRate),
+      JSON修復率: formatPercent(summary.jsonRepairRate),
+      'p50延遲(ms)': summary.latency.p50 ?? '-'
+    };
+  });
+  console.table(rows);
+
+  Object.entries(report.providers).forEach(([provider, { summary }]) => {
+    if (summary.errors.length > 0) {
+      console.log(`⚠️  ${provider}: ${summary.errors.join('; ')}`);
+    }
+  });
+  if (report.skipped.length > 0) {
+    console.log(`⏭️  略過 (未啟用或沒有錄製回應): ${report.skipped.join(', ')}`);
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const datasets = loadDatasets(args.datasets);
+
+  const report = await runEvaluation(createServiceFactory(args.mode), datasets, {
+    providers: args.providers,
+    runs: args.runs,
+    mode: args.mode
+  });
+
+  printReport(report);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, JSON.stringify(report, null, 2));
+    console.log(`\n📝 評估報告已寫入 ${args.output}`);
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ 評估失敗: ${error.message}`);
+    process.exit(1);
+  });
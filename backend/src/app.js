@@ -9,6 +9,9 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const { warnAdminAuthConfig } = require('./middleware/adminAuth');
+const { smartLLMService } = require('./services/nlp/nlpProcessor');
+const taxonomy = require('./config/taxonomy');
 
 // 路由導入
 const searchRoutes = require('./routes/search');
@@ -16,6 +19,7 @@ const productRoutes = require('./routes/products');
 const crawlerRoutes = require('./routes/crawler');
 const platformRoutes = require('./routes/platforms');
 const imageRoutes = require('./routes/images');
+const llmRoutes = require('./routes/llm');
 
 const app = express();
 
@@ -76,6 +80,7 @@ app.use('/api/products', productRoutes);
 app.use('/api/crawler', crawlerRoutes);
 app.use('/api/platforms', platformRoutes);
 app.use('/api/images', imageRoutes);
+app.use('/api/llm', llmRoutes);
 
 // Swagger API 文件 (開發環境)
 if (process.env.NODE_ENV === 'development') {
@@ -121,23 +126,29 @@ const server = app.listen(PORT, () => {
   if (process.env.NODE_ENV === 'development') {
     logger.info(`📖 API 文件: http://localhost:${PORT}/api-docs`);
   }
+  
+  warnAdminAuthConfig();
+  
+  // 確認 Ollama 模型已下載並預先載入 (不阻塞啟動)
+  smartLLMService.prepareOllama();
+  
+  // 分類檔修改後自動重新載入
+  if (process.env.TAXONOMY_WATCH !== 'false') {
+    taxonomy.watch();
+  }
 });
 
-// 優雅關閉
-process.on('SIGTERM', () => {
-  logger.info('收到 SIGTERM 信號，開始優雅關閉...');
+// 優雅關閉 - 先寫入 LLM 用量等延遲寫檔的資料，再關閉 HTTP 伺服器
+const shutdown = (signal) => {
+  logger.info(`收到 ${signal} 信號，開始優雅關閉...`);
+  smartLLMService.flush();
   server.close(() => {
     logger.info('HTTP 伺服器已關閉');
     process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('收到 SIGINT 信號，開始優雅關閉...');
-  server.close(() => {
-    logger.info('HTTP 伺服器已關閉');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app; 
\ No newline at end of file
@@ -1,9 +1,14 @@
 /**
  * LLM 智能配置管理系統
- * 支持 Ollama 本地模型、Gemini API 和關鍵字匹配的三層降級策略
+ * 支持 Ollama 本地模型、OpenAI 相容本地服務、Gemini API 和關鍵字匹配的多層降級策略
  */
 
+const path = require('path');
 const logger = require('../utils/logger');
+const { CLASSIFICATION_CONFIG } = require('./classification');
+
+// 持久化檔案的相對路徑以 backend 目錄為基準，不受啟動時的工作目錄影響
+const BACKEND_DIR = path.join(__dirname, '..', '..');
 
 /**
  * LLM 提供商配置
@@ -11,10 +16,41 @@ const logger = require('../utils/logger');
 const LLM_PROVIDERS = {
   OLLAMA: 'ollama',
   GEMINI: 'gemini',
+  OPENAI: 'openai',
+  EMBEDDING: 'embedding',
   KEYWORD: 'keyword',
   AUTO: 'auto'
 };
 
+/**
+ * 解析 prompt 流量分配設定
+ * 格式: id@version:weight，以逗號分隔，例如
+ * category-classification@v1:90,category-classification@v2:10
+ */
+const parsePromptRollout = (value = '') => {
+  const rollout = {};
+  value.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const match = item.match(/^([\w-]+)@([\w.-]+):(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      logger.warn(`⚠️  無法解析 LLM_PROMPT_ROLLOUT 項目: ${item}`);
+      return;
+    }
+    const [, id, version, weight] = match;
+    rollout[id] = { ...rollout[id], [version]: parseFloat(weight) };
+  });
+  return rollout;
+};
+
+/**
+ * 解析 Ollama keep_alive - 純數字為秒數 (-1 表示永久常駐)，其他為時間字串 (例如 30m)
+ */
+const parseKeepAlive = (value) => (/^-?\d+$/.test(value) ? parseInt(value) : value);
+
+/**
+ * 解析持久化檔案路徑 - 相對路徑以 backend 目錄為基準，絕對路徑維持不變
+ */
+const resolveDataPath = (value) => path.resolve(BACKEND_DIR, value);
+
 /**
  * 獲取 LLM 配置
  */
@@ -22,10 +58,10 @@ const getLLMConfig = () => {
   const config = {
     // 主要配置
     provider: process.env.LLM_PROVIDER || 'auto',
-    fallbackEnabled: process.env.LLM_FALLBACK_ENABLED === 'true',
+    fallbackEnabled: process.env.LLM_FALLBACK_ENABLED !== 'false', // false 時只使用第一個提供商 (失敗後直接關鍵字匹配)
     fallbackOrder: (process.env.LLM_FALLBACK_ORDER || 'gemini,ollama,keyword').split(','),
     autoSwitchOnError: process.env.LLM_AUTO_SWITCH_ON_ERROR === 'true',
-    fallbackThreshold: parseInt(process.env.LLM_FALLBACK_THRESHOLD || '3'),
+    fallbackThreshold: parseInt(process.env.LLM_FALLBACK_THRESHOLD || `${PERFORMANCE_CONFIG.degradationThreshold}`),
     performanceMonitoring: process.env.LLM_PERFORMANCE_MONITORING === 'true',
 
     // Ollama 配置 - 優化為更強的中文模型
@@ -37,10 +73,12 @@ const getLLMConfig = () => {
       maxRetries: parseInt(process.env.OLLAMA_MAX_RETRIES || '3'),
       retryDelay: parseInt(process.env.OLLAMA_RETRY_DELAY || '5000'),
       healthCheckInterval: parseInt(process.env.OLLAMA_HEALTH_CHECK_INTERVAL || '60000'),
+      keepAlive: parseKeepAlive(process.env.OLLAMA_KEEP_ALIVE || '30m'), // 模型常駐時間 (-1 表示永久常駐)
+      warmup: process.env.OLLAMA_WARMUP === 'true',                    // 啟動時預先載入模型
       temperature: 0.1,
       maxTokens: 8000, // 增加輸出長度
       // 新增優化參數
-      num_ctx: 32768,  // 上下文長度
+      num_ctx: parseInt(process.env.OLLAMA_NUM_CTX || '32768'), // 上下文長度 (prompt + 回應)
       top_p: 0.8,      // 採樣參數
       top_k: 40,       // 採樣參數
       repeat_penalty: 1.1, // 重複懲罰
@@ -56,16 +94,209 @@ const getLLMConfig = () => {
       timeout: parseInt(process.env.GEMINI_TIMEOUT || '30000'),
       maxRetries: parseInt(process.env.GEMINI_MAX_RETRIES || '3'),
       retryDelay: parseInt(process.env.GEMINI_RETRY_DELAY || '60000'),
+      structuredOutput: process.env.GEMINI_STRUCTURED_OUTPUT !== 'false', // JSON 回應模式 + responseSchema
+      inputTokenLimit: parseInt(process.env.GEMINI_INPUT_TOKEN_LIMIT || '1048576'),
       temperature: 0.1,
       maxTokens: 4000
     },
 
+    // OpenAI 相容服務配置 (llama.cpp server、vLLM 等提供 /v1/chat/completions 的服務)
+    openai: {
+      enabled: process.env.OPENAI_ENABLED === 'true',
+      url: process.env.OPENAI_BASE_URL || 'http://localhost:8000/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'qwen2.5-14b-instruct',
+      timeout: parseInt(process.env.OPENAI_TIMEOUT || '120000'),
+      maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES || '3'),
+      retryDelay: parseInt(process.env.OPENAI_RETRY_DELAY || '5000'),
+      contextTokens: parseInt(process.env.OPENAI_CONTEXT_TOKENS || '32768'), // 上下文長度 (prompt + 回應)
+      temperature: 0.1,
+      maxTokens: 8000
+    },
+
+    // 嵌入分群配置 - 以 Ollama 嵌入向量分群，LLM 只負責為每群命名
+    embedding: {
+      enabled: process.env.EMBEDDING_ENABLED === 'true',
+      url: process.env.EMBEDDING_URL || process.env.OLLAMA_URL || 'http://localhost:11434',
+      model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+      timeout: parseInt(process.env.EMBEDDING_TIMEOUT || '60000'),
+      batchSize: 64,
+      minClusters: 2,
+      maxClusters: parseInt(process.env.EMBEDDING_MAX_CLUSTERS || '12'),
+      namingProvider: process.env.EMBEDDING_NAMING_PROVIDER || 'ollama',
+      namingTimeout: parseInt(process.env.EMBEDDING_NAMING_TIMEOUT || '30000'),
+      samplesPerCluster: 5
+    },
+
+    // 斷路器配置 - 連續失敗達 fallbackThreshold 次後暫停使用該提供商
+    circuitBreaker: {
+      cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS || '60000')
+    },
+
+    // 分批分類配置 - 商品數超過單次上限時拆批分類，再合併同義分類
+    chunking: {
+      enabled: process.env.LLM_CHUNKING_ENABLED !== 'false',
+      maxProductsPerRequest: parseInt(process.env.LLM_MAX_PRODUCTS_PER_REQUEST || `${CLASSIFICATION_CONFIG.apiLimits.maxProductsPerRequest}`),
+      batchSize: parseInt(process.env.LLM_CHUNK_SIZE || `${CLASSIFICATION_CONFIG.cache.batchSize}`),
+      requestDelay: CLASSIFICATION_CONFIG.apiLimits.requestDelay
+    },
+
+    // Token 預算配置 - prompt 超出預算時依序精簡商品描述，仍超出則自動分批
+    tokenBudget: {
+      enabled: process.env.LLM_TOKEN_BUDGET_ENABLED !== 'false',
+      safetyRatio: 0.9,            // 估算值有誤差，只使用 90% 的預算
+      outputTokensPerProduct: 30,  // 回應 JSON 中每個商品約佔的 token (索引、信心度、理由)
+      outputOverheadTokens: 200    // 回應 JSON 的分類名稱、描述等固定開銷
+    },
+
+    // 對沖請求配置 - 目前的提供商超過延遲門檻仍未回應時，平行啟動下一個提供商並採用最先成功的結果
+    hedging: {
+      enabled: process.env.LLM_HEDGING_ENABLED === 'true',
+      percentile: parseInt(process.env.LLM_HEDGE_PERCENTILE || '90'),          // 以回應時間的百分位數作為門檻
+      minDelayMs: parseInt(process.env.LLM_HEDGE_MIN_DELAY_MS || '2000'),
+      defaultDelayMs: parseInt(process.env.LLM_HEDGE_DELAY_MS || '15000'),    // 回應時間樣本不足時使用
+      minSamples: 5
+    },
+
+    // 使用者分類修正 - 類似查詢的修正作為 few-shot 範例，同一商品再次出現時直接套用
+    corrections: {
+      enabled: process.env.LLM_CORRECTIONS_ENABLED !== 'false',
+      file: resolveDataPath(process.env.LLM_CORRECTIONS_FILE || 'data/llm-corrections.json'),
+      similarityThreshold: parseFloat(process.env.LLM_CORRECTION_SIMILARITY || '0.4'), // 查詢相似度 (字元二元組) 門檻
+      maxExamples: parseInt(process.env.LLM_CORRECTION_MAX_EXAMPLES || '5'),           // 每次 prompt 最多加入的範例數
+      maxPending: parseInt(process.env.LLM_CORRECTIONS_MAX_PENDING || '200'),          // 最多保留的待審核修正數
+      rateLimit: {                                                                     // 非管理員送出修正的速率限制 (每個 IP)
+        windowMs: parseInt(process.env.LLM_CORRECTIONS_RATE_LIMIT_WINDOW_MS || '3600000'),
+        max: parseInt(process.env.LLM_CORRECTIONS_RATE_LIMIT_MAX || '20')
+      }
+    },
+
+    // 分類歷史 - 同一 (標準化) 查詢沿用先前的分類名稱，新名稱語意等價時對應回既有名稱
+    categoryHistory: {
+      enabled: process.env.LLM_CATEGORY_HISTORY_ENABLED !== 'false',
+      file: resolveDataPath(process.env.LLM_CATEGORY_HISTORY_FILE || 'data/llm-category-history.json'),
+      overlapThreshold: parseFloat(process.env.LLM_CATEGORY_OVERLAP_THRESHOLD || '0.5'), // 商品重疊比例達此值視為同一分類
+      maxLabels: parseInt(process.env.LLM_CATEGORY_HISTORY_MAX_LABELS || '20')          // 每個查詢保留的分類數
+    },
+
+    // 管理員分類覆寫規則 - 商品名稱符合規則時強制歸到指定分類 (LLM 分類之後套用)
+    overrideRules: {
+      enabled: process.env.LLM_OVERRIDE_RULES_ENABLED !== 'false',
+      file: resolveDataPath(process.env.LLM_OVERRIDE_RULES_FILE || 'data/llm-override-rules.json')
+    },
+
+    // 請求佇列 - 限制各提供商同時請求數，佇列已滿或等待超過 maxWaitMs 時直接改用下一個提供商
+    queue: {
+      enabled: process.env.LLM_QUEUE_ENABLED !== 'false',
+      providers: {
+        ollama: {
+          concurrency: parseInt(process.env.OLLAMA_CONCURRENCY || '1'),         // 單一本地 Ollama 同時只處理一個請求
+          maxQueueLength: parseInt(process.env.OLLAMA_MAX_QUEUE_LENGTH || '10'),
+          maxWaitMs: parseInt(process.env.OLLAMA_MAX_QUEUE_WAIT_MS || '60000')
+        },
+        gemini: {
+          concurrency: parseInt(process.env.GEMINI_CONCURRENCY || '4'),
+          maxQueueLength: parseInt(process.env.GEMINI_MAX_QUEUE_LENGTH || '20'),
+          maxWaitMs: parseInt(process.env.GEMINI_MAX_QUEUE_WAIT_MS || '15000')
+        },
+        openai: {
+          concurrency: parseInt(process.env.OPENAI_CONCURRENCY || '2'),         // llama.cpp server / vLLM 依 --parallel 設定調整
+          maxQueueLength: parseInt(process.env.OPENAI_MAX_QUEUE_LENGTH || '10'),
+          maxWaitMs: parseInt(process.env.OPENAI_MAX_QUEUE_WAIT_MS || '60000')
+        }
+      }
+    },
+
+    // 健康檢查配置 - 結果快取一段時間，避免頻繁呼叫 /api/llm/health 時每次都對各服務發出探測請求
+    health: {
+      cacheMs: parseInt(process.env.LLM_HEALTH_CACHE_MS || '10000')
+    },
+
+    // 查詢複雜度路由 - 依查詢模糊度與搜尋結果的分散程度選擇 Ollama 小模型、大模型 (OLLAMA_MODEL) 或 Gemini
+    routing: {
+      enabled: process.env.LLM_ROUTING_ENABLED === 'true',
+      smallModel: process.env.OLLAMA_SMALL_MODEL || 'qwen2.5:3b',
+      smallThreshold: parseFloat(process.env.LLM_ROUTING_SMALL_THRESHOLD || '0.35'),   // 分數低於此值使用小模型
+      geminiThreshold: parseFloat(process.env.LLM_ROUTING_GEMINI_THRESHOLD || '0.7'),  // 分數達此值優先使用 Gemini
+      queryWeight: 0.6                                                                  // 查詢模糊度權重 (其餘為結果分散度)
+    },
+
+    // 分類對帳配置 - 遺漏商品先重新詢問同一提供商，再以關鍵字匹配補齊
+    reconciliation: {
+      reaskEnabled: process.env.LLM_REASK_MISSING !== 'false',
+      maxReaskProducts: parseInt(process.env.LLM_MAX_REASK_PRODUCTS || '30')
+    },
+
+    // 回應格式驗證配置 - 未通過 schema 驗證時以修正 prompt 重新詢問的次數上限
+    validation: {
+      maxCorrectionAttempts: parseInt(process.env.LLM_MAX_CORRECTION_ATTEMPTS || '1'),
+      maxPreviousResponseLength: 2000
+    },
+
+    // Prompt 模板配置 - 同一模板的多個版本依權重分流 (A/B 測試)
+    prompts: {
+      rollout: parsePromptRollout(process.env.LLM_PROMPT_ROLLOUT)
+    },
+
+    // 分類信心度配置 - 信心度低於門檻的商品移入「待確認商品」分類
+    confidence: {
+      reviewEnabled: process.env.LLM_REVIEW_BUCKET_ENABLED !== 'false',
+      reviewThreshold: parseFloat(process.env.LLM_REVIEW_CONFIDENCE_THRESHOLD || '0.5'),
+      reviewCategory: '待確認商品',
+      llmDefault: 0.8,   // LLM 未提供信心度時的預設值
+      embedding: 0.6,
+      keyword: {
+        query: 0.7,        // 搜尋查詢專屬規則
+        subcategory: 0.6,
+        category: 0.5,
+        default: 0.2       // 沒有任何規則符合
+      }
+    },
+
+    // 用量統計配置 - 每日請求數、token 數與費用 (美元)，接近每日配額時降低該提供商的優先順序
+    usage: {
+      enabled: process.env.LLM_USAGE_TRACKING_ENABLED !== 'false',
+      file: resolveDataPath(process.env.LLM_USAGE_FILE || 'data/llm-usage.json'),
+      timeZone: process.env.LLM_USAGE_TIMEZONE || 'America/Los_Angeles', // Gemini 每日配額於太平洋時間午夜重置
+      retentionDays: 30,
+      demoteRatio: parseFloat(process.env.LLM_QUOTA_DEMOTE_RATIO || '0.9'),
+      quotas: {
+        gemini: {
+          dailyRequests: parseInt(process.env.GEMINI_DAILY_REQUEST_LIMIT || `${CLASSIFICATION_CONFIG.apiLimits.dailyLimit}`),
+          dailyTokens: parseInt(process.env.GEMINI_DAILY_TOKEN_LIMIT || '0') // 0 表示不限制
+        }
+      },
+      pricing: {
+        gemini: {
+          inputPerMillion: parseFloat(process.env.GEMINI_INPUT_PRICE_PER_MILLION || '0.075'),
+          outputPerMillion: parseFloat(process.env.GEMINI_OUTPUT_PRICE_PER_MILLION || '0.3')
+        },
+        openai: {
+          inputPerMillion: parseFloat(process.env.OPENAI_INPUT_PRICE_PER_MILLION || '0'),
+          outputPerMillion: parseFloat(process.env.OPENAI_OUTPUT_PRICE_PER_MILLION || '0')
+        }
+      }
+    },
+
+    // 錄製/重播配置 - record 將提供商請求與回應以 prompt 雜湊存檔，replay 只讀取存檔不連網
+    recording: {
+      mode: process.env.LLM_RECORDING_MODE || 'off',
+      dir: resolveDataPath(process.env.LLM_RECORDINGS_DIR || 'recordings/llm')
+    },
+
     // 降級策略配置
     fallback: {
       enabled: true,
       useKeywordMatch: true,
-      maxKeywordMatchScore: 0.8,
+      maxKeywordMatchScore: parseFloat(process.env.LLM_KEYWORD_MIN_SCORE || '0.4'), // 關鍵字最高分低於此值時歸入預設分類 (單一品牌或同義詞命中即可分類)
       defaultCategory: '其他商品',
+      // 關鍵字計分權重
+      keywordWeights: {
+        subcategory: parseFloat(process.env.LLM_KEYWORD_SUBCATEGORY_WEIGHT || '1'),
+        category: parseFloat(process.env.LLM_KEYWORD_CATEGORY_WEIGHT || '0.8'),
+        synonym: parseFloat(process.env.LLM_KEYWORD_SYNONYM_WEIGHT || '0.5'),
+        brand: parseFloat(process.env.LLM_KEYWORD_BRAND_WEIGHT || '0.4')
+      },
       cacheEnabled: true,
       cacheTTL: 24 * 60 * 60 * 1000 // 24小時
     }
@@ -88,15 +319,45 @@ const validateLLMConfig = (config) => {
   }
 
   // 檢查 Gemini 配置
-  if (config.gemini.enabled && !config.gemini.apiKey) {
+  // 重播模式不會呼叫 Gemini API，不需要 API Key
+  if (config.gemini.enabled && !config.gemini.apiKey && config.recording.mode !== 'replay') {
     logger.warn('Gemini 已啟用但未配置 API Key，將禁用 Gemini');
     config.gemini.enabled = false;
   }
 
+  // 檢查 OpenAI 相容服務配置
+  if (config.openai.enabled && (!config.openai.url || !config.openai.model)) {
+    logger.warn('OpenAI 相容服務已啟用但未配置 URL 或模型，將禁用 OpenAI 相容服務');
+    config.openai.enabled = false;
+  }
+
+  // 檢查錄製模式
+  if (!['off', 'record', 'replay'].includes(config.recording.mode)) {
+    logger.warn(`⚠️  不支援的 LLM_RECORDING_MODE: ${config.recording.mode}，將停用錄製`);
+    config.recording.mode = 'off';
+  }
+
+  // 分類歷史與使用者修正會加入 prompt，覆寫規則會改變需要重新詢問的商品；
+  // 錄製/重播時停用，確保相同輸入產生相同的 prompt 雜湊，重播結果不受本機資料檔影響
+  if (config.recording.mode !== 'off') {
+    const stores = { categoryHistory: '分類歷史', corrections: '使用者修正', overrideRules: '覆寫規則' };
+    const disabled = Object.entries(stores)
+      .filter(([key]) => config[key].enabled)
+      .map(([key, label]) => {
+        config[key].enabled = false;
+        return label;
+      });
+    if (disabled.length > 0) {
+      logger.info(`🎞️  錄製/重播模式停用${disabled.join('、')}`);
+    }
+  }
+
   // 確保至少有一個可用的提供商
   const availableProviders = [];
   if (config.ollama.enabled) availableProviders.push('ollama');
   if (config.gemini.enabled) availableProviders.push('gemini');
+  if (config.openai.enabled) availableProviders.push('openai');
+  if (config.embedding.enabled) availableProviders.push('embedding');
   availableProviders.push('keyword'); // 關鍵字匹配總是可用
 
   if (availableProviders.length === 1 && availableProviders[0] === 'keyword') {
@@ -123,6 +384,12 @@ const validateLLMConfig = (config) => {
   if (config.gemini.enabled) {
     logger.info(`   🔶 Gemini: ${config.gemini.model}`);
   }
+  if (config.openai.enabled) {
+    logger.info(`   🔷 OpenAI 相容: ${config.openai.model} @ ${config.openai.url}`);
+  }
+  if (config.embedding.enabled) {
+    logger.info(`   🧮 嵌入分群: ${config.embedding.model} @ ${config.embedding.url} (命名: ${config.embedding.namingProvider})`);
+  }
   
   // 新增：如果指定了特定提供商但該提供商不可用，記錄警告
   if (config.provider !== 'auto') {
@@ -132,6 +399,12 @@ const validateLLMConfig = (config) => {
     if (config.provider === 'ollama' && !config.ollama.enabled) {
       logger.warn(`⚠️  指定使用 Ollama 但 Ollama 未啟用或配置不完整`);
     }
+    if (config.provider === 'openai' && !config.openai.enabled) {
+      logger.warn(`⚠️  指定使用 OpenAI 相容服務但未啟用或配置不完整`);
+    }
+    if (config.provider === 'embedding' && !config.embedding.enabled) {
+      logger.warn(`⚠️  指定使用嵌入分群但未啟用`);
+    }
   }
 };
 
@@ -158,6 +431,16 @@ const getActiveProvider = (config) => {
     return getActiveProvider({ ...config, provider: 'auto' });
   }
   
+  if (provider === 'openai' && !config.openai.enabled) {
+    logger.warn('指定使用 OpenAI 相容服務但未啟用，切換到 auto 模式');
+    return getActiveProvider({ ...config, provider: 'auto' });
+  }
+  
+  if (provider === 'embedding' && !config.embedding.enabled) {
+    logger.warn('指定使用嵌入分群但未啟用，切換到 auto 模式');
+    return getActiveProvider({ ...config, provider: 'auto' });
+  }
+  
   return provider;
 };
 
@@ -0,0 +1,119 @@
+/**
+ * Prompt 模板登錄配置
+ * 每個模板以 id + version 識別，由 PromptRegistry 依提供商、模型與流量分配選用
+ *
+ * - match: 適用的提供商與模型 (模型名稱支援 * 萬用字元)，未指定代表全部適用；
+ *          符合條件最精確的模板優先 (指定模型 > 指定提供商 > 通用)
+ * - status: active 為預設版本；candidate 只在 LLM_PROMPT_ROLLOUT 分配到流量時使用
+ *
+ * 流量分配只在同一精確度的版本間分流：要對小模型做 A/B 測試時，
+ * 新增與 v1-small 相同 match 的 candidate 版本，再分配 v1-small 與新版本的權重
+ */
+
+const { LLM_PROMPTS } = require('./classification');
+
+const PROMPT_IDS = {
+  CATEGORY_CLASSIFICATION: 'category-classification',
+  FORMAT_CORRECTION: 'format-correction',
+  CORRECTION_EXAMPLES: 'correction-examples',
+  PREFERRED_CATEGORIES: 'preferred-categories',
+  CLUSTER_NAMING: 'cluster-naming'
+};
+
+// 小型本地模型 (Qwen 7B 以下) 精簡版 - 規則少、範例短，降低遺漏索引與格式錯誤
+const SMALL_MODEL_CLASSIFICATION = `你是電商商品分類助手。把下列商品分類，只返回JSON。
+
+搜尋查詢: "{{SEARCH_QUERY}}"
+
+商品列表 (共 {{PRODUCT_COUNT}} 個，ID 從 0 到 {{MAX_INDEX}}):
+{{PRODUCT_LIST}}
+
+規則:
+1. 每個 ID 都必須出現，而且只能出現在一個分類
+2. 分類名稱使用繁體中文，2 到 6 個字
+3. name 是子分類，parent 是主分類，不需要主分類時 parent 留空字串
+4. details 列出每個 ID 的 confidence (0 到 1) 與 10 字以內的 reason
+
+JSON格式:
+{"categories":[{"name":"保護殼","parent":"手機配件","description":"手機保護殼","productIndexes":[0,2],"details":[{"index":0,"confidence":0.9,"reason":"手機殼"},{"index":2,"confidence":0.6,"reason":"疑似保護套"}]}]}`;
+
+// Gemini 版 - 格式由 responseSchema 約束，prompt 專注在分類品質
+const GEMINI_CLASSIFICATION = `你是專業的電商商品分類專家，請依商品的功能、用途與使用情境分類下列商品。
+
+搜尋查詢: "{{SEARCH_QUERY}}"
+
+商品列表 (共 {{PRODUCT_COUNT}} 個，productIndexes 使用 0 到 {{MAX_INDEX}} 的 ID):
+{{PRODUCT_LIST}}
+
+**分類要求**:
+- 每個商品恰好屬於一個分類，不得遺漏
+- 採用兩層分類: name 為子分類，parent 為主分類；同一主分類下的子分類使用完全相同的 parent，不需細分時 parent 留空字串
+- 分類名稱使用台灣慣用的繁體中文，簡潔明瞭，並優先對應使用者的搜尋意圖
+- 盡量細分，但避免只有一個商品的零碎分類
+- details 列出每個商品的 confidence (0 到 1) 與 15 字以內的 reason；特性不明確的商品給較低的 confidence
+
+回應格式: {"categories":[{"name":"子分類","parent":"主分類","description":"分類描述","productIndexes":[0],"details":[{"index":0,"confidence":0.9,"reason":"簡短理由"}]}]}`;
+
+const PROMPT_TEMPLATES = [
+  {
+    id: PROMPT_IDS.CATEGORY_CLASSIFICATION,
+    version: 'v1',
+    status: 'active',
+    description: '通用分類 prompt',
+    template: LLM_PROMPTS.CATEGORY_CLASSIFICATION
+  },
+  {
+    id: PROMPT_IDS.CATEGORY_CLASSIFICATION,
+    version: 'v1-small',
+    status: 'active',
+    description: '小型本地 Qwen 模型精簡版',
+    match: {
+      providers: ['ollama', 'openai'],
+      models: ['qwen*:0.5b*', 'qwen*:1.5b*', 'qwen*:3b*', 'qwen*:7b*', 'qwen*-0.5b*', 'qwen*-1.5b*', 'qwen*-3b*', 'qwen*-7b*']
+    },
+    template: SMALL_MODEL_CLASSIFICATION
+  },
+  {
+    id: PROMPT_IDS.CATEGORY_CLASSIFICATION,
+    version: 'v1-gemini',
+    status: 'active',
+    description: 'Gemini 結構化輸出版',
+    match: {
+      providers: ['gemini']
+    },
+    template: GEMINI_CLASSIFICATION
+  },
+  {
+    id: PROMPT_IDS.FORMAT_CORRECTION,
+    version: 'v1',
+    status: 'active',
+    description: '格式修正重問',
+    template: LLM_PROMPTS.FORMAT_CORRECTION
+  },
+  {
+    id: PROMPT_IDS.CORRECTION_EXAMPLES,
+    version: 'v1',
+    status: 'active',
+    description: '使用者修正 few-shot 範例',
+    template: LLM_PROMPTS.CORRECTION_EXAMPLES
+  },
+  {
+    id: PROMPT_IDS.PREFERRED_CATEGORIES,
+    version: 'v1',
+    status: 'active',
+    description: '同一查詢先前使用過的分類名稱',
+    template: LLM_PROMPTS.PREFERRED_CATEGORIES
+  },
+  {
+    id: PROMPT_IDS.CLUSTER_NAMING,
+    version: 'v1',
+    status: 'active',
+    description: '嵌入分群命名',
+    template: LLM_PROMPTS.CLUSTER_NAMING
+  }
+];
+
+module.exports = {
+  PROMPT_IDS,
+  PROMPT_TEMPLATES
+};
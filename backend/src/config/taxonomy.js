@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const TAXONOMY_DIR = process.env.TAXONOMY_DIR || path.join(__dirname, '..', '..', 'taxonomy');
+const RELOAD_DEBOUNCE_MS = 200;
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const keywordList = Joi.array().items(Joi.string().trim().min(1)).min(1);
+
+/**
+ * 查詢規則指向的分類規則 (類型或「類型.子分類」) 必須存在
+ */
+const validateQueryRuleTargets = (value, helpers) => {
+  const missing = (value.queryRules || [])
+    .map(queryRule => queryRule.rule)
+    .filter(rule => {
+      const [type, subCategory] = rule.split('.');
+      const target = value.rules[type];
+      return !target || (subCategory && !(target.subcategories || {})[subCategory]);
+    });
+
+  return missing.length > 0 ?
+    helpers.message(`查詢規則指向不存在的分類規則: ${missing.join(', ')}`) :
+    value;
+};
+
+/**
+ * 各分類檔的結構定義 (version 為檔案版本號，每次修改時遞增)
+ */
+const SOURCES = {
+  keywordRules: {
+    file: 'keyword-rules',
+    schema: Joi.object({
+      version: Joi.number().integer().min(1).required(),
+      rules: Joi.object().pattern(Joi.string(), Joi.object({
+        category: Joi.string().trim().min(1).required(),
+        keywords: keywordList.required(),
+        subcategories: Joi.object().pattern(Joi.string(), keywordList)
+      })).min(1).required(),
+      // 查詢規則: 搜尋查詢含 query 其中之一且商品名稱含 keywords 其中之一時，直接歸到 rule 指定的分類
+      queryRules: Joi.array().items(Joi.object({
+        name: Joi.string().trim().min(1).required(),
+        query: keywordList.required(),
+        keywords: keywordList.required(),
+        rule: Joi.string().trim().min(1).required()
+      })).default([])
+    }).custom(validateQueryRuleTargets),
+    build: ({ rules, queryRules }) => ({ rules, queryRules })
+  },
+  synonyms: {
+    file: 'synonyms',
+    schema: Joi.object({
+      version: Joi.number().integer().min(1).required(),
+      synonyms: Joi.object().pattern(Joi.string(), keywordList).required()
+    }),
+    build: ({ synonyms }) => new Map(Object.entries(synonyms))
+  },
+  brands: {
+    file: 'brands',
+    schema: Joi.object({
+      version: Joi.number().integer().min(1).required(),
+      brands: Joi.object().pattern(Joi.string(), keywordList).required(),
+      // 品牌 -> 關鍵字分類規則 (類型，或「類型.子分類」)
+      categories: Joi.object().pattern(Joi.string(), keywordList).default({})
+    }),
+    build: ({ brands, categories }) => ({
+      aliases: new Map(Object.entries(brands)),
+      categories: new Map(Object.entries(categories))
+    })
+  }
+};
+
+/**
+ * 關鍵字分類、同義詞與品牌別名 - 從 taxonomy 目錄的 JSON/YAML 檔載入
+ * 檔案修改時重新載入；新內容驗證失敗時保留上一個有效版本
+ */
+class TaxonomyStore {
+  constructor(dir = TAXONOMY_DIR) {
+    this.dir = dir;
+    this.entries = new Map(); // 名稱 -> { data, version, file, content, loadedAt }
+    this.errors = new Map();  // 名稱 -> 最近一次載入失敗 { file, message, at }
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    // 啟動時沒有上一個有效版本，載入失敗直接拋出錯誤
+    for (const name of Object.keys(SOURCES)) {
+      if (!this.load(name)) {
+        throw new Error(`分類檔 ${name} 載入失敗: ${this.errors.get(name).message}`);
+      }
+    }
+  }
+
+  /**
+   * 找出分類檔 (依 .json、.yaml、.yml 順序)
+   */
+  resolveFile(name) {
+    const base = path.join(this.dir, SOURCES[name].file);
+    return EXTENSIONS.map(extension => base + extension).find(file => fs.existsSync(file)) || null;
+  }
+
+  /**
+   * 讀取並驗證分類檔，成功時取代目前版本並回傳 true
+   */
+  load(name) {
+    const source = SOURCES[name];
+    const file = this.resolveFile(name);
+
+    try {
+      if (!file) {
+        throw new Error(`找不到 ${source.file}.json 或 ${source.file}.yaml`);
+      }
+
+      const content = fs.readFileSync(file, 'utf8');
+      const previous = this.entries.get(name);
+      if (previous && previous.file === file && previous.content === content) {
+        this.errors.delete(name);
+        return true;
+      }
+
+      const parsed = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+      const { error, value } = source.schema.validate(parsed, { abortEarly: false });
+      if (error) {
+        throw new Error(error.details.map(detail => detail.message).join('; '));
+      }
+
+      this.entries.set(name, {
+        data: source.build(value),
+        version: value.version,
+        file,
+        content,
+        loadedAt: new Date().toISOString()
+      });
+      this.errors.delete(name);
+
+      if (previous) {
+        logger.info(`📚 重新載入分類檔 ${path.basename(file)} (版本 ${previous.version} → ${value.version})`);
+      }
+      return true;
+    } catch (error) {
+      this.errors.set(name, { file, message: error.message, at: new Date().toISOString() });
+      if (this.entries.has(name)) {
+        logger.error(`❌ 分類檔 ${name} 驗證失敗，繼續使用版本 ${this.entries.get(name).version}: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * 重新載入所有分類檔
+   */
+  reload() {
+    return Object.keys(SOURCES).map(name => this.load(name)).every(Boolean);
+  }
+
+  /**
+   * 監看分類目錄，檔案變更時重新載入 (編輯器存檔常觸發多次事件，合併後再載入)
+   */
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.dir, (eventType, filename) => {
+        if (filename && !EXTENSIONS.includes(path.extname(filename))) return;
+
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+      });
+      logger.info(`👀 監看分類檔目錄: ${this.dir}`);
+    } catch (error) {
+      logger.warn(`⚠️  無法監看分類檔目錄，修改後需重新啟動: ${error.message}`);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * 關鍵字分類規則 { 類型: { category, keywords, subcategories } }
+   */
+  getKeywordRules() {
+    return this.entries.get('keywordRules').data.rules;
+  }
+
+  /**
+   * 查詢規則陣列 [{ name, query, keywords, rule }]
+   */
+  getQueryRules() {
+    return this.entries.get('keywordRules').data.queryRules;
+  }
+
+  /**
+   * 同義詞 Map (標準詞 -> 同義詞陣列)
+   */
+  getSynonyms() {
+    return this.entries.get('synonyms').data;
+  }
+
+  /**
+   * 品牌別名 Map (標準品牌 -> 別名陣列)
+   */
+  getBrandAliases() {
+    return this.entries.get('brands').data.aliases;
+  }
+
+  /**
+   * 品牌的分類對照 Map (標準品牌 -> 關鍵字分類規則陣列)
+   */
+  getBrandCategories() {
+    return this.entries.get('brands').data.categories;
+  }
+
+  getStatus() {
+    return {
+      dir: this.dir,
+      watching: Boolean(this.watcher),
+      files: Object.fromEntries(Object.keys(SOURCES).map(name => {
+        const entry = this.entries.get(name);
+        return [name, {
+          file: path.basename(entry.file),
+          version: entry.version,
+          loadedAt: entry.loadedAt,
+          lastError: this.errors.get(name) || null
+        }];
+      }))
+    };
+  }
+}
+
+const taxonomy = new TaxonomyStore();
+
+module.exports = taxonomy;
+module.exports.TaxonomyStore = TaxonomyStore;
@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+
+/**
+ * 是否明確停用管理端點驗證 (僅供本機開發使用)
+ */
+const isAdminAuthDisabled = () => process.env.ADMIN_AUTH_DISABLED === 'true';
+
+/**
+ * 請求是否帶有有效的管理員令牌 (明確停用驗證時視為管理員)
+ */
+const isAdminRequest = (req) => {
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+  if (!expectedToken) return isAdminAuthDisabled();
+  return req.get('X-Admin-Token') === expectedToken;
+};
+
+// 管理端點驗證中介軟體
+// 需在 X-Admin-Token 標頭帶入與 ADMIN_API_TOKEN 相同的值；未設定 ADMIN_API_TOKEN 時拒絕所有請求，
+// 除非明確設定 ADMIN_AUTH_DISABLED=true
+const requireAdminToken = (req, res, next) => {
+  if (isAdminRequest(req)) {
+    return next();
+  }
+
+  if (!process.env.ADMIN_API_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      message: '管理端點未設定 ADMIN_API_TOKEN，暫不開放',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(401).json({
+    success: false,
+    message: '需要有效的管理員令牌',
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * 啟動時檢查管理端點驗證設定，未設定令牌時提示管理端點的狀態
+ */
+const warnAdminAuthConfig = () => {
+  if (process.env.ADMIN_API_TOKEN) return;
+
+  if (isAdminAuthDisabled()) {
+    logger.warn('⚠️  ADMIN_AUTH_DISABLED=true，管理端點不需驗證即可使用，請勿在正式環境啟用');
+  } else {
+    logger.warn('⚠️  未設定 ADMIN_API_TOKEN，管理端點將拒絕所有請求 (503)');
+  }
+};
+
+module.exports = requireAdminToken;
+module.exports.warnAdminAuthConfig = warnAdminAuthConfig;
+module.exports.isAdminRequest = isAdminRequest;
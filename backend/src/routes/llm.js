@@ -0,0 +1,1035 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const requireAdminToken = require('../middleware/adminAuth');
+const { isAdminRequest } = requireAdminToken;
+const { smartLLMService } = require('../services/nlp/nlpProcessor');
+const { getCachedSearch } = require('../services/searchService');
+const { LLM_PROVIDERS } = require('../config/llm');
+const logger = require('../utils/logger');
+
+const PROVIDER_NAMES = Object.values(LLM_PROVIDERS);
+
+// 使用者送出分類修正的速率限制 (管理員不受限)
+const correctionLimiter = rateLimit({
+  windowMs: smartLLMService.config.corrections.rateLimit.windowMs,
+  max: smartLLMService.config.corrections.rateLimit.max,
+  skip: isAdminRequest,
+  message: {
+    success: false,
+    message: '送出分類修正過於頻繁，請稍後再試'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * 移除各提供商的原始錯誤訊息 (可能含內部服務網址或 API 回應內容)，非管理員只看得到狀態與時間
+ */
+const redactProviderErrors = (data) => ({
+  ...data,
+  providers: Object.fromEntries(Object.entries(data.providers).map(([provider, { lastError, error, ...rest }]) => {
+    if (rest.circuit) {
+      const { lastError: circuitError, ...circuit } = rest.circuit;
+      rest.circuit = circuit;
+    }
+    return [provider, rest];
+  }))
+});
+
+/**
+ * @swagger
+ * /api/llm/health:
+ *   get:
+ *     summary: 取得 LLM 提供商健康狀態
+ *     description: 結果快取 LLM_HEALTH_CACHE_MS (預設 10 秒)；錯誤訊息只回傳給管理員
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: 略過快取重新探測 (需 X-Admin-Token，非管理員時忽略)
+ *     responses:
+ *       200:
+ *         description: 各提供商健康狀態、斷路器狀態與目前降級順序 (checkedAt 為實際探測時間)
+ */
+router.get('/health',
+  [
+    query('refresh').optional().isBoolean().withMessage('refresh 必須是布林值')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const admin = isAdminRequest(req);
+    const health = await smartLLMService.healthCheck({ force: admin && req.query.refresh === 'true' });
+
+    res.json({
+      success: true,
+      data: admin ? health : redactProviderErrors(health),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/stats:
+ *   get:
+ *     summary: 取得 LLM 提供商統計（成功率、延遲百分位數、回應格式、請求佇列）
+ *     description: 各提供商的 lastError 只回傳給管理員 (X-Admin-Token)
+ *     tags: [LLM]
+ *     responses:
+ *       200:
+ *         description: 各提供商統計資訊
+ */
+router.get('/stats',
+  catchAsync(async (req, res) => {
+    const stats = smartLLMService.getStats();
+
+    res.json({
+      success: true,
+      data: isAdminRequest(req) ? stats : redactProviderErrors(stats),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/usage:
+ *   get:
+ *     summary: 取得各提供商每日用量、費用與配額狀態
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ *         description: 回傳最近幾天的用量
+ *     responses:
+ *       200:
+ *         description: 每日請求數、token 數、費用 (美元) 與今日配額使用率
+ */
+router.get('/usage',
+  [
+    query('days').optional().isInt({ min: 1, max: 30 }).withMessage('days 必須是 1-30 的整數')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: smartLLMService.getUsage(parseInt(req.query.days) || 7),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/corrections:
+ *   post:
+ *     summary: 修正商品分類
+ *     description: |
+ *       使用者送出的修正存為待審核，管理員核准後才會套用 (之後類似查詢會以此作為範例，同一商品直接套用)；
+ *       帶有效 X-Admin-Token 時直接核准。非管理員送出受每個 IP 的速率限制
+ *     tags: [LLM]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query, product, category]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: "烏龜台"
+ *               product:
+ *                 type: object
+ *                 required: [name]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "烏龜缸 含曬台 生態飼養箱 45cm"
+ *                   platform:
+ *                     type: string
+ *                   url:
+ *                     type: string
+ *               category:
+ *                 type: string
+ *                 description: 正確的子分類
+ *                 example: "飼養缸"
+ *               parent:
+ *                 type: string
+ *                 description: 正確的主分類
+ *                 example: "寵物用品"
+ *               previousCategory:
+ *                 type: string
+ *                 description: 原本 (錯誤) 的分類
+ *                 example: "烏龜曬台"
+ *     responses:
+ *       201:
+ *         description: 已核准的修正 (管理員送出)
+ *       202:
+ *         description: 待審核的修正
+ *       429:
+ *         description: 送出過於頻繁
+ */
+router.post('/corrections',
+  correctionLimiter,
+  [
+    body('query').trim().notEmpty().withMessage('缺少搜尋查詢'),
+    body('product.name').trim().notEmpty().withMessage('缺少商品名稱'),
+    body('product.platform').optional().isString(),
+    body('product.url').optional().isString(),
+    body('category').trim().isLength({ min: 1, max: 50 }).withMessage('分類名稱必須是 1-50 個字元'),
+    body('parent').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('主分類名稱不能超過 50 個字元'),
+    body('previousCategory').optional({ nullable: true }).trim()
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求資料驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const { query: searchQuery, product, category, parent, previousCategory } = req.body;
+    const approved = isAdminRequest(req);
+    const correction = smartLLMService.addCorrection(
+      { query: searchQuery, product, category, parent, previousCategory },
+      { approved }
+    );
+
+    res.status(approved ? 201 : 202).json({
+      success: true,
+      message: approved ? '分類修正已儲存' : '分類修正已送出，待管理員審核後套用',
+      data: correction
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/corrections:
+ *   get:
+ *     summary: 列出已核准的使用者分類修正
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: 只列出與此查詢類似的修正
+ *     responses:
+ *       200:
+ *         description: 分類修正列表
+ */
+router.get('/corrections',
+  [
+    query('query').optional().isString().trim().notEmpty().withMessage('query 不能為空')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const corrections = smartLLMService.getCorrections(req.query.query ?? null);
+
+    res.json({
+      success: true,
+      data: {
+        corrections,
+        total: corrections.length
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/corrections/pending:
+ *   get:
+ *     summary: 列出待審核的使用者分類修正（管理員）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: 只列出與此查詢類似的修正
+ *     responses:
+ *       200:
+ *         description: 待審核的分類修正列表
+ */
+router.get('/corrections/pending',
+  requireAdminToken,
+  [
+    query('query').optional().isString().trim().notEmpty().withMessage('query 不能為空')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const corrections = smartLLMService.getCorrections(req.query.query ?? null, 'pending');
+
+    res.json({
+      success: true,
+      data: {
+        corrections,
+        total: corrections.length
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/corrections/{id}/approve:
+ *   post:
+ *     summary: 核准待審核的使用者分類修正（管理員）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 修正已核准，之後的分類會套用
+ *       404:
+ *         description: 找不到待審核的修正
+ */
+router.post('/corrections/:id/approve',
+  requireAdminToken,
+  catchAsync(async (req, res) => {
+    const correction = smartLLMService.approveCorrection(req.params.id);
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到待審核的分類修正 ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '分類修正已核准',
+      data: correction
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/corrections/{id}:
+ *   delete:
+ *     summary: 刪除使用者分類修正（管理員；也用於退回待審核的修正）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 修正已刪除
+ *       404:
+ *         description: 找不到修正
+ */
+router.delete('/corrections/:id',
+  requireAdminToken,
+  catchAsync(async (req, res) => {
+    if (!smartLLMService.removeCorrection(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到分類修正 ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '分類修正已刪除'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/category-history:
+ *   get:
+ *     summary: 列出各查詢的分類歷史
+ *     description: 同一 (標準化) 查詢再次分類時，先前的分類名稱作為偏好名稱，語意等價的新名稱會對應回既有名稱
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: 只列出此查詢 (標準化後比對)
+ *     responses:
+ *       200:
+ *         description: 各查詢使用過的分類、出現次數與商品數
+ */
+router.get('/category-history',
+  [
+    query('query').optional().isString().trim().notEmpty().withMessage('query 不能為空')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const history = smartLLMService.getCategoryHistory(req.query.query ?? null);
+
+    res.json({
+      success: true,
+      data: {
+        queries: history,
+        total: history.length
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/category-history:
+ *   delete:
+ *     summary: 清除查詢的分類歷史（管理員）
+ *     description: 清除後下次搜尋不再沿用先前的分類名稱
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 分類歷史已清除
+ *       404:
+ *         description: 此查詢沒有分類歷史
+ */
+router.delete('/category-history',
+  requireAdminToken,
+  [
+    query('query').trim().notEmpty().withMessage('缺少搜尋查詢')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    if (!smartLLMService.clearCategoryHistory(req.query.query)) {
+      return res.status(404).json({
+        success: false,
+        message: `查詢「${req.query.query}」沒有分類歷史`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '分類歷史已清除'
+    });
+  })
+);
+
+/**
+ * 覆寫規則欄位驗證 (prefix: 欄位前綴，例如試算時的 rule.)
+ */
+const overrideRuleValidators = (prefix = '') => [
+  body(`${prefix}name`).optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('規則名稱不能超過 100 個字元'),
+  body(`${prefix}pattern`).optional({ nullable: true }).isString().withMessage('pattern 必須是正規表示式字串'),
+  body(`${prefix}keywords`).optional({ nullable: true }).isArray({ min: 1 }).withMessage('keywords 必須是非空陣列'),
+  body(`${prefix}keywords.*`).optional().isString().trim().notEmpty().withMessage('關鍵字不能為空'),
+  body(`${prefix}query`).optional({ nullable: true }).isString().trim(),
+  body(`${prefix}platform`).optional({ nullable: true }).isString().trim(),
+  body(`${prefix}category`).optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('分類名稱必須是 1-50 個字元'),
+  body(`${prefix}parent`).optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('主分類名稱不能超過 50 個字元'),
+  body(`${prefix}enabled`).optional().isBoolean().withMessage('enabled 必須是布林值')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OverrideRule:
+ *       type: object
+ *       required: [category]
+ *       description: pattern 與 keywords 擇一；query、platform 未指定時適用所有查詢與平台
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "烏龜缸歸寵物用品"
+ *         pattern:
+ *           type: string
+ *           description: 商品名稱正規表示式 (不分大小寫，最多 200 字元；不接受巢狀量詞與反向參照)
+ *           example: "(烏龜|龜)缸"
+ *         keywords:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 商品名稱包含任一關鍵字即符合
+ *           example: ["缸", "過濾", "燈", "飼料"]
+ *         query:
+ *           type: string
+ *           description: 只在查詢包含此文字時套用
+ *           example: "龜"
+ *         platform:
+ *           type: string
+ *           description: 只套用於此平台的商品
+ *           example: "momo"
+ *         category:
+ *           type: string
+ *           example: "飼養缸"
+ *         parent:
+ *           type: string
+ *           example: "寵物用品"
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/llm/override-rules:
+ *   get:
+ *     summary: 列出分類覆寫規則
+ *     tags: [LLM]
+ *     responses:
+ *       200:
+ *         description: 分類覆寫規則列表 (依比對順序)
+ */
+router.get('/override-rules',
+  catchAsync(async (req, res) => {
+    const rules = smartLLMService.getOverrideRules();
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        total: rules.length
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/override-rules:
+ *   post:
+ *     summary: 新增分類覆寫規則（管理員）
+ *     tags: [LLM]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OverrideRule'
+ *     responses:
+ *       201:
+ *         description: 已建立的規則
+ */
+router.post('/override-rules',
+  requireAdminToken,
+  [
+    ...overrideRuleValidators(),
+    body('category').exists().withMessage('缺少目標分類')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求資料驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const ruleErrors = smartLLMService.validateOverrideRule(req.body);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: '無效的覆寫規則',
+        errors: ruleErrors
+      });
+    }
+
+    const rule = smartLLMService.addOverrideRule(req.body);
+
+    logger.info('分類覆寫規則已透過管理 API 新增', {
+      id: rule.id,
+      category: rule.category,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: '分類覆寫規則已建立',
+      data: rule
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/override-rules/dry-run:
+ *   post:
+ *     summary: 試算分類覆寫規則（管理員）
+ *     description: 列出查詢的快取搜尋結果中，會被此規則移到其他分類的商品；不會儲存規則
+ *     tags: [LLM]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query, rule]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 description: 已搜尋過 (30 分鐘內) 的查詢
+ *                 example: "烏龜"
+ *               rule:
+ *                 $ref: '#/components/schemas/OverrideRule'
+ *     responses:
+ *       200:
+ *         description: 符合規則的商品數與會被移動的商品 (原分類 → 新分類)
+ *       404:
+ *         description: 查詢沒有快取的搜尋結果
+ */
+router.post('/override-rules/dry-run',
+  requireAdminToken,
+  [
+    body('query').trim().notEmpty().withMessage('缺少搜尋查詢'),
+    body('rule').isObject().withMessage('缺少要試算的規則'),
+    ...overrideRuleValidators('rule.')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求資料驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const { query: searchQuery, rule } = req.body;
+    const ruleErrors = smartLLMService.validateOverrideRule(rule);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: '無效的覆寫規則',
+        errors: ruleErrors
+      });
+    }
+
+    const cached = getCachedSearch(searchQuery);
+    if (!cached) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到「${searchQuery}」的快取搜尋結果，請先執行一次搜尋`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        query: searchQuery,
+        cachedAt: new Date(cached.timestamp).toISOString(),
+        ...smartLLMService.previewOverrideRule(rule, cached.products, searchQuery)
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/override-rules/{id}:
+ *   put:
+ *     summary: 更新分類覆寫規則（管理員）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OverrideRule'
+ *     responses:
+ *       200:
+ *         description: 更新後的規則 (只變更有提供的欄位)
+ *       404:
+ *         description: 找不到規則
+ */
+router.put('/override-rules/:id',
+  requireAdminToken,
+  overrideRuleValidators(),
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求資料驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    let rule;
+    try {
+      rule = smartLLMService.updateOverrideRule(req.params.id, req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: '無效的覆寫規則',
+        errors: error.errors || [error.message]
+      });
+    }
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到分類覆寫規則 ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '分類覆寫規則已更新',
+      data: rule
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/override-rules/{id}:
+ *   delete:
+ *     summary: 刪除分類覆寫規則（管理員）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 規則已刪除
+ *       404:
+ *         description: 找不到規則
+ */
+router.delete('/override-rules/:id',
+  requireAdminToken,
+  catchAsync(async (req, res) => {
+    if (!smartLLMService.removeOverrideRule(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: `找不到分類覆寫規則 ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '分類覆寫規則已刪除'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/config:
+ *   get:
+ *     summary: 取得目前的 LLM 提供商與降級順序
+ *     tags: [LLM]
+ *     responses:
+ *       200:
+ *         description: 目前的執行期配置
+ */
+router.get('/config',
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        provider: smartLLMService.config.provider,
+        currentProvider: smartLLMService.currentProvider,
+        fallbackEnabled: smartLLMService.config.fallbackEnabled,
+        fallbackOrder: smartLLMService.config.fallbackOrder,
+        availableProviders: smartLLMService.getAvailableProviders()
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/config:
+ *   put:
+ *     summary: 執行期變更 LLM 提供商與降級順序（管理員）
+ *     tags: [LLM]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [auto, ollama, gemini, openai, keyword]
+ *                 example: "auto"
+ *               fallbackOrder:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["ollama", "keyword"]
+ *     responses:
+ *       200:
+ *         description: 變更後的配置
+ */
+router.put('/config',
+  requireAdminToken,
+  [
+    body('provider').optional().isIn(PROVIDER_NAMES).withMessage('無效的提供商'),
+    body('fallbackOrder').optional().isArray({ min: 1 }).withMessage('降級順序必須是非空陣列'),
+    body('fallbackOrder.*').optional().isIn(PROVIDER_NAMES.filter(name => name !== LLM_PROVIDERS.AUTO)).withMessage('降級順序包含無效的提供商'),
+    body().custom(value => value.provider !== undefined || value.fallbackOrder !== undefined)
+      .withMessage('至少需要提供 provider 或 fallbackOrder')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求資料驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const { provider, fallbackOrder } = req.body;
+
+    const configErrors = smartLLMService.validateRuntimeConfig({ provider, fallbackOrder });
+    if (configErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: '無法套用 LLM 配置',
+        errors: configErrors
+      });
+    }
+
+    const result = smartLLMService.updateRuntimeConfig({ provider, fallbackOrder });
+
+    logger.info('LLM 配置已透過管理 API 變更', {
+      provider: result.provider,
+      fallbackOrder: result.fallbackOrder,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'LLM 配置已更新',
+      data: result
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/circuit-breakers/{provider}/reset:
+ *   post:
+ *     summary: 手動重置提供商斷路器（管理員）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 提供商名稱
+ *         example: "gemini"
+ *     responses:
+ *       200:
+ *         description: 斷路器已重置
+ */
+router.post('/circuit-breakers/:provider/reset',
+  requireAdminToken,
+  [
+    param('provider').isIn(PROVIDER_NAMES).withMessage('無效的提供商')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求參數驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+
+    if (!smartLLMService.resetCircuitBreaker(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: `提供商 ${provider} 沒有斷路器紀錄`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${provider} 斷路器已重置`
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/prompts:
+ *   get:
+ *     summary: 取得 prompt 模板版本與流量分配
+ *     tags: [LLM]
+ *     responses:
+ *       200:
+ *         description: 各 prompt 模板的版本、適用條件與流量分配
+ */
+router.get('/prompts',
+  catchAsync(async (req, res) => {
+    res.json({
+      success: true,
+      data: smartLLMService.getPromptTemplates()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/llm/prompts/{id}/rollout:
+ *   put:
+ *     summary: 執行期變更 prompt 版本流量分配（管理員）
+ *     tags: [LLM]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "category-classification"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weights:
+ *                 type: object
+ *                 nullable: true
+ *                 additionalProperties:
+ *                   type: number
+ *                 description: 版本權重，null 表示清除分配並恢復使用 active 版本
+ *                 example: { "v1": 90, "v2": 10 }
+ *     responses:
+ *       200:
+ *         description: 變更後的流量分配
+ */
+router.put('/prompts/:id/rollout',
+  requireAdminToken,
+  [
+    param('id').isString().notEmpty().withMessage('無效的 prompt 模板 id'),
+    body('weights').exists().withMessage('缺少 weights')
+      .custom(value => value === null || (typeof value === 'object' && !Array.isArray(value)))
+      .withMessage('weights 必須是 { version: weight } 物件或 null')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '請求資料驗證失敗',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { weights } = req.body;
+
+    if (weights !== null) {
+      const rolloutErrors = smartLLMService.promptRegistry.validateRollout(id, weights);
+      if (rolloutErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: '無法套用 prompt 流量分配',
+          errors: rolloutErrors
+        });
+      }
+    }
+
+    const rollout = smartLLMService.updatePromptRollout(id, weights);
+
+    logger.info('Prompt 流量分配已透過管理 API 變更', {
+      id,
+      rollout,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Prompt 流量分配已更新',
+      data: { id, rollout }
+    });
+  })
+);
+
+module.exports = router;
@@ -497,8 +497,8 @@ router.post('/advanced',
  *         required: true
  *         schema:
  *           type: string
- *         description: 分類名稱
- *         example: "手機"
+ *         description: 分類名稱，可使用「主分類/子分類」路徑
+ *         example: "手機配件/保護殼"
  *       - in: query
  *         name: q
  *         required: true
@@ -529,7 +529,7 @@ router.post('/advanced',
  *       200:
  *         description: 分類商品詳情
  */
-router.get('/category/:categoryName',
+router.get('/category/:categoryName(*)',
   [
     query('q').optional(),
     query('page').optional().isInt({ min: 1 }).withMessage('頁數必須大於 0'),
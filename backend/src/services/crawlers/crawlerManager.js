@@ -1,6 +1,6 @@
 const PChomeCrawler = require('./pchomeCrawler');
 const MomoCrawler = require('./momoCrawler');
-const SmartLLMService = require('../smartLLMService');
+const { smartLLMService } = require('../nlp/nlpProcessor');
 const logger = require('../../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -8,7 +8,7 @@ const path = require('path');
 class CrawlerManager {
   constructor() {
     this.crawlers = new Map();
-    this.smartLLMService = new SmartLLMService();
+    this.smartLLMService = smartLLMService; // 與 /api/llm 管理端點共用同一個實例
     this.initializeCrawlers();
   }
 
@@ -23,46 +23,21 @@ class CrawlerManager {
   }
 
   /**
-   * 嘗試使用不同的 LLM 服務進行分類
+   * 使用智能 LLM 服務進行分類
+   * 依 LLM_PROVIDER / LLM_FALLBACK_ORDER 配置嘗試各提供商，最後一定以關鍵字匹配收尾
    */
   async tryLLMCategorization(products, keyword) {
-    try {
-      // 首先嘗試使用 Gemini
-      try {
-        logger.info('嘗試使用 Gemini 進行分類...');
-        const geminiResult = await this.smartLLMService.categorizeWithGemini(products, keyword);
-        if (geminiResult && geminiResult.categories) {
-          logger.info('成功使用 Gemini 完成分類');
-          return geminiResult;
-        }
-      } catch (geminiError) {
-        logger.warn('Gemini 分類失敗，將嘗試使用 Ollama', {
-          error: geminiError.message
-        });
-      }
+    const result = await this.smartLLMService.categorizeSearchResults(products, keyword);
 
-      // 如果 Gemini 失敗，嘗試使用 Ollama
-      try {
-        logger.info('嘗試使用 Ollama 進行分類...');
-        const ollamaResult = await this.smartLLMService.categorizeWithOllama(products, keyword);
-        if (ollamaResult && ollamaResult.categories) {
-          logger.info('成功使用 Ollama 完成分類');
-          return ollamaResult;
-        }
-      } catch (ollamaError) {
-        logger.error('Ollama 分類失敗', {
-          error: ollamaError.message
-        });
-        throw ollamaError;
-      }
-
-      throw new Error('所有 LLM 服務都失敗了');
-    } catch (error) {
+    if (!result.success) {
       logger.error('LLM 分類過程發生錯誤', {
-        error: error.message
+        error: result.error
       });
-      throw error;
+      throw new Error(result.error || '商品分類失敗');
     }
+
+    logger.info(`分類完成，使用模式: ${result.mode}`);
+    return result;
   }
 
   /**
@@ -126,6 +101,7 @@ class CrawlerManager {
           query: keyword,
           mode: 'category_summary',
           categories: [],
+          hierarchy: [],
           totalProducts: 0,
           platformResults: [],
           failedPlatforms,
@@ -152,6 +128,11 @@ class CrawlerManager {
           query: keyword,
           mode: 'category_summary',
           categories: categoryResult.categories,
+          hierarchy: categoryResult.hierarchy || [],
+          reconciliation: categoryResult.reconciliation || null,
+          review: categoryResult.review || null,
+          classificationMode: categoryResult.mode,
+          promptVersion: categoryResult.promptVersion || null,
           totalProducts: allProducts.length,
           platformResults: successfulResults,
           failedPlatforms,
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { normalizeText, productKey } = require('./correctionStore');
+const { areCategoryNamesEquivalent } = require('../nlp/categoryMerger');
+
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * 每個查詢的分類歷史 - 記錄同一 (標準化) 查詢先前使用過的分類名稱與其中的商品，
+ * 作為下次分類的偏好名稱，並將語意等價的新分類名稱對應回既有名稱，避免重複搜尋時分類名稱漂移
+ */
+class CategoryHistory {
+  constructor({
+    enabled = true,
+    file = 'data/llm-category-history.json',
+    overlapThreshold = 0.5,
+    maxLabels = 20,
+    maxQueries = 500,
+    maxProductsPerLabel = 100
+  } = {}) {
+    this.enabled = enabled;
+    this.file = file;
+    this.overlapThreshold = overlapThreshold;
+    this.maxLabels = maxLabels;
+    this.maxQueries = maxQueries;
+    this.maxProductsPerLabel = maxProductsPerLabel;
+    this.queries = {}; // 標準化查詢 -> { query, labels, searches, updatedAt }
+    this.saveTimer = null;
+
+    if (enabled) {
+      this.load();
+    }
+  }
+
+  /**
+   * 讀取持久化的分類歷史 (檔案不存在或損毀時從空白開始)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        this.queries = JSON.parse(fs.readFileSync(this.file, 'utf8')).queries || {};
+        logger.info(`🗂️  載入 ${Object.keys(this.queries).length} 個查詢的分類歷史`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  無法讀取分類歷史: ${error.message}`);
+      this.queries = {};
+    }
+  }
+
+  /**
+   * 延遲寫檔，避免每次搜尋都寫入磁碟
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * 立即寫入尚未寫檔的分類歷史 (關閉服務前呼叫)
+   */
+  flush() {
+    if (!this.saveTimer) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ queries: this.queries }, null, 2));
+    } catch (error) {
+      logger.warn(`⚠️  無法寫入分類歷史: ${error.message}`);
+    }
+  }
+
+  /**
+   * 查詢先前使用過的分類 (出現次數多到少)
+   */
+  getLabels(query) {
+    if (!this.enabled) return [];
+
+    const entry = this.queries[normalizeText(query)];
+    if (!entry) return [];
+    return [...entry.labels].sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+  }
+
+  /**
+   * 將新分類對應到既有分類 - 名稱等價，或新分類的商品有 overlapThreshold 以上先前屬於同一既有分類
+   * 每個既有分類只對應一個新分類 (商品多的優先)，回傳 分類位置 -> 既有分類
+   */
+  matchLabels(categories, products, query) {
+    const matches = new Map();
+    const labels = this.getLabels(query);
+    if (labels.length === 0) return matches;
+
+    const claimed = new Set();
+    const order = categories
+      .map((category, position) => ({ category, position }))
+      .sort((a, b) => (b.category.productIndexes || []).length - (a.category.productIndexes || []).length);
+
+    for (const { category, position } of order) {
+      const keys = (category.productIndexes || []).map(index => productKey(products[index]));
+      let best = null;
+
+      labels.forEach(label => {
+        if (claimed.has(label)) return;
+
+        const labelProducts = new Set(label.products);
+        const overlap = keys.length > 0 ? keys.filter(key => labelProducts.has(key)).length / keys.length : 0;
+        const nameMatch = areCategoryNamesEquivalent(category.name, label.name);
+        if (!nameMatch && overlap < this.overlapThreshold) return;
+
+        // 名稱等價優先，其次商品重疊比例較高者
+        const score = (nameMatch ? 1 : 0) + overlap;
+        if (!best || score > best.score) {
+          best = { label, score };
+        }
+      });
+
+      if (best) {
+        claimed.add(best.label);
+        matches.set(position, best.label);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * 記錄這次搜尋的分類 (name、parent、productIndexes)
+   */
+  record(query, categories, products) {
+    if (!this.enabled) return;
+
+    const key = normalizeText(query);
+    if (!key) return;
+
+    const now = new Date().toISOString();
+    const entry = this.queries[key] || { query: String(query).trim(), labels: [], searches: 0 };
+    entry.searches++;
+    entry.updatedAt = now;
+
+    categories.forEach(category => {
+      const parent = category.parent || null;
+      let label = entry.labels.find(existing => existing.name === category.name && existing.parent === parent);
+      if (!label) {
+        label = { name: category.name, parent, products: [], count: 0, firstSeen: now };
+        entry.labels.push(label);
+      }
+
+      const keys = (category.productIndexes || []).map(index => productKey(products[index]));
+      label.products = [...new Set([...keys, ...label.products])].slice(0, this.maxProductsPerLabel);
+      label.count++;
+      label.lastSeen = now;
+    });
+
+    // 只保留較常出現的分類
+    entry.labels = entry.labels
+      .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen))
+      .slice(0, this.maxLabels);
+
+    delete this.queries[key];
+    this.queries[key] = entry;
+    const keys = Object.keys(this.queries);
+    if (keys.length > this.maxQueries) {
+      keys.slice(0, keys.length - this.maxQueries).forEach(oldKey => delete this.queries[oldKey]);
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * 列出分類歷史 (不含商品清單)，指定查詢時只回傳該查詢
+   */
+  list(query = null) {
+    const entries = query === null ?
+      Object.values(this.queries) :
+      [this.queries[normalizeText(query)]].filter(Boolean);
+
+    return entries
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(entry => ({
+        query: entry.query,
+        searches: entry.searches,
+        updatedAt: entry.updatedAt,
+        labels: [...entry.labels]
+          .sort((a, b) => b.count - a.count)
+          .map(({ products, ...label }) => ({ ...label, productCount: products.length }))
+      }));
+  }
+
+  /**
+   * 清除查詢的分類歷史 (下次搜尋重新命名)，找不到時回傳 false
+   */
+  clear(query) {
+    const key = normalizeText(query);
+    if (!this.queries[key]) return false;
+
+    delete this.queries[key];
+    this.scheduleSave();
+    return true;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      queries: Object.keys(this.queries).length,
+      overlapThreshold: this.overlapThreshold
+    };
+  }
+}
+
+module.exports = CategoryHistory;
@@ -0,0 +1,127 @@
+const logger = require('../../utils/logger');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * LLM 提供商斷路器
+ * closed: 正常請求；連續失敗達門檻 (或遇到限流、服務未運行) 時轉為 open
+ * open: 略過此提供商，冷卻時間過後轉為 half_open
+ * half_open: 只放行一個探測請求，成功則 closed，失敗則重新 open
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * 是否允許發送請求 (half_open 狀態下只允許一個探測請求)
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() < this.openUntil) {
+        return false;
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.probeInFlight = false;
+      logger.info(`🔌 ${this.name} 斷路器進入半開狀態，允許一次探測請求`);
+    }
+
+    if (this.probeInFlight) {
+      return false;
+    }
+
+    this.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * 記錄成功 - 關閉斷路器
+   */
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info(`🔌 ${this.name} 探測成功，斷路器關閉`);
+    }
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * 記錄失敗 - immediate 為 true 時直接開啟斷路器 (例如 429 限流、服務未運行)
+   */
+  recordFailure(error, { immediate = false, cooldownMs } = {}) {
+    this.consecutiveFailures++;
+    this.lastError = error?.message || null;
+
+    const shouldOpen = this.state === CIRCUIT_STATES.HALF_OPEN ||
+      immediate ||
+      this.consecutiveFailures >= this.failureThreshold;
+
+    if (shouldOpen) {
+      this.open(cooldownMs || this.cooldownMs);
+    }
+  }
+
+  /**
+   * 釋放探測名額 - 探測請求被取消 (例如對沖請求落敗) 時不影響斷路器狀態
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * 開啟斷路器
+   */
+  open(cooldownMs) {
+    this.state = CIRCUIT_STATES.OPEN;
+    this.openedAt = Date.now();
+    this.openUntil = this.openedAt + cooldownMs;
+    this.probeInFlight = false;
+
+    logger.warn(`🔌 ${this.name} 斷路器開啟 (連續失敗 ${this.consecutiveFailures} 次)，${Math.round(cooldownMs / 1000)} 秒後探測`);
+  }
+
+  /**
+   * 手動重置斷路器
+   */
+  reset() {
+    this.recordSuccess();
+  }
+
+  /**
+   * 獲取斷路器狀態
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
@@ -0,0 +1,283 @@
+const logger = require('../../utils/logger');
+const { areCategoryNamesEquivalent } = require('../nlp/categoryMerger');
+const { LLM_PROVIDERS } = require('../../config/llm');
+
+/**
+ * 離線分類評估 - 以標註資料集比較各提供商的分類品質
+ *
+ * 資料集格式:
+ * {
+ *   name, description,
+ *   labelAliases: { "手機配件/保護殼": ["手機殼"] },
+ *   cases: [{
+ *     query,
+ *     products: [{ name, price, platform, label: "主分類/子分類" }],
+ *     recordedResponses: { ollama: [[第 1 次執行的回應...], [第 2 次執行的回應...]] }
+ *   }]
+ * }
+ */
+
+/**
+ * 預測分類是否符合標註 (比對子分類名稱、完整路徑與別名)
+ */
+const isLabelMatch = (category, label, aliases = []) => {
+  if (!category || !label) return false;
+
+  const leaf = label.split('/').pop();
+  return [label, leaf, ...aliases].some(name =>
+    category.path === name || areCategoryNamesEquivalent(category.name, name)
+  );
+};
+
+/**
+ * 計算單次分類的品質指標
+ * accuracy: 分類名稱符合標註的商品比例
+ * purity: 不看名稱，每個分類中最多數標註所佔的比例 (衡量分群是否正確)
+ */
+const scoreClassification = (categories, products, labelAliases = {}) => {
+  const predicted = new Array(products.length).fill(null);
+  categories.forEach(category => {
+    (category.productIndexes || []).forEach(index => {
+      predicted[index] = category;
+    });
+  });
+
+  const correct = products.filter((product, index) =>
+    isLabelMatch(predicted[index], product.label, labelAliases[product.label])
+  ).length;
+
+  const purityHits = categories.reduce((sum, category) => {
+    const counts = new Map();
+    (category.productIndexes || []).forEach(index => {
+      const label = products[index].label;
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+    return sum + (counts.size > 0 ? Math.max(...counts.values()) : 0);
+  }, 0);
+
+  return {
+    accuracy: products.length > 0 ? correct / products.length : 0,
+    purity: products.length > 0 ? purityHits / products.length : 0,
+    categoryCount: categories.length,
+    expectedCategoryCount: new Set(products.map(product => product.label)).size
+  };
+};
+
+const round = (value, digits = 4) => (value === null ? null : Number(value.toFixed(digits)));
+
+const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+};
+
+/**
+ * 彙總多次執行結果
+ * stability: 分類數量等於最常見數量的執行比例 (1 表示每次分類數量都相同)
+ * meanAbsError: 分類數量與標註分類數量的平均差距
+ */
+const summarizeRuns = (runs) => {
+  const successful = runs.filter(run => run.ok);
+  const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+  const mean = (items, key) => (items.length > 0 ? sum(items, key) / items.length : null);
+
+  const counts = successful.map(run => run.categoryCount);
+  const countFrequency = new Map();
+  counts.forEach(count => countFrequency.set(count, (countFrequency.get(count) || 0) + 1));
+  const modalCount = countFrequency.size > 0 ? Math.max(...countFrequency.values()) : 0;
+
+  const latencies = successful.map(run => run.latency).sort((a, b) => a - b);
+  const productTotal = sum(successful, 'productCount');
+  const responses = sum(runs, 'responses');
+
+  return {
+    runs: runs.length,
+    successRate: round(runs.length > 0 ? successful.length / runs.length : 0),
+    accuracy: round(mean(successful, 'accuracy')),
+    purity: round(mean(successful, 'purity')),
+    categoryCount: {
+      mean: round(mean(successful, 'categoryCount'), 2),
+      min: counts.length > 0 ? Math.min(...counts) : null,
+      max: counts.length > 0 ? Math.max(...counts) : null,
+      expected: runs[0]?.expectedCategoryCount ?? null,
+      meanAbsError: round(mean(successful.map(run => ({
+        error: Math.abs(run.categoryCount - run.expectedCategoryCount)
+      })), 'error'), 2),
+      stability: round(successful.length > 0 ? modalCount / successful.length : null)
+    },
+    droppedIndexRate: round(productTotal > 0 ? sum(successful, 'droppedIndexes') / productTotal : null),
+    jsonRepairRate: round(responses > 0 ? sum(runs, 'jsonRepairs') / responses : null),
+    latency: {
+      avg: latencies.length > 0 ? Math.round(mean(successful, 'latency')) : null,
+      p50: percentile(latencies, 50),
+      p90: percentile(latencies, 90)
+    },
+    errors: [...new Set(runs.filter(run => !run.ok).map(run => run.error))]
+  };
+};
+
+/**
+ * 錄製回應替身 - 取代提供商的網路請求，依序回傳資料集中錄製的回應
+ * 同一次執行中的修正重問、遺漏重問會依序取用下一筆回應
+ */
+const installRecordedStandIn = (service, recordedResponses, runIndex) => {
+  const cursors = new Map();
+
+  service.checkOllamaHealth = async () => true;
+  service.requestProvider = async (provider) => {
+    const runs = recordedResponses?.[provider] || [];
+    if (runs.length === 0) {
+      throw new Error(`沒有 ${provider} 的錄製回應`);
+    }
+
+    const responses = runs[runIndex % runs.length];
+    const cursor = cursors.get(provider) || 0;
+    if (cursor >= responses.length) {
+      throw new Error(`${provider} 的錄製回應不足 (第 ${cursor + 1} 次請求)`);
+    }
+
+    cursors.set(provider, cursor + 1);
+    const response = responses[cursor];
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  };
+};
+
+/**
+ * 計算請求次數 (包含修正重問與遺漏重問)
+ */
+const countRequests = (service) => {
+  const counter = { requests: 0 };
+  const requestProvider = service.requestProvider.bind(service);
+  service.requestProvider = async (...args) => {
+    counter.requests++;
+    return await requestProvider(...args);
+  };
+  return counter;
+};
+
+/**
+ * 需要修復的回應數 - 本地 JSON 修復成功，或格式錯誤而觸發修正重問
+ */
+const countRepairs = (service, provider) => {
+  const output = service.outputStats.get(provider) || {};
+  return (output.jsonRepairs || 0) + (output.reprompts || 0);
+};
+
+/**
+ * 以單一提供商分類一個案例一次 (不經過降級流程，失敗即記錄為失敗)
+ */
+const runCase = async (service, provider, testCase, labelAliases, { mode, runIndex }) => {
+  if (mode === 'recorded' && provider !== LLM_PROVIDERS.KEYWORD) {
+    installRecordedStandIn(service, testCase.recordedResponses, runIndex);
+  }
+  const counter = countRequests(service);
+  const repairsBefore = countRepairs(service, provider);
+
+  const startTime = Date.now();
+  try {
+    const result = await service.classifyWithProvider(provider, testCase.products, testCase.query);
+    const score = scoreClassification(result.categories, testCase.products, labelAliases);
+
+    return {
+      ok: true,
+      ...score,
+      latency: Date.now() - startTime,
+      productCount: testCase.products.length,
+      droppedIndexes: result.reconciliation?.missingIndexes?.length || 0,
+      responses: counter.requests,
+      jsonRepairs: countRepairs(service, provider) - repairsBefore
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      latency: Date.now() - startTime,
+      productCount: testCase.products.length,
+      expectedCategoryCount: new Set(testCase.products.map(product => product.label)).size,
+      responses: counter.requests,
+      jsonRepairs: 0
+    };
+  }
+};
+
+/**
+ * 判斷提供商在指定模式下能否評估
+ * recorded 模式只評估有錄製回應的提供商與關鍵字匹配
+ */
+const canEvaluate = (provider, datasets, mode, availableProviders) => {
+  if (provider === LLM_PROVIDERS.KEYWORD) return true;
+  if (mode === 'recorded') {
+    return datasets.some(dataset => dataset.cases.some(testCase => testCase.recordedResponses?.[provider]?.length));
+  }
+  return availableProviders.includes(provider);
+};
+
+/**
+ * 執行評估 - 每個提供商使用獨立的服務實例，避免統計與替身互相影響
+ * createService: () => SmartLLMService 實例
+ */
+const runEvaluation = async (createService, datasets, { providers, runs = 1, mode = 'recorded' } = {}) => {
+  const report = {
+    mode,
+    runs,
+    generatedAt: new Date().toISOString(),
+    providers: {},
+    skipped: []
+  };
+  const availableProviders = createService().getAvailableProviders();
+
+  for (const provider of providers) {
+    if (!canEvaluate(provider, datasets, mode, availableProviders)) {
+      report.skipped.push(provider);
+      continue;
+    }
+
+    logger.info(`📏 評估 ${provider.toUpperCase()} (${mode} 模式，每個案例執行 ${runs} 次)`);
+    const datasetReports = {};
+    const allRuns = [];
+
+    for (const dataset of datasets) {
+      const caseReports = [];
+      for (const testCase of dataset.cases) {
+        if (mode === 'recorded' && provider !== LLM_PROVIDERS.KEYWORD && !testCase.recordedResponses?.[provider]?.length) {
+          continue;
+        }
+
+        const caseRuns = [];
+        for (let runIndex = 0; runIndex < runs; runIndex++) {
+          const service = createService();
+          caseRuns.push(await runCase(service, provider, testCase, dataset.labelAliases || {}, { mode, runIndex }));
+        }
+        allRuns.push(...caseRuns);
+        caseReports.push({ query: testCase.query, ...summarizeRuns(caseRuns) });
+      }
+      if (caseReports.length > 0) {
+        datasetReports[dataset.name] = caseReports;
+      }
+    }
+
+    // 分類數量穩定度只在同一案例的多次執行間有意義，跨案例取平均
+    const summary = summarizeRuns(allRuns);
+    const caseStabilities = Object.values(datasetReports).flat()
+      .map(caseReport => caseReport.categoryCount.stability)
+      .filter(stability => stability !== null);
+    summary.categoryCount.expected = null;
+    summary.categoryCount.stability = round(caseStabilities.length > 0 ?
+      caseStabilities.reduce((total, stability) => total + stability, 0) / caseStabilities.length : null);
+
+    report.providers[provider] = {
+      summary,
+      datasets: datasetReports
+    };
+  }
+
+  return report;
+};
+
+module.exports = {
+  isLabelMatch,
+  scoreClassification,
+  summarizeRuns,
+  installRecordedStandIn,
+  runEvaluation
+};
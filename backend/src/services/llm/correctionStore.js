@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * 標準化查詢 (小寫、移除空白與標點)
+ */
+const normalizeText = (text = '') => String(text)
+  .toLowerCase()
+  .replace(/[\s\p{P}\p{S}]+/gu, '');
+
+/**
+ * 商品識別鍵 - 以標準化的商品名稱判斷是否為同一商品 (不同平台的同名商品視為同一商品)
+ */
+const productKey = (product = {}) => normalizeText(product.name);
+
+/**
+ * 查詢相似度 - 字元二元組的 Dice 係數 (中文查詢沒有空白分詞)
+ */
+const querySimilarity = (a, b) => {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const bigrams = (text) => {
+    const chars = [...text];
+    if (chars.length === 1) return chars;
+    return chars.slice(0, -1).map((char, index) => char + chars[index + 1]);
+  };
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  const rightCounts = new Map();
+  rightBigrams.forEach(bigram => rightCounts.set(bigram, (rightCounts.get(bigram) || 0) + 1));
+
+  let overlap = 0;
+  leftBigrams.forEach(bigram => {
+    const count = rightCounts.get(bigram) || 0;
+    if (count > 0) {
+      overlap++;
+      rightCounts.set(bigram, count - 1);
+    }
+  });
+
+  return (2 * overlap) / (leftBigrams.length + rightBigrams.length);
+};
+
+const CORRECTION_STATUS = {
+  PENDING: 'pending',   // 使用者送出，等待管理員審核 (不影響分類)
+  APPROVED: 'approved'  // 管理員送出或已審核通過
+};
+
+/**
+ * 是否為已核准的修正 (舊版資料沒有 status，視為已核准)
+ */
+const isApproved = (correction) => correction.status !== CORRECTION_STATUS.PENDING;
+
+/**
+ * 使用者分類修正 - 使用者將某查詢結果中的商品改到其他分類，持久化到 JSON 檔
+ * 使用者送出的修正需經管理員核准；已核准的類似查詢修正作為 few-shot 範例加入分類 prompt，
+ * 同一商品在類似查詢再次出現時直接套用修正
+ */
+class CorrectionStore {
+  constructor({
+    enabled = true,
+    file = 'data/llm-corrections.json',
+    similarityThreshold = 0.4,
+    maxExamples = 5,
+    maxCorrections = 1000,
+    maxPending = 200
+  } = {}) {
+    this.enabled = enabled;
+    this.file = file;
+    this.similarityThreshold = similarityThreshold;
+    this.maxExamples = maxExamples;
+    this.maxCorrections = maxCorrections;
+    this.maxPending = maxPending;
+    this.corrections = [];
+
+    if (enabled) {
+      this.load();
+    }
+  }
+
+  /**
+   * 讀取持久化的修正 (檔案不存在或損毀時從空白開始)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        this.corrections = JSON.parse(fs.readFileSync(this.file, 'utf8')).corrections || [];
+        logger.info(`✏️  載入 ${this.corrections.length} 筆使用者分類修正`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  無法讀取使用者分類修正: ${error.message}`);
+      this.corrections = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ corrections: this.corrections }, null, 2));
+    } catch (error) {
+      logger.warn(`⚠️  無法寫入使用者分類修正: ${error.message}`);
+    }
+  }
+
+  /**
+   * 新增修正 - approved 為 false 時存為待審核
+   * 同一查詢的同一商品只保留最新一筆已核准與最新一筆待審核的修正
+   */
+  add({ query, product, category, parent = null, previousCategory = null }, { approved = true } = {}) {
+    const key = productKey(product);
+    const status = approved ? CORRECTION_STATUS.APPROVED : CORRECTION_STATUS.PENDING;
+    const correction = {
+      id: crypto.randomUUID(),
+      query: String(query).trim(),
+      productKey: key,
+      product: {
+        name: product.name,
+        platform: product.platform || null,
+        url: product.url || null
+      },
+      category,
+      parent: parent || null,
+      previousCategory: previousCategory || null,
+      status,
+      createdAt: new Date().toISOString()
+    };
+
+    this.corrections = this.corrections.filter(existing =>
+      !(this.isSameTarget(existing, correction) && existing.status === status)
+    );
+    this.corrections.push(correction);
+    this.trim();
+
+    this.save();
+    logger.info(`✏️  使用者${approved ? '修正' : '送出待審核的'}分類: 「${product.name}」→ ${correction.parent ? `${correction.parent}/` : ''}${category} (查詢「${correction.query}」)`);
+    return correction;
+  }
+
+  /**
+   * 核准待審核的修正 (取代同一查詢同一商品既有的修正)，找不到待審核的修正時回傳 null
+   */
+  approve(id) {
+    const correction = this.corrections.find(existing => existing.id === id && !isApproved(existing));
+    if (!correction) return null;
+
+    this.corrections = this.corrections.filter(existing =>
+      existing === correction || !(this.isSameTarget(existing, correction) && isApproved(existing))
+    );
+    correction.status = CORRECTION_STATUS.APPROVED;
+    correction.approvedAt = new Date().toISOString();
+
+    this.save();
+    logger.info(`✏️  核准分類修正: 「${correction.product.name}」→ ${correction.parent ? `${correction.parent}/` : ''}${correction.category}`);
+    return correction;
+  }
+
+  /**
+   * 是否為同一查詢的同一商品
+   */
+  isSameTarget(a, b) {
+    return a.productKey === b.productKey && normalizeText(a.query) === normalizeText(b.query);
+  }
+
+  /**
+   * 限制修正數量 - 待審核與已核准各自保留最新的 maxPending / maxCorrections 筆
+   */
+  trim() {
+    const pending = this.corrections.filter(correction => !isApproved(correction));
+    const approved = this.corrections.filter(isApproved);
+    const keep = new Set([
+      ...pending.slice(-this.maxPending),
+      ...approved.slice(-this.maxCorrections)
+    ]);
+    this.corrections = this.corrections.filter(correction => keep.has(correction));
+  }
+
+  /**
+   * 刪除修正，找不到時回傳 false
+   */
+  remove(id) {
+    const before = this.corrections.length;
+    this.corrections = this.corrections.filter(correction => correction.id !== id);
+    if (this.corrections.length === before) return false;
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * 列出修正 (新到舊)，指定查詢時只回傳類似查詢的修正
+   */
+  list(query = null, status = CORRECTION_STATUS.APPROVED) {
+    return this.findSimilar(query, status).map(({ correction }) => correction);
+  }
+
+  /**
+   * 類似查詢的修正與相似度 (相似度高到低，相同時新到舊)，預設只包含已核准的修正
+   */
+  findSimilar(query, status = CORRECTION_STATUS.APPROVED) {
+    return this.corrections
+      .filter(correction => (status === CORRECTION_STATUS.APPROVED) === isApproved(correction))
+      .map(correction => ({
+        correction,
+        similarity: query === null ? 1 : querySimilarity(query, correction.query)
+      }))
+      .filter(({ similarity }) => similarity >= this.similarityThreshold)
+      .sort((a, b) => b.similarity - a.similarity || b.correction.createdAt.localeCompare(a.correction.createdAt));
+  }
+
+  /**
+   * 作為 few-shot 範例的修正 (每個商品只取一筆)
+   */
+  findExamples(query) {
+    if (!this.enabled) return [];
+
+    const seen = new Set();
+    return this.findSimilar(query)
+      .filter(({ correction }) => !seen.has(correction.productKey) && seen.add(correction.productKey))
+      .slice(0, this.maxExamples)
+      .map(({ correction }) => correction);
+  }
+
+  /**
+   * 此查詢下各商品應套用的修正 (同一商品、類似查詢中最相近的一筆)，回傳 商品索引 -> 修正
+   */
+  findOverrides(products, query) {
+    const overrides = new Map();
+    if (!this.enabled || this.corrections.length === 0) return overrides;
+
+    const byProduct = new Map();
+    this.findSimilar(query).forEach(({ correction }) => {
+      if (!byProduct.has(correction.productKey)) {
+        byProduct.set(correction.productKey, correction);
+      }
+    });
+
+    products.forEach((product, index) => {
+      const correction = byProduct.get(productKey(product));
+      if (correction) overrides.set(index, correction);
+    });
+    return overrides;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      total: this.corrections.filter(isApproved).length,
+      pending: this.corrections.filter(correction => !isApproved(correction)).length,
+      similarityThreshold: this.similarityThreshold
+    };
+  }
+}
+
+module.exports = CorrectionStore;
+module.exports.CORRECTION_STATUS = CORRECTION_STATUS;
+module.exports.querySimilarity = querySimilarity;
+module.exports.productKey = productKey;
+module.exports.normalizeText = normalizeText;
@@ -0,0 +1,156 @@
+const { Matrix } = require('ml-matrix');
+const logger = require('../../utils/logger');
+
+/**
+ * 將每一列正規化為單位向量 (之後內積即為餘弦相似度)
+ */
+const normalizeRows = (matrix) => {
+  const normalized = matrix.clone();
+  for (let i = 0; i < normalized.rows; i++) {
+    const row = normalized.getRow(i);
+    const norm = Math.sqrt(row.reduce((sum, value) => sum + value * value, 0)) || 1;
+    normalized.setRow(i, row.map(value => value / norm));
+  }
+  return normalized;
+};
+
+/**
+ * 最遠點初始化 - 第一個中心取第 0 筆，之後每次取與現有中心最不相似的一筆
+ * 不使用隨機數，同一組向量永遠得到相同的分群結果
+ */
+const initCentroids = (vectors, similarity, k) => {
+  const chosen = [0];
+  while (chosen.length < k) {
+    let candidate = -1;
+    let lowestSimilarity = Infinity;
+    for (let i = 0; i < vectors.rows; i++) {
+      if (chosen.includes(i)) continue;
+      const closest = Math.max(...chosen.map(index => similarity.get(i, index)));
+      if (closest < lowestSimilarity) {
+        lowestSimilarity = closest;
+        candidate = i;
+      }
+    }
+    chosen.push(candidate);
+  }
+  return new Matrix(chosen.map(index => vectors.getRow(index)));
+};
+
+/**
+ * 球面 k-means (以餘弦相似度分配群組)
+ */
+const kMeans = (vectors, similarity, k, maxIterations = 50) => {
+  let centroids = initCentroids(vectors, similarity, k);
+  let labels = new Array(vectors.rows).fill(-1);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const scores = vectors.mmul(centroids.transpose());
+    let changed = false;
+
+    for (let i = 0; i < vectors.rows; i++) {
+      const row = scores.getRow(i);
+      const best = row.indexOf(Math.max(...row));
+      if (labels[i] !== best) {
+        labels[i] = best;
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+
+    const nextCentroids = [];
+    for (let cluster = 0; cluster < k; cluster++) {
+      const members = labels.map((label, index) => (label === cluster ? index : -1)).filter(index => index >= 0);
+      if (members.length === 0) {
+        // 空群組沿用原中心
+        nextCentroids.push(centroids.getRow(cluster));
+        continue;
+      }
+      const sum = new Array(vectors.columns).fill(0);
+      members.forEach(index => {
+        vectors.getRow(index).forEach((value, column) => {
+          sum[column] += value;
+        });
+      });
+      nextCentroids.push(sum.map(value => value / members.length));
+    }
+    centroids = normalizeRows(new Matrix(nextCentroids));
+  }
+
+  return labels;
+};
+
+/**
+ * 計算平均輪廓係數 (餘弦距離)，用於挑選群組數量
+ */
+const silhouetteScore = (similarity, labels, k) => {
+  const n = labels.length;
+  let total = 0;
+
+  for (let i = 0; i < n; i++) {
+    const distanceSums = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      distanceSums[labels[j]] += 1 - similarity.get(i, j);
+      counts[labels[j]]++;
+    }
+
+    const own = labels[i];
+    if (counts[own] === 0) continue; // 單一成員群組的輪廓係數視為 0
+
+    const a = distanceSums[own] / counts[own];
+    let b = Infinity;
+    for (let cluster = 0; cluster < k; cluster++) {
+      if (cluster === own || counts[cluster] === 0) continue;
+      b = Math.min(b, distanceSums[cluster] / counts[cluster]);
+    }
+    if (b === Infinity) continue;
+
+    total += (b - a) / Math.max(a, b, Number.EPSILON);
+  }
+
+  return total / n;
+};
+
+/**
+ * 將嵌入向量分群，自動在 [minClusters, maxClusters] 範圍內挑選輪廓係數最高的群組數
+ * 回傳每個向量的群組編號 (0 開始，連續編號)
+ */
+const clusterEmbeddings = (embeddings, { minClusters = 2, maxClusters = 12 } = {}) => {
+  if (embeddings.length <= 2) {
+    return embeddings.map(() => 0);
+  }
+
+  const vectors = normalizeRows(new Matrix(embeddings));
+  const similarity = vectors.mmul(vectors.transpose());
+  const upper = Math.min(maxClusters, embeddings.length - 1);
+  const lower = Math.min(minClusters, upper);
+
+  let best = { k: 1, score: -Infinity, labels: embeddings.map(() => 0) };
+  for (let k = lower; k <= upper; k++) {
+    const labels = kMeans(vectors, similarity, k);
+    const score = silhouetteScore(similarity, labels, k);
+    logger.debug(`🧮 k=${k} 輪廓係數 ${score.toFixed(3)}`);
+    if (score > best.score) {
+      best = { k, score, labels };
+    }
+  }
+
+  // 重新編號，移除空群組
+  const remap = new Map();
+  const labels = best.labels.map(label => {
+    if (!remap.has(label)) remap.set(label, remap.size);
+    return remap.get(label);
+  });
+
+  logger.info(`🧮 嵌入分群完成: ${embeddings.length} 個商品 → ${remap.size} 群 (輪廓係數 ${best.score.toFixed(3)})`);
+  return labels;
+};
+
+module.exports = {
+  normalizeRows,
+  kMeans,
+  silhouetteScore,
+  clusterEmbeddings
+};
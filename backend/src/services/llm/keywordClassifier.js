@@ -0,0 +1,246 @@
+const taxonomy = require('../../config/taxonomy');
+
+const DEFAULT_WEIGHTS = {
+  subcategory: 1,   // 子分類關鍵字
+  category: 0.8,    // 主分類關鍵字
+  synonym: 0.5,     // 同義詞擴展後符合的關鍵字
+  brand: 0.4        // 品牌別名 (依品牌的分類對照)
+};
+
+/**
+ * 文字是否包含詞彙
+ * 中文標題沒有空白分詞，中文與其他詞彙以子字串比對；純英數詞彙前後不可緊接英文字母 (避免 mi 命中 mini)
+ */
+const containsTerm = (lowerText, term) => {
+  const lowerTerm = term.toLowerCase();
+  if (!/^[a-z0-9 ]+$/.test(lowerTerm)) {
+    return lowerText.includes(lowerTerm);
+  }
+
+  let index = lowerText.indexOf(lowerTerm);
+  while (index !== -1) {
+    const before = lowerText[index - 1] || '';
+    const after = lowerText[index + lowerTerm.length] || '';
+    if (!/[a-z]/.test(before) && !/[a-z]/.test(after)) return true;
+    index = lowerText.indexOf(lowerTerm, index + 1);
+  }
+  return false;
+};
+
+/**
+ * 計分式關鍵字分類 - 依子分類關鍵字、主分類關鍵字、同義詞擴展與品牌別名加權計分，
+ * 分數相同時以搜尋查詢命中的詞彙決定；最高分低於 minScore 時歸入預設分類
+ * 分類規則、同義詞與品牌在每次分類時從 taxonomy 讀取 (支援熱重新載入)
+ */
+class KeywordClassifier {
+  constructor({ weights = {}, minScore = 0.4, defaultCategory = '其他商品', confidence = {} } = {}) {
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.minScore = minScore;
+    this.defaultCategory = defaultCategory;
+    this.confidence = confidence;
+  }
+
+  /**
+   * 分類商品名稱，回傳 { category, parent, score, confidence, rule, reason }
+   * 符合查詢規則時直接採用，否則依計分結果
+   */
+  classify(productName, searchQuery = '') {
+    const queryMatch = searchQuery ? this.matchQueryRule(productName, searchQuery) : null;
+    if (queryMatch) return queryMatch;
+
+    const ranked = [...this.scoreCandidates(productName).values()]
+      .filter(candidate => candidate.score > 0)
+      .map(candidate => ({ ...candidate, score: this.round(candidate.score) }));
+
+    if (ranked.length === 0 || Math.max(...ranked.map(candidate => candidate.score)) < this.minScore) {
+      const best = ranked.sort((a, b) => b.score - a.score)[0];
+      return {
+        category: this.defaultCategory,
+        parent: null,
+        score: best ? best.score : 0,
+        confidence: this.confidence.default,
+        rule: null,
+        reason: best ?
+          `最高分 ${best.score} (${best.name}) 低於門檻 ${this.minScore}` :
+          '沒有符合的關鍵字規則'
+      };
+    }
+
+    // 同分時依序比較: 查詢命中分數、命中關鍵字總長度 (較具體)、子分類優先、規則順序
+    const queryScores = searchQuery ? this.scoreCandidates(searchQuery) : new Map();
+    ranked.forEach(candidate => {
+      // 查詢只命中主分類時，其子分類也視為符合查詢
+      const [type] = candidate.rule.split('.');
+      candidate.queryScore = queryScores.get(candidate.rule)?.score || queryScores.get(type)?.score || 0;
+    });
+    ranked.sort((a, b) =>
+      b.score - a.score ||
+      b.queryScore - a.queryScore ||
+      b.matchedLength - a.matchedLength ||
+      Number(b.isSubcategory) - Number(a.isSubcategory) ||
+      a.order - b.order
+    );
+
+    const [top, runnerUp] = ranked;
+    const decidedByQuery = runnerUp && runnerUp.score === top.score && top.queryScore > runnerUp.queryScore;
+    return {
+      category: top.name,
+      parent: top.parent,
+      score: top.score,
+      confidence: top.isSubcategory ? this.confidence.subcategory : this.confidence.category,
+      rule: top.rule,
+      reason: `${top.hits.join('、')} 符合規則 ${top.rule.replace('.', ' › ')} (分數 ${top.score}` +
+        `${decidedByQuery ? `，與 ${runnerUp.name} 同分，依查詢「${searchQuery}」決定` : ''})`
+    };
+  }
+
+  /**
+   * 查詢規則 - 搜尋查詢與商品名稱都命中規則的詞彙時，歸到規則指定的分類
+   */
+  matchQueryRule(productName, searchQuery) {
+    const lowerName = String(productName).toLowerCase();
+    const lowerQuery = String(searchQuery).toLowerCase();
+    const rules = taxonomy.getKeywordRules();
+
+    for (const queryRule of taxonomy.getQueryRules()) {
+      const queryHit = queryRule.query.find(term => containsTerm(lowerQuery, term));
+      const nameHit = queryHit && queryRule.keywords.find(keyword => containsTerm(lowerName, keyword));
+      if (!nameHit) continue;
+
+      const [type, subCategory] = queryRule.rule.split('.');
+      return {
+        category: subCategory || rules[type].category,
+        parent: subCategory ? rules[type].category : null,
+        score: null,
+        confidence: this.confidence.query,
+        rule: `QUERY.${queryRule.name}`,
+        reason: `查詢含「${queryHit}」且商品名稱含「${nameHit}」(查詢規則 ${queryRule.name})`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 計算每個主分類與子分類的分數 (子分類分數包含所屬主分類的分數)，回傳 規則 -> 候選分類
+   */
+  scoreCandidates(text) {
+    const lowerText = String(text).toLowerCase();
+    const expanded = this.expandSynonyms(lowerText);
+    const brandTargets = this.matchBrands(lowerText);
+    const candidates = new Map();
+    let order = 0;
+
+    for (const [type, rule] of Object.entries(taxonomy.getKeywordRules())) {
+      const typeCandidate = {
+        name: rule.category,
+        parent: null,
+        rule: type,
+        isSubcategory: false,
+        order: order++,
+        ...this.scoreKeywords(rule.keywords, lowerText, expanded, this.weights.category)
+      };
+      this.addBrandScore(typeCandidate, brandTargets.get(type));
+      candidates.set(type, typeCandidate);
+
+      for (const [subCategory, subKeywords] of Object.entries(rule.subcategories || {})) {
+        const ruleName = `${type}.${subCategory}`;
+        const own = this.scoreKeywords(subKeywords, lowerText, expanded, this.weights.subcategory);
+        const subCandidate = {
+          name: subCategory,
+          parent: rule.category,
+          rule: ruleName,
+          isSubcategory: true,
+          order: order++,
+          score: own.score,
+          hits: own.hits,
+          matchedLength: own.matchedLength
+        };
+        this.addBrandScore(subCandidate, brandTargets.get(ruleName));
+
+        // 只有子分類本身有命中時才比主分類更具體
+        if (subCandidate.score > 0) {
+          subCandidate.score += typeCandidate.score;
+          subCandidate.hits = [...new Set([...subCandidate.hits, ...typeCandidate.hits])];
+          subCandidate.matchedLength += typeCandidate.matchedLength;
+        }
+        candidates.set(ruleName, subCandidate);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 關鍵字命中分數 - 每個直接命中的關鍵字計一次權重，只經同義詞擴展命中的計同義詞權重
+   */
+  scoreKeywords(keywords = [], lowerText, expanded, weight) {
+    let score = 0;
+    let matchedLength = 0;
+    const hits = [];
+
+    keywords.forEach(keyword => {
+      const lowerKeyword = keyword.toLowerCase();
+      if (containsTerm(lowerText, lowerKeyword)) {
+        score += weight;
+        matchedLength += keyword.length;
+        hits.push(`關鍵字「${keyword}」`);
+      } else if (expanded.has(lowerKeyword)) {
+        score += this.weights.synonym;
+        hits.push(`同義詞「${expanded.get(lowerKeyword)}→${keyword}」`);
+      }
+    });
+
+    return { score, hits, matchedLength };
+  }
+
+  addBrandScore(candidate, brands) {
+    if (!brands) return;
+    candidate.score += this.weights.brand * brands.length;
+    candidate.hits = [...candidate.hits, ...brands.map(brand => `品牌「${brand}」`)];
+  }
+
+  /**
+   * 同義詞擴展 - 文字包含同義詞時加入對應的標準詞 (與查詢分析相同，只從同義詞擴展到標準詞)，
+   * 回傳 標準詞 -> 原始命中詞
+   */
+  expandSynonyms(lowerText) {
+    const expanded = new Map();
+
+    for (const [key, synonyms] of taxonomy.getSynonyms()) {
+      if (containsTerm(lowerText, key)) continue;
+
+      const matched = synonyms.find(term => containsTerm(lowerText, term));
+      if (matched) {
+        expanded.set(key.toLowerCase(), matched);
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * 文字提到的品牌對應的分類規則，回傳 規則 (類型或「類型.子分類」) -> 品牌陣列
+   */
+  matchBrands(lowerText) {
+    const targets = new Map();
+    const brandCategories = taxonomy.getBrandCategories();
+
+    for (const [brand, aliases] of taxonomy.getBrandAliases()) {
+      if (![brand, ...aliases].some(alias => containsTerm(lowerText, alias))) continue;
+
+      (brandCategories.get(brand) || []).forEach(rule => {
+        targets.set(rule, [...(targets.get(rule) || []), brand]);
+      });
+    }
+
+    return targets;
+  }
+
+  round(score) {
+    return Math.round(score * 100) / 100;
+  }
+}
+
+module.exports = KeywordClassifier;
+module.exports.containsTerm = containsTerm;
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// 可由 API 設定的規則欄位
+const RULE_FIELDS = ['name', 'pattern', 'keywords', 'query', 'platform', 'category', 'parent', 'enabled'];
+
+// 正規表示式長度上限 (每次分類都會對所有商品名稱執行)
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * 檢查正規表示式是否可能造成災難性回溯，回傳問題描述 (安全時回傳 null)
+ * 拒絕反向參照，以及內含量詞或選擇 (|) 又被 *、+、{n,} 重複的群組，例如 (a+)+、(\w|\d)*
+ */
+const findBacktrackingRisk = (pattern) => {
+  const groups = [{ quantified: false, alternation: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return '不允許使用反向參照';
+      i++;
+    } else if (char === '[') {
+      // 略過字元集合內容
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      if (pattern[i + 1] === '?') i++;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : current;
+      const repeated = /^(?:[*+]|\{\d+,\d*\})/.test(pattern.slice(i + 1));
+      if (repeated && (group.quantified || group.alternation)) {
+        return '不允許重複內含量詞或選擇的群組 (巢狀量詞)';
+      }
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || group.quantified || repeated;
+      parent.alternation = parent.alternation || group.alternation;
+    } else if (char === '|') {
+      current.alternation = true;
+    } else if (char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+,\d*\}/.test(pattern.slice(i)))) {
+      current.quantified = true;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 驗證正規表示式 (長度、災難性回溯與語法)，回傳錯誤訊息 (有效時回傳 null)
+ */
+const checkPattern = (pattern) => {
+  if (String(pattern).length > MAX_PATTERN_LENGTH) {
+    return `正規表示式不能超過 ${MAX_PATTERN_LENGTH} 個字元`;
+  }
+
+  const risk = findBacktrackingRisk(String(pattern));
+  if (risk) return `正規表示式可能造成過度回溯: ${risk}`;
+
+  try {
+    new RegExp(pattern, 'i');
+    return null;
+  } catch (error) {
+    return `無效的正規表示式: ${pattern}`;
+  }
+};
+
+/**
+ * 編譯規則的正規表示式 (不分大小寫)，無效或不安全時回傳 null
+ */
+const compilePattern = (pattern) => (checkPattern(pattern) ? null : new RegExp(pattern, 'i'));
+
+/**
+ * 管理員分類覆寫規則 - 商品名稱符合正規表示式或關鍵字時強制歸到指定分類，持久化到 JSON 檔
+ * 可限定查詢 (查詢包含指定文字) 或平台；規則依建立順序比對，第一條符合的規則生效
+ */
+class OverrideRuleStore {
+  constructor({ enabled = true, file = 'data/llm-override-rules.json' } = {}) {
+    this.enabled = enabled;
+    this.file = file;
+    this.rules = [];
+    this.patterns = new Map(); // 規則 id -> 編譯後的正規表示式
+
+    if (enabled) {
+      this.load();
+    }
+  }
+
+  /**
+   * 讀取持久化的規則 (檔案不存在或損毀時從空白開始)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        this.rules = JSON.parse(fs.readFileSync(this.file, 'utf8')).rules || [];
+        this.rules.forEach(rule => this.compile(rule));
+        // 檔案中無效或不安全的正規表示式不會生效
+        this.rules
+          .filter(rule => rule.pattern && !this.patterns.get(rule.id))
+          .forEach(rule => logger.warn(`⚠️  分類覆寫規則 ${this.describe(rule)} 無效，已略過: ${checkPattern(rule.pattern)}`));
+        logger.info(`📌 載入 ${this.rules.length} 條分類覆寫規則`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  無法讀取分類覆寫規則: ${error.message}`);
+      this.rules = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ rules: this.rules }, null, 2));
+    } catch (error) {
+      logger.warn(`⚠️  無法寫入分類覆寫規則: ${error.message}`);
+    }
+  }
+
+  compile(rule) {
+    if (rule.pattern) {
+      this.patterns.set(rule.id, compilePattern(rule.pattern));
+    } else {
+      this.patterns.delete(rule.id);
+    }
+  }
+
+  /**
+   * 驗證規則，回傳錯誤訊息陣列 (空陣列表示有效)
+   */
+  validate(rule) {
+    const errors = [];
+    const hasPattern = Boolean(rule.pattern);
+    const hasKeywords = Array.isArray(rule.keywords) && rule.keywords.length > 0;
+
+    if (hasPattern === hasKeywords) {
+      errors.push('規則必須指定 pattern 或 keywords 其中之一');
+    }
+    const patternError = hasPattern ? checkPattern(rule.pattern) : null;
+    if (patternError) {
+      errors.push(patternError);
+    }
+    if (!rule.category) {
+      errors.push('缺少目標分類 category');
+    }
+    return errors;
+  }
+
+  /**
+   * 標準化規則欄位 (未指定的條件存為 null)
+   */
+  normalize(rule) {
+    return {
+      name: rule.name || null,
+      pattern: rule.pattern || null,
+      keywords: rule.pattern ? null : rule.keywords.map(keyword => String(keyword).trim()).filter(Boolean),
+      query: rule.query || null,
+      platform: rule.platform || null,
+      category: rule.category,
+      parent: rule.parent || null,
+      enabled: rule.enabled !== false
+    };
+  }
+
+  /**
+   * 新增規則 (呼叫前應先以 validate 驗證)
+   */
+  add(rule) {
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      ...this.normalize(rule),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.rules.push(created);
+    this.compile(created);
+    this.save();
+    logger.info(`📌 新增分類覆寫規則: ${this.describe(created)} → ${created.parent ? `${created.parent}/` : ''}${created.category}`);
+    return created;
+  }
+
+  /**
+   * 更新規則，找不到時回傳 null；更新後的規則無效時拋出錯誤 (errors 為錯誤訊息陣列)
+   */
+  update(id, changes) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return null;
+
+    const merged = { ...this.rules[index] };
+    RULE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) merged[field] = changes[field];
+    });
+    // 改用另一種比對方式時清除原本的比對條件
+    if (changes.pattern) merged.keywords = null;
+    if (changes.keywords) merged.pattern = null;
+
+    const errors = this.validate(merged);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.errors = errors;
+      throw error;
+    }
+
+    const updated = {
+      id,
+      ...this.normalize(merged),
+      createdAt: this.rules[index].createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    this.rules[index] = updated;
+    this.compile(updated);
+    this.save();
+    return updated;
+  }
+
+  /**
+   * 刪除規則，找不到時回傳 false
+   */
+  remove(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    if (this.rules.length === before) return false;
+
+    this.patterns.delete(id);
+    this.save();
+    return true;
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  /**
+   * 規則是否適用於此商品與查詢
+   */
+  matches(rule, product = {}, searchQuery = '') {
+    if (rule.enabled === false) return false;
+    if (rule.query && !String(searchQuery).toLowerCase().includes(rule.query.toLowerCase())) return false;
+    if (rule.platform && String(product.platform || '').toLowerCase() !== rule.platform.toLowerCase()) return false;
+
+    const name = String(product.name || '');
+    if (rule.pattern) {
+      const pattern = this.patterns.has(rule.id) ? this.patterns.get(rule.id) : compilePattern(rule.pattern);
+      return Boolean(pattern?.test(name));
+    }
+
+    const lowerName = name.toLowerCase();
+    return (rule.keywords || []).some(keyword => lowerName.includes(keyword.toLowerCase()));
+  }
+
+  /**
+   * 此查詢下各商品符合的第一條規則，回傳 商品索引 -> 規則
+   */
+  findOverrides(products, searchQuery, rules = this.rules) {
+    const overrides = new Map();
+    if (!this.enabled || rules.length === 0) return overrides;
+
+    products.forEach((product, index) => {
+      const rule = rules.find(candidate => this.matches(candidate, product, searchQuery));
+      if (rule) overrides.set(index, rule);
+    });
+    return overrides;
+  }
+
+  /**
+   * 規則的比對條件描述 (用於日誌與分類原因)
+   */
+  describe(rule) {
+    const condition = rule.pattern ? `/${rule.pattern}/` : `「${(rule.keywords || []).join('、')}」`;
+    return rule.name ? `${rule.name} ${condition}` : condition;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      total: this.rules.length,
+      active: this.rules.filter(rule => rule.enabled !== false).length
+    };
+  }
+}
+
+module.exports = OverrideRuleStore;
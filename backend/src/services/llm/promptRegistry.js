@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * 將含 * 萬用字元的模型名稱轉換為正規表達式
+ */
+const wildcardToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+/**
+ * 將字串穩定對應到 0-99 的流量分桶 (同一個 key 永遠落在同一個桶)
+ */
+const bucketOf = (key) => {
+  const hash = crypto.createHash('md5').update(String(key)).digest();
+  return hash.readUInt32BE(0) % 100;
+};
+
+/**
+ * Prompt 模板登錄表 - 版本管理、依提供商與模型選用變體、依流量權重分流
+ */
+class PromptRegistry {
+  constructor(templates = [], rollout = {}) {
+    this.templates = new Map(); // id -> [template]
+    this.rollout = new Map();   // id -> { version: weight }
+
+    templates.forEach(template => this.register(template));
+    Object.entries(rollout).forEach(([id, weights]) => {
+      const errors = this.validateRollout(id, weights);
+      if (errors.length > 0) {
+        logger.warn(`⚠️  忽略無效的 prompt 流量分配 ${id}: ${errors.join('; ')}`);
+        return;
+      }
+      this.rollout.set(id, { ...weights });
+    });
+  }
+
+  /**
+   * 登錄模板 (同一 id 下 version 不可重複)
+   */
+  register(template) {
+    const { id, version } = template;
+    if (!id || !version || typeof template.template !== 'string') {
+      throw new Error('Prompt 模板必須包含 id、version 與 template');
+    }
+
+    const versions = this.templates.get(id) || [];
+    if (versions.some(existing => existing.version === version)) {
+      throw new Error(`Prompt 模板 ${id}@${version} 已存在`);
+    }
+
+    versions.push({ status: 'active', match: {}, ...template });
+    this.templates.set(id, versions);
+  }
+
+  /**
+   * 取得指定版本的模板
+   */
+  get(id, version) {
+    return (this.templates.get(id) || []).find(template => template.version === version) || null;
+  }
+
+  /**
+   * 模板是否適用於提供商與模型，回傳精確度 (-1 表示不適用)
+   */
+  matchScore(template, { provider, model }) {
+    const { providers, models } = template.match || {};
+    let score = 0;
+
+    if (providers?.length) {
+      if (!providers.includes(provider)) return -1;
+      score += 1;
+    }
+
+    if (models?.length) {
+      if (!model || !models.some(pattern => wildcardToRegExp(pattern).test(model))) return -1;
+      score += 2;
+    }
+
+    return score;
+  }
+
+  /**
+   * 選用模板 - 先取符合條件且最精確的變體，再依流量權重在這些變體間分流
+   * key 決定分桶 (例如搜尋查詢)，同一個 key 會穩定使用同一版本
+   */
+  select(id, { provider = null, model = null, key = '' } = {}) {
+    const scored = (this.templates.get(id) || [])
+      .map(template => ({ template, score: this.matchScore(template, { provider, model }) }))
+      .filter(({ score }) => score >= 0);
+
+    if (scored.length === 0) {
+      throw new Error(`沒有適用的 prompt 模板: ${id} (${provider || '-'} / ${model || '-'})`);
+    }
+
+    const bestScore = Math.max(...scored.map(({ score }) => score));
+    const candidates = scored.filter(({ score }) => score === bestScore).map(({ template }) => template);
+
+    const weights = this.rollout.get(id) || {};
+    const weighted = candidates.filter(template => (weights[template.version] || 0) > 0);
+    if (weighted.length > 0) {
+      const total = weighted.reduce((sum, template) => sum + weights[template.version], 0);
+      const point = (bucketOf(`${id}:${key}`) / 100) * total;
+      let cumulative = 0;
+      for (const template of weighted) {
+        cumulative += weights[template.version];
+        if (point < cumulative) return template;
+      }
+      return weighted[weighted.length - 1];
+    }
+
+    const active = candidates.filter(template => template.status !== 'candidate');
+    return (active.length > 0 ? active : candidates)[0];
+  }
+
+  /**
+   * 選用並填入模板變數，回傳 prompt 文字與版本
+   */
+  render(id, variables = {}, context = {}) {
+    const template = this.select(id, context);
+    const text = template.template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder
+    ));
+
+    return {
+      id,
+      version: template.version,
+      label: `${id}@${template.version}`,
+      text
+    };
+  }
+
+  /**
+   * 驗證流量分配設定
+   */
+  validateRollout(id, weights) {
+    const errors = [];
+    if (!this.templates.has(id)) {
+      return [`prompt 模板 ${id} 不存在`];
+    }
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+      return ['流量分配必須是 { version: weight } 物件'];
+    }
+
+    Object.entries(weights).forEach(([version, weight]) => {
+      if (!this.get(id, version)) {
+        errors.push(`版本 ${id}@${version} 不存在`);
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        errors.push(`版本 ${version} 的權重必須是非負數`);
+      }
+    });
+
+    if (errors.length === 0 && Object.values(weights).every(weight => weight === 0)) {
+      errors.push('至少需要一個版本的權重大於 0');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 執行期間變更流量分配
+   */
+  setRollout(id, weights) {
+    const errors = this.validateRollout(id, weights);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.rollout.set(id, { ...weights });
+    logger.info(`🧪 Prompt 流量分配變更: ${id} → ${Object.entries(weights).map(([version, weight]) => `${version}:${weight}`).join(', ')}`);
+    return this.rollout.get(id);
+  }
+
+  /**
+   * 清除流量分配 (恢復使用 active 版本)
+   */
+  clearRollout(id) {
+    return this.rollout.delete(id);
+  }
+
+  /**
+   * 列出所有模板 (不含模板內容) 與流量分配
+   */
+  list() {
+    return [...this.templates.entries()].map(([id, versions]) => ({
+      id,
+      rollout: this.rollout.get(id) || null,
+      versions: versions.map(({ version, status, description, match }) => ({
+        version,
+        status,
+        description: description || null,
+        match: match || {}
+      }))
+    }));
+  }
+}
+
+module.exports = PromptRegistry;
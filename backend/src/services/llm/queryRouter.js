@@ -0,0 +1,129 @@
+const taxonomy = require('../../config/taxonomy');
+const { processSearchQuery } = require('../nlp/queryAnalyzer');
+const { containsTerm } = require('./keywordClassifier');
+
+const ROUTE_TIERS = {
+  SMALL: 'small',   // 明確的查詢 (品牌 + 規格)，Ollama 小模型即可
+  LARGE: 'large',   // 一般查詢，Ollama 大模型
+  GEMINI: 'gemini'  // 模糊且結果分散的查詢，優先使用 Gemini
+};
+
+/**
+ * 商品名稱命中的關鍵字分類規則主分類 (含子分類關鍵字)，與關鍵字分類使用相同的詞彙比對
+ */
+const matchRuleTypes = (name = '') => {
+  const lowerName = String(name).toLowerCase();
+  const types = [];
+
+  for (const [type, rule] of Object.entries(taxonomy.getKeywordRules())) {
+    const keywords = [
+      ...(rule.keywords || []),
+      ...Object.values(rule.subcategories || {}).flat()
+    ];
+    if (keywords.some(keyword => containsTerm(lowerName, keyword))) {
+      types.push(type);
+    }
+  }
+
+  return types;
+};
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * 查詢複雜度路由 - 依查詢模糊度 (processSearchQuery 的意圖與實體) 與搜尋結果的分散程度
+ * (關鍵字分類規則命中的主分類分布) 計算 0-1 分數，決定使用 Ollama 小模型、大模型或 Gemini
+ */
+class QueryRouter {
+  constructor({
+    smallModel,
+    largeModel,
+    smallThreshold = 0.35,
+    geminiThreshold = 0.7,
+    queryWeight = 0.6
+  } = {}) {
+    this.smallModel = smallModel;
+    this.largeModel = largeModel;
+    this.smallThreshold = smallThreshold;
+    this.geminiThreshold = geminiThreshold;
+    this.queryWeight = queryWeight;
+  }
+
+  /**
+   * 計算路由決策
+   */
+  async route(products, searchQuery) {
+    const analysis = await processSearchQuery(searchQuery || '');
+    const queryAmbiguity = this.scoreQueryAmbiguity(analysis);
+    const { heterogeneity, keywordCoverage, dominantRule } = this.scoreHeterogeneity(products);
+    const score = clamp(this.queryWeight * queryAmbiguity + (1 - this.queryWeight) * heterogeneity);
+
+    let tier = ROUTE_TIERS.LARGE;
+    if (score < this.smallThreshold) {
+      tier = ROUTE_TIERS.SMALL;
+    } else if (score >= this.geminiThreshold) {
+      tier = ROUTE_TIERS.GEMINI;
+    }
+
+    return {
+      tier,
+      score: Number(score.toFixed(3)),
+      queryAmbiguity: Number(queryAmbiguity.toFixed(3)),
+      heterogeneity: Number(heterogeneity.toFixed(3)),
+      // Ollama 使用的模型 (優先 Gemini 時，降級到 Ollama 仍使用大模型)
+      modelSize: tier === ROUTE_TIERS.SMALL ? ROUTE_TIERS.SMALL : ROUTE_TIERS.LARGE,
+      model: tier === ROUTE_TIERS.SMALL ? this.smallModel : this.largeModel,
+      signals: {
+        intent: analysis.intent?.type || null,
+        brands: analysis.entities?.brands || [],
+        specifications: analysis.entities?.specifications || [],
+        keywordCoverage: Number(keywordCoverage.toFixed(3)),
+        dominantRule
+      }
+    };
+  }
+
+  /**
+   * 查詢模糊度 - 意圖信心度越低、缺少品牌/規格/數字時越模糊
+   */
+  scoreQueryAmbiguity({ intent = {}, entities = {} }) {
+    let ambiguity = 1 - (intent.confidence ?? 0.5);
+    if (!entities.brands?.length) ambiguity += 0.25;
+    if (!entities.specifications?.length) ambiguity += 0.2;
+    if (!entities.numbers?.length) ambiguity += 0.1;
+    return clamp(ambiguity);
+  }
+
+  /**
+   * 結果分散程度 - 關鍵字規則無法解釋的商品比例，與命中商品中非最大主分類的比例各佔一半
+   */
+  scoreHeterogeneity(products = []) {
+    if (products.length === 0) {
+      return { heterogeneity: 0, keywordCoverage: 0, dominantRule: null };
+    }
+
+    const ruleCounts = new Map();
+    let matched = 0;
+    products.forEach(product => {
+      const types = matchRuleTypes(product.name);
+      if (types.length === 0) return;
+      matched++;
+      types.forEach(type => ruleCounts.set(type, (ruleCounts.get(type) || 0) + 1));
+    });
+
+    const [dominantRule, dominantCount] = [...ruleCounts.entries()]
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    const keywordCoverage = matched / products.length;
+    const spread = matched > 0 ? 1 - dominantCount / matched : 1;
+
+    return {
+      heterogeneity: clamp(0.5 * (1 - keywordCoverage) + 0.5 * spread),
+      keywordCoverage,
+      dominantRule
+    };
+  }
+}
+
+module.exports = QueryRouter;
+module.exports.ROUTE_TIERS = ROUTE_TIERS;
+module.exports.matchRuleTypes = matchRuleTypes;
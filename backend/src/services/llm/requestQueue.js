@@ -0,0 +1,171 @@
+const logger = require('../../utils/logger');
+
+const QUEUE_FULL = 'LLM_QUEUE_FULL';
+const QUEUE_TIMEOUT = 'LLM_QUEUE_TIMEOUT';
+
+// 保留的等待時間與執行時間樣本數
+const SAMPLE_SIZE = 100;
+
+/**
+ * 是否為佇列拒絕的請求 (佇列已滿或等待過久，應直接改用下一個提供商)
+ */
+const isQueueRejection = (error) => error?.code === QUEUE_FULL || error?.code === QUEUE_TIMEOUT;
+
+/**
+ * 百分位數 (已排序樣本)
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)];
+};
+
+/**
+ * LLM 提供商請求佇列 - 限制同時執行的請求數
+ * 佇列已滿、預估等待時間超過 maxWaitMs 或實際等待超過 maxWaitMs 時拒絕請求
+ */
+class RequestQueue {
+  constructor(name, { concurrency = 1, maxQueueLength = 10, maxWaitMs = 30000 } = {}) {
+    this.name = name;
+    this.concurrency = Math.max(concurrency, 1);
+    this.maxQueueLength = maxQueueLength;
+    this.maxWaitMs = maxWaitMs;
+
+    this.active = 0;
+    this.waiting = []; // { resolve, timer }
+    this.waitTimes = [];
+    this.runTimes = [];
+    this.stats = { completed: 0, queued: 0, rejectedFull: 0, rejectedWait: 0, timedOut: 0, cancelled: 0, maxDepth: 0 };
+  }
+
+  /**
+   * 在佇列中執行 task，signal 中止時移出佇列
+   */
+  async run(task, signal = null) {
+    const enqueuedAt = Date.now();
+    await this.acquire(signal);
+    this.recordSample(this.waitTimes, Date.now() - enqueuedAt);
+
+    const startTime = Date.now();
+    try {
+      return await task();
+    } finally {
+      this.recordSample(this.runTimes, Date.now() - startTime);
+      this.stats.completed++;
+      this.release();
+    }
+  }
+
+  /**
+   * 取得執行名額
+   */
+  acquire(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.waiting.length >= this.maxQueueLength) {
+      this.stats.rejectedFull++;
+      return Promise.reject(this.createError(QUEUE_FULL, `${this.name} 佇列已滿 (${this.waiting.length} 個請求等待中)`));
+    }
+
+    const estimatedWait = this.estimateWait();
+    if (estimatedWait !== null && estimatedWait > this.maxWaitMs) {
+      this.stats.rejectedWait++;
+      return Promise.reject(this.createError(QUEUE_TIMEOUT, `${this.name} 預估等待 ${estimatedWait}ms，超過 ${this.maxWaitMs}ms`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {};
+      const remove = () => {
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.waiting.splice(this.waiting.indexOf(entry), 1);
+      };
+      const onAbort = () => {
+        remove();
+        this.stats.cancelled++;
+        reject(signal.reason);
+      };
+
+      entry.resolve = () => {
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      entry.timer = setTimeout(() => {
+        remove();
+        this.stats.timedOut++;
+        reject(this.createError(QUEUE_TIMEOUT, `${this.name} 佇列等待超過 ${this.maxWaitMs}ms`));
+      }, this.maxWaitMs);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.waiting.push(entry);
+      this.stats.queued++;
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.waiting.length);
+      logger.debug(`⏳ ${this.name} 請求排隊中 (佇列 ${this.waiting.length}，執行中 ${this.active})`);
+    });
+  }
+
+  /**
+   * 釋放名額並交給佇列中的下一個請求
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * 預估新請求的等待時間 - 前方請求數 / 同時執行數 × 平均執行時間 (尚無樣本時回傳 null)
+   */
+  estimateWait() {
+    if (this.runTimes.length === 0) return null;
+
+    const avgRunTime = this.runTimes.reduce((sum, time) => sum + time, 0) / this.runTimes.length;
+    return Math.round(Math.ceil((this.waiting.length + 1) / this.concurrency) * avgRunTime);
+  }
+
+  recordSample(samples, value) {
+    samples.push(value);
+    if (samples.length > SAMPLE_SIZE) {
+      samples.shift();
+    }
+  }
+
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  getStats() {
+    const waitTimes = [...this.waitTimes].sort((a, b) => a - b);
+
+    return {
+      concurrency: this.concurrency,
+      maxQueueLength: this.maxQueueLength,
+      maxWaitMs: this.maxWaitMs,
+      active: this.active,
+      depth: this.waiting.length,
+      estimatedWaitMs: this.active < this.concurrency ? 0 : this.estimateWait(),
+      waitTime: {
+        avg: waitTimes.length > 0 ? Math.round(waitTimes.reduce((sum, time) => sum + time, 0) / waitTimes.length) : null,
+        p50: percentile(waitTimes, 50),
+        p90: percentile(waitTimes, 90),
+        max: waitTimes.length > 0 ? waitTimes[waitTimes.length - 1] : null
+      },
+      ...this.stats
+    };
+  }
+}
+
+module.exports = RequestQueue;
+module.exports.isQueueRejection = isQueueRejection;
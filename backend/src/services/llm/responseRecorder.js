@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const RECORDING_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const RECORDING_MISS = 'LLM_RECORDING_MISS';
+
+/**
+ * 計算請求雜湊 - 同一提供商的相同 prompt 對應同一筆錄製
+ */
+const hashRequest = (provider, prompt) => {
+  const content = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+  return crypto.createHash('sha256').update(`${provider}\n${content}`).digest('hex');
+};
+
+/**
+ * 是否為重播模式找不到錄製的錯誤 (不應降級到其他提供商)
+ */
+const isRecordingMiss = (error) => error?.code === RECORDING_MISS;
+
+/**
+ * LLM 請求錄製與重播
+ * record: 實際呼叫提供商，並將請求與回應 (或錯誤) 以 prompt 雜湊存檔
+ * replay: 只讀取錄製檔，不發送網路請求；找不到錄製時拋出 LLM_RECORDING_MISS 錯誤
+ */
+class ResponseRecorder {
+  constructor({ mode = RECORDING_MODES.OFF, dir = 'recordings/llm' } = {}) {
+    if (!Object.values(RECORDING_MODES).includes(mode)) {
+      throw new Error(`不支援的錄製模式: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.dir = dir;
+    this.stats = { recorded: 0, replayed: 0, misses: 0 };
+
+    if (mode !== RECORDING_MODES.OFF) {
+      logger.info(`📼 LLM 請求${mode === RECORDING_MODES.RECORD ? '錄製' : '重播'}模式: ${path.resolve(dir)}`);
+    }
+  }
+
+  isReplay() {
+    return this.mode === RECORDING_MODES.REPLAY;
+  }
+
+  isRecording() {
+    return this.mode === RECORDING_MODES.RECORD;
+  }
+
+  /**
+   * 錄製檔路徑
+   */
+  filePath(provider, hash) {
+    return path.join(this.dir, `${provider}-${hash}.json`);
+  }
+
+  /**
+   * 依模式處理請求 - request 為實際發送請求的函數
+   * meta 會一併寫入錄製檔 (例如模型名稱)，方便檢視
+   */
+  async run(provider, prompt, request, meta = {}) {
+    if (this.mode === RECORDING_MODES.OFF) {
+      return await request();
+    }
+
+    const hash = hashRequest(provider, prompt);
+    if (this.isReplay()) {
+      return this.replay(provider, prompt, hash);
+    }
+
+    try {
+      const response = await request();
+      this.save(provider, prompt, hash, meta, { response });
+      return response;
+    } catch (error) {
+      this.save(provider, prompt, hash, meta, {
+        error: {
+          message: error.message,
+          code: error.code || null,
+          status: error.response?.status || null
+        }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 讀取錄製 - 錄製的錯誤會以相同訊息、代碼與 HTTP 狀態重新拋出
+   */
+  replay(provider, prompt, hash) {
+    const file = this.filePath(provider, hash);
+    if (!fs.existsSync(file)) {
+      this.stats.misses++;
+      const preview = (typeof prompt === 'string' ? prompt : JSON.stringify(prompt)).slice(0, 80).replace(/\s+/g, ' ');
+      const error = new Error(
+        `找不到 ${provider.toUpperCase()} 的錄製回應 (${hash.slice(0, 12)})，請以 LLM_RECORDING_MODE=record 重新錄製: ${file} ← "${preview}..."`
+      );
+      error.code = RECORDING_MISS;
+      error.recording = { provider, hash, file };
+      logger.error(`📼 ${error.message}`);
+      throw error;
+    }
+
+    const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.stats.replayed++;
+    logger.debug(`📼 重播 ${provider.toUpperCase()} 錄製回應 ${hash.slice(0, 12)}`);
+
+    if (recording.error) {
+      const error = new Error(recording.error.message);
+      if (recording.error.code) error.code = recording.error.code;
+      if (recording.error.status) error.response = { status: recording.error.status };
+      throw error;
+    }
+
+    return recording.response;
+  }
+
+  /**
+   * 寫入錄製檔 (同一雜湊覆寫為最新一次結果)
+   */
+  save(provider, prompt, hash, meta, outcome) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.filePath(provider, hash), JSON.stringify({
+        provider,
+        hash,
+        ...meta,
+        recordedAt: new Date().toISOString(),
+        prompt,
+        ...outcome
+      }, null, 2));
+      this.stats.recorded++;
+      logger.debug(`📼 已錄製 ${provider.toUpperCase()} ${outcome.error ? '錯誤' : '回應'} ${hash.slice(0, 12)}`);
+    } catch (error) {
+      logger.warn(`⚠️  無法寫入 LLM 錄製檔: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      dir: this.dir,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ResponseRecorder;
+module.exports.RECORDING_MODES = RECORDING_MODES;
+module.exports.hashRequest = hashRequest;
+module.exports.isRecordingMiss = isRecordingMiss;
@@ -0,0 +1,66 @@
+/**
+ * Token 預算工具 - 估算 prompt token 數、移除商品標題的行銷字詞、依 token 數截斷文字
+ *
+ * 估算採保守的字元比例 (不載入各模型的 tokenizer):
+ * 中日韓文字與全形符號約 1 字 1 token，其他字元約 4 字 1 token
+ */
+
+const CJK_PATTERN = /[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+const CHARS_PER_TOKEN = 4;
+
+// 電商標題常見的行銷字詞 (不影響分類判斷)
+const MARKETING_PATTERNS = [
+  /[【\[(（](?:[^】\])）]*?)(?:免運|現貨|限時|特價|熱銷|爆款|下殺|\d+折|優惠|促銷|出貨|秒殺|新品|預購|保證|贈|送)(?:[^】\])）]*?)[】\])）]/g,
+  /(?:台灣)?(?:現貨|快速|24[hH小時]*|當日|隔日)出貨/g,
+  /免運(?:費)?|限時(?:特價|優惠|搶購)?|買\d*送\d*|買一送一|下殺\d*(?:折|%)?|破盤價?|熱銷(?:款|NO\.?\d+)?|爆款|秒殺|超值|特惠|團購價?|正品保證|原廠保固|台灣公司貨|公司貨|(?:台灣)?現貨|全新(?:品)?|滿額贈|加贈|現折\d*/gi,
+  /[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}⭐✅❌]/gu,
+  /[!！~～★☆♥❤◆◇●○■□▲△▶►]+/g
+];
+
+/**
+ * 估算文字的 token 數
+ */
+const estimateTokens = (text = '') => {
+  const value = String(text);
+  const cjkCount = (value.match(CJK_PATTERN) || []).length;
+  return cjkCount + Math.ceil((value.length - cjkCount) / CHARS_PER_TOKEN);
+};
+
+/**
+ * 移除行銷字詞與裝飾符號，並合併多餘空白
+ */
+const stripMarketingNoise = (text = '') => {
+  const stripped = MARKETING_PATTERNS
+    .reduce((value, pattern) => value.replace(pattern, ' '), String(text))
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // 整段都是行銷字詞時保留原文，避免商品名稱變成空字串
+  return stripped || String(text).trim();
+};
+
+/**
+ * 將文字截斷到指定 token 數以內 (超過時以 … 結尾)
+ */
+const truncateToTokens = (text = '', maxTokens) => {
+  const value = String(text);
+  if (maxTokens <= 0) return '';
+  if (estimateTokens(value) <= maxTokens) return value;
+
+  let tokens = 1; // 保留給 …
+  let end = 0;
+  for (const char of value) {
+    const cost = char.match(CJK_PATTERN) ? 1 : 1 / CHARS_PER_TOKEN;
+    if (tokens + cost > maxTokens) break;
+    tokens += cost;
+    end += char.length;
+  }
+
+  return `${value.slice(0, end).trim()}…`;
+};
+
+module.exports = {
+  estimateTokens,
+  stripMarketingNoise,
+  truncateToTokens
+};
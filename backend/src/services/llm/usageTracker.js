@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// 寫檔延遲 (合併短時間內的多次記錄)
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * LLM 用量統計 - 依提供商記錄每日請求數、token 數與費用，並持久化到 JSON 檔
+ * 日期以配額重置的時區計算 (Gemini 每日配額於太平洋時間午夜重置)
+ */
+class UsageTracker {
+  constructor({
+    enabled = true,
+    file = 'data/llm-usage.json',
+    timeZone = 'America/Los_Angeles',
+    retentionDays = 30,
+    demoteRatio = 0.9,
+    quotas = {},
+    pricing = {}
+  } = {}) {
+    this.enabled = enabled;
+    this.file = file;
+    this.timeZone = timeZone;
+    this.retentionDays = retentionDays;
+    this.demoteRatio = demoteRatio;
+    this.quotas = quotas;
+    this.pricing = pricing;
+    this.days = {}; // date -> provider -> 用量
+    this.saveTimer = null;
+
+    this.dateFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+
+    if (enabled) {
+      this.load();
+    }
+  }
+
+  /**
+   * 讀取持久化的用量 (檔案不存在或損毀時從零開始)
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        this.days = JSON.parse(fs.readFileSync(this.file, 'utf8')).days || {};
+        logger.info(`📊 載入 LLM 用量統計: ${Object.keys(this.days).length} 天`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  無法讀取 LLM 用量統計，重新開始計算: ${error.message}`);
+      this.days = {};
+    }
+  }
+
+  /**
+   * 延遲寫檔，避免每次請求都寫入磁碟
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * 立即寫入尚未寫檔的用量 (關閉服務時呼叫)
+   */
+  flush() {
+    if (!this.saveTimer) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ timeZone: this.timeZone, days: this.days }, null, 2));
+    } catch (error) {
+      logger.warn(`⚠️  無法寫入 LLM 用量統計: ${error.message}`);
+    }
+  }
+
+  /**
+   * 配額時區的日期 (YYYY-MM-DD)
+   */
+  dateKey(date = new Date()) {
+    return this.dateFormatter.format(date);
+  }
+
+  /**
+   * 取得 (必要時建立) 提供商當日的用量紀錄
+   */
+  getEntry(provider, date = this.dateKey()) {
+    if (!this.days[date]) {
+      this.days[date] = {};
+      this.pruneOldDays();
+    }
+    if (!this.days[date][provider]) {
+      this.days[date][provider] = {
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        rateLimited: 0,
+        quotaExhausted: false
+      };
+    }
+    return this.days[date][provider];
+  }
+
+  /**
+   * 只保留最近 retentionDays 天
+   */
+  pruneOldDays() {
+    const dates = Object.keys(this.days).sort();
+    dates.slice(0, Math.max(dates.length - this.retentionDays, 0)).forEach(date => {
+      delete this.days[date];
+    });
+  }
+
+  /**
+   * 記錄一次成功的請求與 token 數
+   */
+  record(provider, { input = 0, output = 0 } = {}) {
+    if (!this.enabled) return;
+
+    const entry = this.getEntry(provider);
+    const price = this.pricing[provider] || {};
+    entry.requests++;
+    entry.inputTokens += input || 0;
+    entry.outputTokens += output || 0;
+    entry.cost = Number((entry.cost +
+      ((input || 0) * (price.inputPerMillion || 0) + (output || 0) * (price.outputPerMillion || 0)) / 1e6
+    ).toFixed(6));
+
+    this.scheduleSave();
+  }
+
+  /**
+   * 記錄頻率限制 - daily 為 true 表示提供商回報每日配額已用盡，當日不再使用
+   */
+  recordRateLimit(provider, { daily = false } = {}) {
+    if (!this.enabled) return;
+
+    const entry = this.getEntry(provider);
+    entry.rateLimited++;
+    if (daily && !entry.quotaExhausted) {
+      entry.quotaExhausted = true;
+      logger.warn(`🚫 ${provider.toUpperCase()} 回報每日配額已用盡，今日 (${this.dateKey()}) 不再使用`);
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * 提供商當日配額狀態
+   * near: 用量達 demoteRatio，應降低優先順序；exhausted: 用量達上限或提供商回報配額用盡
+   */
+  getQuotaStatus(provider) {
+    const quota = this.quotas[provider];
+    const entry = this.days[this.dateKey()]?.[provider];
+    const requests = entry?.requests || 0;
+    const tokens = (entry?.inputTokens || 0) + (entry?.outputTokens || 0);
+
+    const ratios = [];
+    if (quota?.dailyRequests > 0) ratios.push(requests / quota.dailyRequests);
+    if (quota?.dailyTokens > 0) ratios.push(tokens / quota.dailyTokens);
+    const usageRatio = ratios.length > 0 ? Math.max(...ratios) : null;
+    const exhausted = Boolean(entry?.quotaExhausted) || (usageRatio !== null && usageRatio >= 1);
+
+    return {
+      dailyRequests: quota?.dailyRequests || null,
+      dailyTokens: quota?.dailyTokens || null,
+      requests,
+      tokens,
+      usageRatio: usageRatio === null ? null : Number(usageRatio.toFixed(4)),
+      near: exhausted || (usageRatio !== null && usageRatio >= this.demoteRatio),
+      exhausted
+    };
+  }
+
+  /**
+   * 最近 days 天的用量 (新到舊) 與各提供商今日配額狀態
+   */
+  getUsage(days = 7) {
+    const today = this.dateKey();
+    const dates = Object.keys(this.days).sort().reverse().slice(0, days);
+    const totals = {};
+
+    dates.forEach(date => {
+      Object.entries(this.days[date]).forEach(([provider, entry]) => {
+        const total = totals[provider] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+        total.requests += entry.requests;
+        total.inputTokens += entry.inputTokens;
+        total.outputTokens += entry.outputTokens;
+        total.cost = Number((total.cost + entry.cost).toFixed(6));
+        totals[provider] = total;
+      });
+    });
+
+    const quotas = {};
+    Object.keys(this.quotas).forEach(provider => {
+      quotas[provider] = this.getQuotaStatus(provider);
+    });
+
+    return {
+      enabled: this.enabled,
+      timeZone: this.timeZone,
+      today,
+      demoteRatio: this.demoteRatio,
+      quotas,
+      totals,
+      days: dates.map(date => ({ date, providers: this.days[date] }))
+    };
+  }
+}
+
+module.exports = UsageTracker;
@@ -0,0 +1,128 @@
+const logger = require('../../utils/logger');
+
+// 分類名稱常見的無意義後綴，比對時忽略（例如「寵物用品」與「寵物」視為同一分類）
+const CATEGORY_SUFFIXES = ['類別', '用品', '商品', '產品', '系列', '類'];
+
+// 名稱相似度達到此門檻即視為同一分類
+const SIMILARITY_THRESHOLD = 0.75;
+
+/**
+ * 標準化分類名稱 (用於比對，不用於顯示)
+ */
+const normalizeCategoryName = (name = '') => {
+  let normalized = String(name)
+    .toLowerCase()
+    .replace(/[\s\-_/\\、，,。.()（）「」【】\[\]&＆]/g, '');
+
+  for (const suffix of CATEGORY_SUFFIXES) {
+    if (normalized.length > suffix.length && normalized.endsWith(suffix)) {
+      normalized = normalized.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * 計算字元雙字組 (bigram) Dice 相似度
+ */
+const bigramSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const toBigrams = (text) => {
+    const bigrams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+  };
+
+  const bigramsA = toBigrams(a);
+  const bigramsB = toBigrams(b);
+  let intersection = 0;
+
+  for (const [bigram, count] of bigramsA) {
+    intersection += Math.min(count, bigramsB.get(bigram) || 0);
+  }
+
+  return (2 * intersection) / (a.length - 1 + b.length - 1);
+};
+
+/**
+ * 判斷兩個分類名稱是否等價
+ */
+const areCategoryNamesEquivalent = (nameA, nameB) => {
+  const normalizedA = normalizeCategoryName(nameA);
+  const normalizedB = normalizeCategoryName(nameB);
+
+  if (!normalizedA || !normalizedB) return false;
+  if (normalizedA === normalizedB) return true;
+
+  return bigramSimilarity(normalizedA, normalizedB) >= SIMILARITY_THRESHOLD;
+};
+
+/**
+ * 合併名稱等價的分類
+ * 輸入: [{ name, parent, description, productIndexes, details }]，productIndexes 須使用同一組索引
+ * 輸出: 合併後的分類列表，名稱採用包含最多商品的原始名稱，主分類採用第一個非空的主分類
+ */
+const mergeEquivalentCategories = (categories) => {
+  const merged = [];
+
+  for (const category of categories) {
+    const target = merged.find(group =>
+      group.aliases.some(alias => areCategoryNamesEquivalent(alias, category.name))
+    );
+
+    const productIndexes = category.productIndexes || [];
+
+    if (target) {
+      target.aliases.push(category.name);
+      target.productIndexes.push(...productIndexes);
+      target.details.push(...(category.details || []));
+      target.nameVotes.set(category.name, (target.nameVotes.get(category.name) || 0) + productIndexes.length);
+      if (!target.description && category.description) {
+        target.description = category.description;
+      }
+      if (!target.parent && category.parent) {
+        target.parent = category.parent;
+      }
+    } else {
+      merged.push({
+        aliases: [category.name],
+        parent: category.parent || null,
+        description: category.description,
+        productIndexes: [...productIndexes],
+        details: [...(category.details || [])],
+        nameVotes: new Map([[category.name, productIndexes.length]])
+      });
+    }
+  }
+
+  const result = merged.map(group => {
+    const [name] = [...group.nameVotes.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (group.aliases.length > 1) {
+      logger.debug(`🔗 合併等價分類: ${[...new Set(group.aliases)].join(', ')} → ${name}`);
+    }
+    return {
+      name,
+      parent: group.parent,
+      description: group.description,
+      productIndexes: group.productIndexes,
+      details: group.details
+    };
+  });
+
+  logger.info(`🔗 分類合併: ${categories.length} 個原始分類 → ${result.length} 個分類`);
+  return result;
+};
+
+module.exports = {
+  normalizeCategoryName,
+  bigramSimilarity,
+  areCategoryNamesEquivalent,
+  mergeEquivalentCategories
+};
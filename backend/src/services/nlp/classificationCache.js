@@ -26,6 +26,7 @@ class ClassificationCache {
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, 60 * 60 * 1000); // 每小時清理一次
+    this.cleanupInterval.unref?.(); // 定期清理不應讓程序無法結束
     
     logger.info(`分類快取初始化完成，TTL: ${this.config.ttl}ms, 最大大小: ${this.config.maxSize}`);
   }
@@ -0,0 +1,106 @@
+const Joi = require('joi');
+
+/**
+ * LLM 分類回應的 JSON 結構定義
+ * 允許額外欄位，商品索引範圍由分類對帳階段檢查
+ */
+const productDetailSchema = Joi.object({
+  index: Joi.number().integer().min(0).required(),
+  confidence: Joi.number().min(0).required(),
+  reason: Joi.string().allow('', null)
+}).unknown(true);
+
+const categorySchema = Joi.object({
+  name: Joi.string().trim().min(1).required(),
+  parent: Joi.string().trim().allow('', null),
+  description: Joi.string().allow('').required(),
+  productIndexes: Joi.array().items(Joi.number().integer().min(0)).required(),
+  details: Joi.array().items(productDetailSchema)
+}).unknown(true);
+
+const classificationSchema = Joi.object({
+  categories: Joi.array().items(categorySchema).min(1).required()
+}).unknown(true);
+
+/**
+ * Gemini 結構化輸出的 responseSchema (OpenAPI 子集)，與 classificationSchema 對應
+ */
+const geminiClassificationSchema = {
+  type: 'OBJECT',
+  properties: {
+    categories: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING' },
+          parent: { type: 'STRING' },
+          description: { type: 'STRING' },
+          productIndexes: { type: 'ARRAY', items: { type: 'INTEGER' } },
+          details: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: {
+                index: { type: 'INTEGER' },
+                confidence: { type: 'NUMBER' },
+                reason: { type: 'STRING' }
+              },
+              required: ['index', 'confidence']
+            }
+          }
+        },
+        required: ['name', 'description', 'productIndexes'],
+        propertyOrdering: ['name', 'parent', 'description', 'productIndexes', 'details']
+      }
+    }
+  },
+  required: ['categories']
+};
+
+/**
+ * Gemini 結構化輸出的 responseSchema - 嵌入分群命名
+ */
+const geminiClusterNamingSchema = {
+  type: 'OBJECT',
+  properties: {
+    clusters: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          clusterId: { type: 'INTEGER' },
+          name: { type: 'STRING' },
+          description: { type: 'STRING' }
+        },
+        required: ['clusterId', 'name']
+      }
+    }
+  },
+  required: ['clusters']
+};
+
+/**
+ * 驗證 LLM 分類回應
+ * 回傳轉換後的資料與錯誤訊息列表 (供修正 prompt 使用)
+ */
+const validateClassificationData = (data) => {
+  const { value, error } = classificationSchema.validate(data, {
+    abortEarly: false,
+    convert: true
+  });
+
+  return {
+    value,
+    errors: error ? error.details.map(detail => detail.message) : []
+  };
+};
+
+module.exports = {
+  productDetailSchema,
+  categorySchema,
+  classificationSchema,
+  geminiClassificationSchema,
+  geminiClusterNamingSchema,
+  validateClassificationData
+};
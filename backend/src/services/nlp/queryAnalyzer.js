@@ -0,0 +1,208 @@
+/**
+ * 搜尋查詢分析 - 分詞、停用詞、同義詞擴展、實體與意圖辨識
+ * 不依賴 LLM 服務，供 nlpProcessor 與 LLM 模型路由共用
+ */
+
+const compromise = require('compromise');
+const logger = require('../../utils/logger');
+const taxonomy = require('../../config/taxonomy');
+
+// 中文停用詞
+const chineseStopWords = new Set([
+  '的', '在', '是', '與', '和', '或', '但', '然而', '因為', '所以', '雖然', '不過',
+  '一', '二', '三', '四', '五', '六', '七', '八', '九', '十', '個', '台', '件',
+  '超', '很', '非常', '特別', '最', '更', '比較', '蠻', '還算', '頗', '相當'
+]);
+
+/**
+ * 處理搜尋查詢
+ */
+const processSearchQuery = async (query) => {
+  try {
+    // 基本文字處理
+    const tokens = await tokenizeAndTag(query);
+    const cleanTokens = removeStopWords(tokens);
+    const expandedTokens = expandSynonyms(cleanTokens);
+    
+    // 提取實體
+    const entities = extractEntities(query);
+    
+    // 分析意圖
+    const intent = analyzeIntent(query, entities);
+    
+    // 處理後的查詢
+    const processedQuery = expandedTokens.join(' ');
+    
+    return {
+      originalQuery: query,
+      processedQuery,
+      tokens: cleanTokens,
+      expandedTokens,
+      entities,
+      intent,
+      keywords: extractKeywords(cleanTokens)
+    };
+  } catch (error) {
+    logger.error('處理搜尋查詢時發生錯誤:', error);
+    return {
+      originalQuery: query,
+      processedQuery: query,
+      tokens: [query],
+      expandedTokens: [query],
+      entities: {},
+      intent: { type: 'search', confidence: 0.5 },
+      keywords: [query]
+    };
+  }
+};
+
+/**
+ * 分詞和詞性標註
+ */
+const tokenizeAndTag = async (text) => {
+  try {
+    // 使用 compromise 進行基本的 NLP 處理
+    const doc = compromise(text);
+    
+    // 提取重要詞彙
+    const nouns = doc.nouns().out('array');
+    const adjectives = doc.adjectives().out('array');
+    const verbs = doc.verbs().out('array');
+    
+    // 合併所有重要詞彙
+    const tokens = [...nouns, ...adjectives, ...verbs];
+    
+    return tokens.length > 0 ? tokens : [text];
+  } catch (error) {
+    // 如果 NLP 處理失敗，使用簡單分詞
+    return text.split(/\s+/).filter(token => token.length > 0);
+  }
+};
+
+/**
+ * 移除停用詞
+ */
+const removeStopWords = (tokens) => {
+  return tokens.filter(token => 
+    !chineseStopWords.has(token.toLowerCase()) && 
+    token.length > 1
+  );
+};
+
+/**
+ * 同義詞擴展
+ */
+const expandSynonyms = (tokens) => {
+  const expandedTokens = [...tokens];
+  
+  tokens.forEach(token => {
+    const lowerToken = token.toLowerCase();
+    
+    // 檢查同義詞映射
+    for (const [key, synonyms] of taxonomy.getSynonyms()) {
+      if (synonyms.includes(lowerToken) || key === lowerToken) {
+        expandedTokens.push(key);
+        break;
+      }
+    }
+  });
+  
+  return [...new Set(expandedTokens)]; // 去重
+};
+
+/**
+ * 提取實體
+ */
+const extractEntities = (text) => {
+  const entities = {
+    brands: [],
+    products: [],
+    specifications: [],
+    colors: [],
+    numbers: []
+  };
+
+  const lowerText = text.toLowerCase();
+
+  // 提取品牌
+  for (const [brand, variations] of taxonomy.getBrandAliases()) {
+    if (variations.some(variation => lowerText.includes(variation.toLowerCase()))) {
+      entities.brands.push(brand);
+    }
+  }
+
+  // 提取規格相關信息
+  const specPatterns = [
+    /(\d+)(gb|tb|吋|inch)/gi,
+    /(pro|max|mini|air|ultra)/gi,
+    /(黑|白|紅|藍|綠|金|銀|粉|紫|灰)/gi
+  ];
+
+  specPatterns.forEach(pattern => {
+    const matches = text.match(pattern);
+    if (matches) {
+      entities.specifications.push(...matches);
+    }
+  });
+
+  // 提取數字
+  const numberMatches = text.match(/\d+/g);
+  if (numberMatches) {
+    entities.numbers = numberMatches.map(num => parseInt(num));
+  }
+
+  return entities;
+};
+
+/**
+ * 分析意圖
+ */
+const analyzeIntent = (text, entities) => {
+  const lowerText = text.toLowerCase();
+  
+  // 商品搜尋意圖
+  if (entities.brands.length > 0 || entities.specifications.length > 0) {
+    return {
+      type: 'product_search',
+      confidence: 0.9,
+      category: 'electronics'
+    };
+  }
+  
+  // 價格比較意圖
+  if (lowerText.includes('價格') || lowerText.includes('比較') || lowerText.includes('便宜')) {
+    return {
+      type: 'price_comparison',
+      confidence: 0.8
+    };
+  }
+  
+  // 一般搜尋
+  return {
+    type: 'general_search',
+    confidence: 0.6
+  };
+};
+
+/**
+ * 提取關鍵字
+ */
+const extractKeywords = (tokens) => {
+  // 移除常見詞彙，保留重要關鍵字
+  const importantTokens = tokens.filter(token => {
+    const lowerToken = token.toLowerCase();
+    return !['的', '是', '和', '或', '但', '很', '最', '更'].includes(lowerToken);
+  });
+  
+  return importantTokens.slice(0, 5); // 最多返回5個關鍵字
+};
+
+module.exports = {
+  processSearchQuery,
+  tokenizeAndTag,
+  removeStopWords,
+  expandSynonyms,
+  extractEntities,
+  analyzeIntent,
+  extractKeywords
+};
@@ -9,6 +9,31 @@ const crawlerManager = new CrawlerManager();
 const searchCache = new Map();
 const CACHE_TTL = 30 * 60 * 1000; // 30分鐘快取
 
+/**
+ * 為商品加上分類資訊 (子分類名稱、主分類、分類路徑與是否待確認)
+ */
+const withCategory = (product, category) => ({
+  ...product,
+  category: category.name,
+  parentCategory: category.parent || null,
+  categoryPath: category.path || category.name,
+  needsReview: Boolean(category.needsReview)
+});
+
+/**
+ * 判斷商品是否屬於指定分類
+ * 「主分類/子分類」比對完整路徑，單一名稱比對子分類或主分類
+ */
+const matchesCategoryPath = (product, categoryPath) => {
+  const segments = categoryPath.split('/').map(segment => segment.trim()).filter(Boolean);
+
+  if (segments.length >= 2) {
+    return product.parentCategory === segments[0] && product.category === segments.slice(1).join('/');
+  }
+
+  return product.category === segments[0] || product.parentCategory === segments[0];
+};
+
 /**
  * 智能商品搜尋
  */
@@ -44,6 +69,7 @@ const searchProducts = async ({
         limit,
         hasMore: endIndex < cachedResult.products.length,
         categories: cachedResult.categories,
+        hierarchy: cachedResult.hierarchy || [],
         metadata: {
           ...cachedResult.metadata,
           fromCache: true
@@ -77,18 +103,28 @@ const searchProducts = async ({
 
     // 根據 categorySummary 參數和爬蟲返回模式決定處理方式
     let categoryArray = [];
+    let categoryHierarchy = [];
     let categorizedProducts = [];
+    let reconciliation = null;
+    let review = null;
+    let classificationMode = null;
+    let promptVersion = null;
     
     if (categorySummary && result.mode === 'category_summary') {
       // 爬蟲已經進行了分類，直接使用結果
       categoryArray = result.categories || [];
+      categoryHierarchy = result.hierarchy || [];
+      reconciliation = result.reconciliation || null;
+      review = result.review || null;
+      classificationMode = result.classificationMode || null;
+      promptVersion = result.promptVersion || null;
       
       // 從分類中提取所有商品
       categorizedProducts = [];
       categoryArray.forEach(category => {
         if (category.products && Array.isArray(category.products)) {
           category.products.forEach(product => {
-            categorizedProducts.push({ ...product, category: category.name });
+            categorizedProducts.push(withCategory(product, category));
           });
         }
       });
@@ -109,7 +145,7 @@ const searchProducts = async ({
           // 找到商品所屬的分類
           for (const category of categories) {
             if (category.products && category.products.some(p => p.name === product.name || p.id === product.id)) {
-              return { ...product, category: category.name };
+              return withCategory(product, category);
             }
           }
           return { ...product, category: '其他商品' };
@@ -141,11 +177,16 @@ const searchProducts = async ({
     const cacheData = {
       products: categorizedProducts,
       categories: categoryArray,
+      hierarchy: categoryHierarchy,
       timestamp: Date.now(),
       metadata: {
         totalProducts: categorizedProducts.length,
         totalCategories: categoryArray.length,
         platforms: [...new Set(categorizedProducts.map(p => p.platform))],
+        reconciliation,
+        review,
+        classificationMode,
+        promptVersion,
         searchTime: Date.now()
       }
     };
@@ -172,10 +213,15 @@ const searchProducts = async ({
       limit,
       hasMore: endIndex < categorizedProducts.length,
       categories: categoryArray,
+      hierarchy: categoryHierarchy,
       metadata: {
         totalProducts: categorizedProducts.length,
         totalCategories: categoryArray.length,
         platforms: [...new Set(categorizedProducts.map(p => p.platform))],
+        reconciliation,
+        review,
+        classificationMode,
+        promptVersion,
         fromCache: false
       }
     };
@@ -186,6 +232,22 @@ const searchProducts = async ({
   }
 };
 
+/**
+ * 取得查詢最近一次未過期的快取搜尋結果 (任何篩選與排序)，沒有快取時回傳 null
+ */
+const getCachedSearch = (searchQuery) => {
+  let latest = null;
+
+  for (const [key, cached] of searchCache) {
+    if (!key.startsWith(`${searchQuery}_{`) || (Date.now() - cached.timestamp) >= CACHE_TTL) continue;
+    if (!latest || cached.timestamp > latest.timestamp) {
+      latest = cached;
+    }
+  }
+
+  return latest;
+};
+
 /**
  * 群組化相似商品
  */
@@ -360,15 +422,16 @@ const getCategoryProducts = async ({
       cachedResult = {
         products: searchResult.products,
         categories: searchResult.categories,
+        hierarchy: searchResult.hierarchy,
         timestamp: Date.now(),
         metadata: searchResult.metadata
       };
       searchCache.set(cacheKey, cachedResult);
     }
     
-    // 從快取中篩選指定分類的商品
+    // 從快取中篩選指定分類的商品 (支援「主分類/子分類」路徑，主分類包含其所有子分類的商品)
     const categoryProducts = cachedResult.products.filter(product => 
-      product.category === categoryName
+      matchesCategoryPath(product, categoryName)
     );
     
     if (categoryProducts.length === 0) {
@@ -431,7 +494,9 @@ const getCategoryProducts = async ({
                  product.platform || '未知平台',
         url: product.url || product.productUrl || '#',
         inStock: product.inStock !== false,
-        category: categoryName
+        category: product.category || categoryName,
+        parentCategory: product.parentCategory || null,
+        categoryPath: product.categoryPath || categoryName
       };
     });
 
@@ -501,5 +566,6 @@ module.exports = {
   checkCrawlerHealth,
   getSupportedPlatforms,
   cleanupCrawlers,
-  getCategoryProducts
+  getCategoryProducts,
+  getCachedSearch
 }; 
\ No newline at end of file
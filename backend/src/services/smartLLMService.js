@@ -1,6 +1,6 @@
 /**
  * 智能 LLM 服務 - 支持自動降級和性能監控
- * 架構: Gemini (雲端) → Ollama (本地) → 關鍵字匹配 (降級)
+ * 架構: Gemini (雲端) → Ollama / OpenAI 相容服務 (本地) → 關鍵字匹配 (降級)
  */
 
 const axios = require('axios');
@@ -8,7 +8,35 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { getLLMConfig, getActiveProvider, LLM_PROVIDERS } = require('../config/llm');
-const { LLM_PROMPTS, KEYWORD_RULES } = require('../config/classification');
+const taxonomy = require('../config/taxonomy');
+const { PROMPT_IDS, PROMPT_TEMPLATES } = require('../config/prompts');
+const { mergeEquivalentCategories, areCategoryNamesEquivalent } = require('./nlp/categoryMerger');
+const {
+  validateClassificationData,
+  geminiClassificationSchema,
+  geminiClusterNamingSchema
+} = require('./nlp/classificationSchema');
+const CircuitBreaker = require('./llm/circuitBreaker');
+const { clusterEmbeddings } = require('./llm/embeddingClusterer');
+const PromptRegistry = require('./llm/promptRegistry');
+const ResponseRecorder = require('./llm/responseRecorder');
+const UsageTracker = require('./llm/usageTracker');
+const QueryRouter = require('./llm/queryRouter');
+const KeywordClassifier = require('./llm/keywordClassifier');
+const RequestQueue = require('./llm/requestQueue');
+const CorrectionStore = require('./llm/correctionStore');
+const OverrideRuleStore = require('./llm/overrideRuleStore');
+const CategoryHistory = require('./llm/categoryHistory');
+const { estimateTokens, stripMarketingNoise, truncateToTokens } = require('./llm/tokenBudget');
+const { isRecordingMiss } = ResponseRecorder;
+const { ROUTE_TIERS } = QueryRouter;
+const { isQueueRejection } = RequestQueue;
+
+// 每個提供商保留的響應時間樣本數
+const LATENCY_SAMPLE_SIZE = 200;
+
+// 商品清單最高精簡等級 (見 formatProductLine)
+const MAX_PROMPT_COMPRESSION_LEVEL = 3;
 
 class SmartLLMService {
   constructor() {
@@ -17,13 +45,47 @@ class SmartLLMService {
     this.performanceStats = new Map(); // 性能統計
     this.failureCount = new Map();     // 失敗計數
     this.lastHealthCheck = new Map();  // 健康檢查
+    this.healthCache = null;           // 健康檢查結果快取 ({ promise, expiresAt })
+    this.ollamaModelState = null;      // Ollama 模型下載狀態 (最近一次健康檢查)
+    this.outputStats = new Map();      // 回應格式統計 (JSON 修復、修正重問、降級解析)
+    this.circuitBreakers = new Map();  // 各提供商斷路器
+    this.promptStats = new Map();      // 各 prompt 版本的品質統計 (提供商 + 版本)
+    this.tokenStats = new Map();       // 各提供商預估與實際 token 用量
+    this.hedgeStats = new Map();       // 對沖請求統計 (平行啟動、勝出、取消)
+    this.routingStats = new Map();     // 查詢複雜度路由統計 (各等級次數)
+    this.promptRegistry = new PromptRegistry(PROMPT_TEMPLATES, this.config.prompts.rollout);
+    this.recorder = new ResponseRecorder(this.config.recording); // 請求錄製/重播
+    this.usageTracker = new UsageTracker(this.config.usage);      // 每日用量與配額
+    this.quotaNotices = new Map();     // 已提示過的配額狀態 (避免每次搜尋重複警告)
+    this.correctionStore = new CorrectionStore(this.config.corrections); // 使用者分類修正
+    this.correctionsApplied = 0;       // 已套用的修正次數
+    this.overrideRuleStore = new OverrideRuleStore(this.config.overrideRules); // 管理員分類覆寫規則
+    this.overrideRulesApplied = 0;     // 已套用覆寫規則的商品數
+    this.categoryHistory = new CategoryHistory(this.config.categoryHistory); // 各查詢的分類歷史
+    this.categoriesAnchored = 0;       // 對應回既有名稱的分類數
+    this.queryRouter = new QueryRouter({                            // 查詢複雜度路由
+      ...this.config.routing,
+      largeModel: this.config.ollama.model
+    });
+    this.keywordClassifier = new KeywordClassifier({                // 計分式關鍵字分類 (最後降級選項)
+      weights: this.config.fallback.keywordWeights,
+      minScore: this.config.fallback.maxKeywordMatchScore,
+      defaultCategory: this.config.fallback.defaultCategory,
+      confidence: this.config.confidence.keyword
+    });
+    this.requestQueues = new Map();    // 各提供商請求佇列 (限制同時請求數)
+    if (this.config.queue.enabled) {
+      for (const [provider, options] of Object.entries(this.config.queue.providers)) {
+        this.requestQueues.set(provider, new RequestQueue(provider.toUpperCase(), options));
+      }
+    }
     
     // 初始化性能監控
     this.initPerformanceMonitoring();
     
     logger.info(`🤖 智能 LLM 服務初始化完成`);
     logger.info(`   當前提供商: ${this.currentProvider}`);
-    logger.info(`   降級策略: ${this.config.fallbackOrder.join(' → ')}`);
+    logger.info(`   降級策略: ${this.config.fallbackEnabled ? this.config.fallbackOrder.join(' → ') : '已停用'}`);
   }
 
   /**
@@ -35,41 +97,69 @@ class SmartLLMService {
     try {
       logger.info(`🔍 開始智能分類: ${products.length} 個商品，查詢: "${searchQuery}"`);
       
-      // 如果是 auto 模式,確保按照優先順序嘗試
-      const providers = this.config.provider === 'auto' ? 
-        this.config.fallbackOrder : 
-        [this.config.provider];
+      // 依配置的提供商順序嘗試，最後以關鍵字匹配收尾
+      let providers = this.getClassificationPipeline();
+      
+      // 查詢複雜度路由: 決定 Ollama 使用的模型，並將選定的提供商移到最前面
+      const routing = await this.routeQuery(products, searchQuery);
+      if (routing) {
+        providers = this.applyRouting(providers, routing);
+      }
+      
+      // 對沖模式: LLM 提供商以對沖請求競速，全部失敗時才使用關鍵字匹配
+      if (this.config.hedging.enabled) {
+        const hedged = await this.classifyWithHedging(
+          providers.filter(provider => provider !== LLM_PROVIDERS.KEYWORD),
+          products,
+          searchQuery,
+          routing
+        );
+        if (hedged) {
+          return this.buildClassificationResult(hedged.provider, hedged.result, products, searchQuery, startTime, routing);
+        }
+        providers = [LLM_PROVIDERS.KEYWORD];
+      }
       
       // 嘗試按降級順序調用 LLM
       for (const provider of providers) {
+        if (!this.isProviderAvailable(provider)) {
+          logger.info(`⏭️  ${provider.toUpperCase()} 斷路器開啟中，略過`);
+          continue;
+        }
+        
+        const providerStartTime = Date.now();
         try {
-          const result = await this.tryProvider(provider, products, searchQuery);
+          const result = await this.classifyWithProvider(
+            provider,
+            products,
+            searchQuery,
+            this.getRouteOptions(provider, routing)
+          );
           
           // 記錄成功統計
-          this.recordSuccess(provider, Date.now() - startTime);
+          this.recordSuccess(provider, Date.now() - providerStartTime);
           
-          logger.info(`✅ ${provider.toUpperCase()} 分類成功: ${result.categories.length} 個分類`);
+          return this.buildClassificationResult(provider, result, products, searchQuery, startTime, routing);
           
-          const finalResult = {
-            success: true,
-            mode: `${provider}_classification`,
-            provider: provider,
-            categories: result.categories,
-            totalProducts: products.length,
-            searchQuery: searchQuery,
-            responseTime: Date.now() - startTime,
-            timestamp: new Date().toISOString()
-          };
+        } catch (error) {
+          // 重播模式缺少錄製屬於測試設定錯誤，不降級以免掩蓋問題
+          if (isRecordingMiss(error)) {
+            throw error;
+          }
           
-          return finalResult;
+          // 佇列已滿或等待過久不算提供商失敗，直接改用下一個提供商
+          if (isQueueRejection(error)) {
+            this.handleQueueRejection(provider, error);
+            continue;
+          }
           
-        } catch (error) {
           logger.warn(`❌ ${provider.toUpperCase()} 分類失敗: ${error.message}`);
           this.recordFailure(provider, error);
           
           // 如果不是最後一個提供商，繼續嘗試下一個
           if (provider !== providers[providers.length - 1]) {
             logger.info(`🔄 切換到下一個提供商...`);
+            this.recordOutputEvent(provider, 'providerFallbacks');
             continue;
           }
         }
@@ -79,6 +169,10 @@ class SmartLLMService {
       throw new Error('所有 LLM 提供商都無法使用');
       
     } catch (error) {
+      if (isRecordingMiss(error)) {
+        throw error;
+      }
+      
       logger.error('🛑 智能分類完全失敗:', error);
       
       // 返回空結果或錯誤
@@ -87,6 +181,9 @@ class SmartLLMService {
         error: error.message,
         mode: 'failed',
         categories: [],
+        hierarchy: [],
+        review: null,
+        promptVersion: null,
         totalProducts: products.length,
         searchQuery: searchQuery,
         responseTime: Date.now() - startTime,
@@ -98,368 +195,1660 @@ class SmartLLMService {
   }
 
   /**
-   * 嘗試特定提供商
+   * 以提供商的分類結果建立最終結果 (信心度、待確認分類與階層)
+   * 啟用路由時 Ollama 的 mode 標示使用的模型大小 (例如 ollama_small_classification)
    */
-  async tryProvider(provider, products, searchQuery) {
-    switch (provider) {
-      case LLM_PROVIDERS.OLLAMA:
-        return await this.useOllama(products, searchQuery);
-      
-      case LLM_PROVIDERS.GEMINI:
-        return await this.useGemini(products, searchQuery);
-      
-      case LLM_PROVIDERS.KEYWORD:
-        return await this.useKeywordMatching(products, searchQuery);
-      
-      default:
-        throw new Error(`不支援的提供商: ${provider}`);
+  buildClassificationResult(provider, result, products, searchQuery, startTime, routing = null) {
+    logger.info(`✅ ${provider.toUpperCase()} 分類成功: ${result.categories.length} 個分類`);
+    
+    const assignments = result.assignments || [];
+    const anchored = this.anchorCategories(result.categories, assignments, products, searchQuery);
+    const corrected = this.applyCorrections(anchored.categories, assignments, products, searchQuery);
+    const { categories, review } = this.applyProductConfidence(corrected.categories, corrected.assignments, products);
+    // 關鍵字匹配的分類名稱較籠統，只錨定到既有名稱，不記錄為歷史
+    if (provider !== LLM_PROVIDERS.KEYWORD) {
+      this.categoryHistory.record(searchQuery, corrected.categories, products);
     }
+    this.recordPromptOutcome(provider, result.promptVersion, result.reconciliation, review, products.length);
+    
+    const modeProvider = routing && provider === LLM_PROVIDERS.OLLAMA ? `${provider}_${routing.modelSize}` : provider;
+    
+    return {
+      success: true,
+      mode: `${modeProvider}_classification`,
+      provider: provider,
+      categories,
+      hierarchy: this.buildCategoryHierarchy(categories),
+      routing,
+      anchoredCategories: anchored.renamed,
+      corrections: corrected.applied,
+      overrides: corrected.assignments.filter(assignment => assignment?.source === 'override').length,
+      reconciliation: result.reconciliation || null,
+      review,
+      promptVersion: result.promptVersion || null,
+      totalProducts: products.length,
+      searchQuery: searchQuery,
+      responseTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
-   * 使用 Ollama 本地模型
+   * 分類名稱錨定 - 與此查詢先前使用過的分類語意等價時 (名稱等價或商品大多相同)，改用既有的名稱與主分類
+   * 含有覆寫規則商品的分類維持規則指定的名稱
    */
-  async useOllama(products, searchQuery) {
-    if (!this.config.ollama.enabled) {
-      throw new Error('Ollama 未啟用');
-    }
-
-    // 健康檢查
-    await this.checkOllamaHealth();
-
-    const prompt = this.buildClassificationPrompt(products, searchQuery);
+  anchorCategories(categories, assignments, products, searchQuery) {
+    const matches = this.categoryHistory.matchLabels(categories, products, searchQuery);
+    let renamed = 0;
+    const groups = [];
     
-    let lastError;
-    for (let attempt = 1; attempt <= this.config.ollama.maxRetries; attempt++) {
-      try {
-        logger.info(`🦙 調用 Ollama API (${this.config.ollama.model})，嘗試 ${attempt}/${this.config.ollama.maxRetries}`);
-        
-        const response = await axios.post(
-          `${this.config.ollama.url}/api/generate`,
-          {
-            model: this.config.ollama.model,
-            prompt: prompt,
-            stream: false,
-            format: "json",
-            options: {
-              temperature: 0.01,  // 極低溫度確保穩定性
-              num_predict: this.config.ollama.maxTokens,
-              top_p: 0.1,
-              top_k: 1,
-              repeat_penalty: 1.1,
-              seed: 42, // 固定種子增加穩定性
-              stop: ["\n\n", "```", "注意", "說明", "重要"] // 防止生成額外文字
-            }
-          },
-          {
-            timeout: this.config.ollama.timeout,
-            headers: { 'Content-Type': 'application/json' }
-          }
-        );
-
-        if (response.data && response.data.response) {
-          const result = response.data.response.trim();
-          logger.debug(`🦙 Ollama 原始回應 (${result.length} 字符):`, result.substring(0, 500));
-          return this.parseClassificationResult(result, products);
-        }
-
-        logger.error('❌ Ollama 回應格式錯誤:', response.data);
-        throw new Error('Ollama 回應格式錯誤');
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (error.code === 'ECONNREFUSED') {
-          throw new Error('Ollama 服務未運行，請先啟動 Ollama');
-        }
-        
-        if (attempt < this.config.ollama.maxRetries) {
-          logger.warn(`⏰ Ollama 重試 ${attempt + 1}/${this.config.ollama.maxRetries}，等待 ${this.config.ollama.retryDelay}ms`);
-          await new Promise(resolve => setTimeout(resolve, this.config.ollama.retryDelay));
-        }
+    categories.forEach((category, position) => {
+      const label = matches.get(position);
+      const forced = (category.productIndexes || []).some(index => assignments[index]?.source === 'override');
+      let anchored = category;
+      if (label && !forced && (label.name !== category.name || (label.parent && label.parent !== category.parent))) {
+        logger.debug(`⚓ 分類「${category.name}」對應到既有分類「${label.parent ? `${label.parent}/` : ''}${label.name}」`);
+        anchored = {
+          ...category,
+          name: label.name,
+          ...this.resolveCategoryPath(label.name, label.parent || category.parent)
+        };
+        renamed++;
       }
-    }
+      
+      // 改名後與其他分類同名時合併
+      const existing = groups.find(group => group.name === anchored.name && (group.parent || null) === (anchored.parent || null));
+      if (existing) {
+        existing.productIndexes = [...existing.productIndexes, ...(anchored.productIndexes || [])];
+      } else {
+        groups.push({ ...anchored, productIndexes: [...(anchored.productIndexes || [])] });
+      }
+    });
     
-    throw lastError;
+    if (renamed > 0) {
+      this.categoriesAnchored += renamed;
+      logger.info(`⚓ ${renamed} 個分類沿用查詢「${searchQuery}」先前的分類名稱`);
+    }
+    return { categories: groups, renamed };
   }
 
   /**
-   * 使用 Gemini API
+   * 列出分類歷史 (指定查詢時只列出該查詢)
    */
-  async useGemini(products, searchQuery) {
-    if (!this.config.gemini.enabled || !this.config.gemini.apiKey) {
-      throw new Error('Gemini 未啟用或缺少 API Key');
-    }
-
-    const prompt = this.buildClassificationPrompt(products, searchQuery);
-    
-    let lastError;
-    for (let attempt = 1; attempt <= this.config.gemini.maxRetries; attempt++) {
-      try {
-        logger.info(`🔶 調用 Gemini API (${this.config.gemini.model})，嘗試 ${attempt}/${this.config.gemini.maxRetries}`);
-        
-        const response = await axios.post(
-          `https://generativelanguage.googleapis.com/v1beta/models/${this.config.gemini.model}:generateContent?key=${this.config.gemini.apiKey}`,
-          {
-            contents: [{
-              parts: [{ text: prompt }]
-            }],
-            generationConfig: {
-              temperature: this.config.gemini.temperature,
-              maxOutputTokens: this.config.gemini.maxTokens,
-              topP: 0.8,
-              topK: 10
-            }
-          },
-          {
-            timeout: this.config.gemini.timeout,
-            headers: { 'Content-Type': 'application/json' }
-          }
-        );
+  getCategoryHistory(query = null) {
+    return this.categoryHistory.list(query);
+  }
 
-        if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-          const result = response.data.candidates[0].content.parts[0].text.trim();
-          return this.parseClassificationResult(result, products);
-        }
+  /**
+   * 清除查詢的分類歷史，找不到時回傳 false
+   */
+  clearCategoryHistory(query) {
+    return this.categoryHistory.clear(query);
+  }
 
-        throw new Error('Gemini 回應格式錯誤');
-        
-      } catch (error) {
-        lastError = error;
-        
-        if (error.response?.status === 429) {
-          logger.warn(`🚨 Gemini API 頻率限制，等待 ${this.config.gemini.retryDelay}ms`);
-          if (attempt < this.config.gemini.maxRetries) {
-            await new Promise(resolve => setTimeout(resolve, this.config.gemini.retryDelay));
-            continue;
-          }
-        }
-        
-        if (attempt < this.config.gemini.maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-      }
+  /**
+   * 套用使用者修正 - 同一商品在類似查詢再次出現時，直接移到使用者指定的分類 (信心度 1)
+   */
+  applyCorrections(categories, assignments, products, searchQuery) {
+    const overrides = this.correctionStore.findOverrides(products, searchQuery);
+    // 管理員覆寫規則優先於使用者修正
+    for (const index of overrides.keys()) {
+      if (assignments[index]?.source === 'override') overrides.delete(index);
+    }
+    if (overrides.size === 0) {
+      return { categories, assignments, applied: 0 };
     }
     
-    throw lastError;
+    const moves = new Map([...overrides].map(([index, correction]) => [index, {
+      category: correction.category,
+      parent: correction.parent,
+      assignment: {
+        confidence: 1,
+        reason: `使用者修正 (查詢「${correction.query}」)`,
+        source: 'correction'
+      }
+    }]));
+    
+    this.correctionsApplied += overrides.size;
+    logger.info(`✏️  套用 ${overrides.size} 筆使用者分類修正`);
+    return { ...this.moveProducts(categories, assignments, moves), applied: overrides.size };
   }
 
   /**
-   * 使用關鍵字匹配 (最後降級選項)
+   * 套用管理員覆寫規則 - 在提供商分類之後、對帳補齊之前強制將符合規則的商品移到指定分類
    */
-  async useKeywordMatching(products, searchQuery) {
-    logger.info(`🔑 使用關鍵字匹配分類`);
-    
-    const categoryGroups = {};
+  applyOverrideRules(categories, assignments, products, searchQuery) {
+    const overrides = this.overrideRuleStore.findOverrides(products, searchQuery);
+    if (overrides.size === 0) {
+      return { categories, assignments, applied: 0 };
+    }
     
-    products.forEach(product => {
-      const category = this.keywordMatch(product.name, searchQuery);
-      
-      if (!categoryGroups[category]) {
-        categoryGroups[category] = {
-          name: category,
-          description: `基於關鍵字匹配的 ${category} 分類`,
-          totalProducts: 0,
-          priceRange: { min: Infinity, max: 0, avg: 0 },
-          platforms: new Set(),
-          products: []
-        };
-      }
-      
-      const group = categoryGroups[category];
-      group.totalProducts++;
-      group.products.push(product);
-      group.platforms.add(product.platform);
-      
-      if (product.price) {
-        group.priceRange.min = Math.min(group.priceRange.min, product.price);
-        group.priceRange.max = Math.max(group.priceRange.max, product.price);
+    const moves = new Map([...overrides].map(([index, rule]) => [index, {
+      category: rule.category,
+      parent: rule.parent,
+      assignment: {
+        confidence: 1,
+        reason: `覆寫規則 ${this.overrideRuleStore.describe(rule)}`,
+        rule: rule.id,
+        source: 'override'
       }
-    });
+    }]));
     
-    // 轉換為標準格式
-    const categories = Object.values(categoryGroups).map(group => {
-      const avgPrice = group.products.reduce((sum, p) => sum + (p.price || 0), 0) / group.products.length;
-      
-      return {
-        name: group.name,
-        description: group.description,
-        totalProducts: group.totalProducts,
-        priceRange: {
-          min: group.priceRange.min === Infinity ? 0 : group.priceRange.min,
-          max: group.priceRange.max === 0 ? 0 : group.priceRange.max,
-          avg: Math.round(avgPrice)
-        },
-        platforms: Array.from(group.platforms),
-        products: group.products
-      };
-    });
-
-    return { categories };
+    this.overrideRulesApplied += overrides.size;
+    logger.info(`📌 套用分類覆寫規則: ${overrides.size} 個商品`);
+    return { ...this.moveProducts(categories, assignments, moves), applied: overrides.size };
   }
 
   /**
-   * 關鍵字匹配邏輯
+   * 將商品移到指定分類 (moves: 商品索引 -> { category, parent, assignment })，找不到對應分類時新增
    */
-  keywordMatch(productName, searchQuery = '') {
-    const lowerName = productName.toLowerCase();
-    const lowerQuery = searchQuery.toLowerCase();
-    
-    // 搜尋查詢相關匹配
-    if (searchQuery) {
-      if (lowerQuery.includes('烏龜') || lowerQuery.includes('龜')) {
-        if (lowerName.includes('缸') || lowerName.includes('過濾') || 
-            lowerName.includes('燈') || lowerName.includes('飼料')) {
-          return '寵物用品';
-        }
-      }
-    }
+  moveProducts(categories, assignments, moves) {
+    const groups = categories.map(category => ({
+      ...category,
+      productIndexes: (category.productIndexes || []).filter(index => !moves.has(index))
+    }));
+    const moved = [...assignments];
     
-    // 品牌匹配
-    for (const [brand, category] of Object.entries(KEYWORD_RULES.BRANDS || {})) {
-      if (lowerName.includes(brand)) {
-        return category;
+    for (const [index, move] of moves) {
+      let group = groups.find(category =>
+        areCategoryNamesEquivalent(category.name, move.category) &&
+        (!move.parent || !category.parent || category.parent === move.parent)
+      );
+      if (!group) {
+        group = {
+          name: move.category,
+          ...this.resolveCategoryPath(move.category, move.parent),
+          description: `${move.category}相關商品`,
+          productIndexes: []
+        };
+        groups.push(group);
       }
-    }
-    
-    // 分類關鍵字匹配
-    for (const [type, rule] of Object.entries(KEYWORD_RULES)) {
-      if (type === 'BRANDS') continue;
       
-      if (rule.keywords?.some(keyword => lowerName.includes(keyword))) {
-        // 檢查子分類
-        if (rule.subcategories) {
-          for (const [subCategory, subKeywords] of Object.entries(rule.subcategories)) {
-            if (subKeywords.some(keyword => lowerName.includes(keyword))) {
-              return subCategory;
-            }
-          }
-        }
-        return rule.category;
-      }
+      group.productIndexes.push(index);
+      moved[index] = move.assignment;
     }
     
-    return this.config.fallback.defaultCategory;
+    return {
+      categories: groups.filter(group => group.productIndexes.length > 0),
+      assignments: moved
+    };
   }
 
   /**
-   * 構建分類 Prompt
+   * 新增使用者分類修正 (approved 為 false 時待管理員核准後才套用)
    */
-  buildClassificationPrompt(products, searchQuery) {
-    const productList = products.map((product, index) => {
-      return `${index + 1}. [ID:${index}] ${product.name} - ${product.description || '無描述'} - $${product.price}元 - 平台:${product.platform}`;
-    }).join('\n');
+  addCorrection(correction, options = {}) {
+    return this.correctionStore.add(correction, options);
+  }
 
-    return LLM_PROMPTS.CATEGORY_CLASSIFICATION
-      .replace('{{SEARCH_QUERY}}', searchQuery)
-      .replace('{{PRODUCT_LIST}}', productList)
-      .replace(
-        /products.*?\[\s*\{[\s\S]*?\}\s*\]/,
-        `"productIndexes": [商品索引數組，例如: [0, 1, 2]]`
-      );
+  /**
+   * 核准待審核的使用者分類修正，找不到時回傳 null
+   */
+  approveCorrection(id) {
+    return this.correctionStore.approve(id);
   }
 
   /**
-   * 智能 JSON 修復工具
+   * 刪除使用者分類修正，找不到時回傳 false
    */
-  repairJSON(jsonString) {
-    try {
-      // 先嘗試直接解析
-      return JSON.parse(jsonString);
-    } catch (error) {
-      logger.warn(`🔧 JSON 解析失敗，嘗試修復: ${error.message}`);
-      
-      let repaired = jsonString;
-      
-      // 修復策略 1: 移除末尾多餘的逗號
-      repaired = repaired.replace(/,(\s*[}\]])/g, '$1');
-      
-      // 修復策略 2: 處理未閉合的字符串
-      repaired = repaired.replace(/("[^"]*")([^",}\]]*)/g, '$1');
-      
-      // 修復策略 3: 處理未閉合的對象/數組
-      const openBraces = (repaired.match(/\{/g) || []).length;
-      const closeBraces = (repaired.match(/\}/g) || []).length;
-      if (openBraces > closeBraces) {
-        repaired += '}'.repeat(openBraces - closeBraces);
-      }
-      
-      const openBrackets = (repaired.match(/\[/g) || []).length;
-      const closeBrackets = (repaired.match(/\]/g) || []).length;
-      if (openBrackets > closeBrackets) {
-        repaired += ']'.repeat(openBrackets - closeBrackets);
-      }
-      
-      // 修復策略 4: 移除無效字符
-      repaired = repaired.replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
-      
-      try {
-        logger.info('✅ JSON 修復成功');
-        return JSON.parse(repaired);
-      } catch (secondError) {
-        logger.error('❌ JSON 修復失敗，使用降級解析');
-        throw new Error(`JSON 修復失敗: ${secondError.message}`);
-      }
-    }
+  removeCorrection(id) {
+    return this.correctionStore.remove(id);
   }
 
   /**
-   * 降級 JSON 解析 (提取關鍵信息)
+   * 列出使用者分類修正 (指定查詢時只列出類似查詢的修正，status 為 pending 時列出待審核的修正)
    */
-  fallbackParseJSON(text, originalProducts) {
-    logger.warn('🚨 使用降級 JSON 解析模式');
-    
-    try {
-      // 嘗試提取分類名稱
-      const categoryMatches = text.match(/"name"\s*:\s*"([^"]+)"/g) || [];
-      const categories = [];
-      
-      // 如果找到分類名稱，創建簡單分類
-      if (categoryMatches.length > 0) {
-        categoryMatches.forEach((match, index) => {
-          const nameMatch = match.match(/"([^"]+)"/);
-          const categoryName = nameMatch ? nameMatch[1] : `分類 ${index + 1}`;
-          
-          // 平均分配商品到各分類
-          const startIndex = Math.floor((originalProducts.length / categoryMatches.length) * index);
-          const endIndex = Math.floor((originalProducts.length / categoryMatches.length) * (index + 1));
-          const categoryProducts = originalProducts.slice(startIndex, endIndex);
-          
-          categories.push(this.createCategoryFromProducts(categoryName, categoryProducts));
-        });
-      } else {
-        // 如果完全無法解析，創建單一分類
-        logger.warn('📦 無法解析分類，將所有商品歸為一類');
-        categories.push(this.createCategoryFromProducts('所有商品', originalProducts));
-      }
-      
-      return { categories };
-    } catch (error) {
-      logger.error('降級解析也失敗:', error);
-      // 最終降級：單一分類
-      return {
-        categories: [this.createCategoryFromProducts('所有商品', originalProducts)]
-      };
-    }
+  getCorrections(query = null, status = undefined) {
+    return this.correctionStore.list(query, status);
   }
 
   /**
-   * 從商品列表創建分類對象
+   * 列出分類覆寫規則
    */
-  createCategoryFromProducts(categoryName, products) {
-    const prices = products.filter(p => p.price > 0).map(p => p.price);
-    const platforms = [...new Set(products.map(p => p.platform))];
+  getOverrideRules() {
+    return this.overrideRuleStore.list();
+  }
+
+  /**
+   * 驗證分類覆寫規則，回傳錯誤訊息陣列
+   */
+  validateOverrideRule(rule) {
+    return this.overrideRuleStore.validate(rule);
+  }
+
+  /**
+   * 新增分類覆寫規則
+   */
+  addOverrideRule(rule) {
+    return this.overrideRuleStore.add(rule);
+  }
+
+  /**
+   * 更新分類覆寫規則，找不到時回傳 null
+   */
+  updateOverrideRule(id, changes) {
+    return this.overrideRuleStore.update(id, changes);
+  }
+
+  /**
+   * 刪除分類覆寫規則，找不到時回傳 false
+   */
+  removeOverrideRule(id) {
+    return this.overrideRuleStore.remove(id);
+  }
+
+  /**
+   * 試算規則 - 列出已分類商品 (含 category / parentCategory) 中會被此規則移到其他分類的商品
+   */
+  previewOverrideRule(rule, products, searchQuery) {
+    const candidate = { id: null, ...this.overrideRuleStore.normalize(rule), enabled: true };
+    const target = { name: candidate.category, ...this.resolveCategoryPath(candidate.category, candidate.parent) };
+    let matched = 0;
+    const moves = [];
+    
+    products.forEach(product => {
+      if (!this.overrideRuleStore.matches(candidate, product, searchQuery)) return;
+      matched++;
+      
+      const alreadyInTarget = areCategoryNamesEquivalent(product.category || '', target.name) &&
+        (!target.parent || !product.parentCategory || product.parentCategory === target.parent);
+      if (alreadyInTarget) return;
+      
+      moves.push({
+        name: product.name,
+        platform: product.platform || null,
+        url: product.url || null,
+        from: product.categoryPath || product.category || null,
+        to: target.path || target.name
+      });
+    });
+    
+    return {
+      rule: candidate,
+      totalProducts: products.length,
+      matched,
+      moved: moves.length,
+      moves
+    };
+  }
+
+  /**
+   * 對沖請求 - 依降級順序啟動提供商，目前的提供商超過延遲門檻仍未完成時平行啟動下一個，
+   * 失敗時立即啟動下一個；採用最先成功的結果並取消其餘請求，全部失敗時回傳 null
+   */
+  classifyWithHedging(providers, products, searchQuery, routing = null) {
+    const queue = [...providers];
+    const running = new Map(); // provider -> AbortController
+    let hedgeTimer = null;
+    let settled = false;
+    
+    return new Promise((resolve, reject) => {
+      const finish = (outcome, error = null) => {
+        settled = true;
+        clearTimeout(hedgeTimer);
+        
+        for (const [provider, controller] of running) {
+          logger.info(`🛑 取消 ${provider.toUpperCase()} 請求`);
+          controller.abort();
+          this.getCircuitBreaker(provider).releaseProbe();
+          this.recordHedgeEvent(provider, 'cancelled');
+        }
+        running.clear();
+        
+        if (error) {
+          reject(error);
+        } else {
+          resolve(outcome);
+        }
+      };
+      
+      const launchNext = () => {
+        clearTimeout(hedgeTimer);
+        
+        let provider = queue.shift();
+        while (provider && !this.isProviderAvailable(provider)) {
+          logger.info(`⏭️  ${provider.toUpperCase()} 斷路器開啟中，略過`);
+          provider = queue.shift();
+        }
+        
+        if (!provider) {
+          if (running.size === 0) finish(null);
+          return;
+        }
+        
+        const controller = new AbortController();
+        const providerStartTime = Date.now();
+        running.set(provider, controller);
+        
+        this.classifyWithProvider(provider, products, searchQuery, {
+          ...this.getRouteOptions(provider, routing),
+          signal: controller.signal
+        })
+          .then(result => {
+            if (settled) return;
+            running.delete(provider);
+            this.recordSuccess(provider, Date.now() - providerStartTime);
+            if (running.size > 0) {
+              this.recordHedgeEvent(provider, 'wins');
+            }
+            finish({ provider, result });
+          })
+          .catch(error => {
+            if (settled) return;
+            running.delete(provider);
+            
+            // 重播模式缺少錄製屬於測試設定錯誤，不降級以免掩蓋問題
+            if (isRecordingMiss(error)) {
+              finish(null, error);
+              return;
+            }
+            
+            if (isQueueRejection(error)) {
+              this.handleQueueRejection(provider, error);
+            } else {
+              logger.warn(`❌ ${provider.toUpperCase()} 分類失敗: ${error.message}`);
+              this.recordFailure(provider, error);
+              if (queue.length > 0) {
+                this.recordOutputEvent(provider, 'providerFallbacks');
+              }
+            }
+            launchNext();
+          });
+        
+        if (queue.length > 0) {
+          const delay = this.getHedgeDelay(provider);
+          hedgeTimer = setTimeout(() => {
+            logger.info(`🏁 ${provider.toUpperCase()} 超過 ${delay}ms 未回應，平行啟動下一個提供商`);
+            this.recordHedgeEvent(queue[0], 'hedged');
+            launchNext();
+          }, delay);
+        }
+      };
+      
+      launchNext();
+    });
+  }
+
+  /**
+   * 佇列拒絕請求 - 不計入提供商失敗 (不影響斷路器)，釋放可能佔用的探測名額
+   */
+  handleQueueRejection(provider, error) {
+    logger.warn(`⏳ ${error.message}，改用下一個提供商`);
+    this.getCircuitBreaker(provider).releaseProbe();
+    this.recordOutputEvent(provider, 'queueFallbacks');
+  }
+
+  /**
+   * 查詢複雜度路由決策，未啟用時回傳 null
+   */
+  async routeQuery(products, searchQuery) {
+    if (!this.config.routing.enabled) return null;
+    
+    const routing = await this.queryRouter.route(products, searchQuery);
+    
+    // 小模型尚未下載時改用大模型
+    if (routing.modelSize === ROUTE_TIERS.SMALL && this.ollamaModelState?.missing.includes(routing.model)) {
+      logger.warn(`⚠️  Ollama 小模型 ${routing.model} 尚未下載，改用 ${this.config.ollama.model}`);
+      Object.assign(routing, { model: this.config.ollama.model, modelSize: ROUTE_TIERS.LARGE });
+    }
+    this.routingStats.set(routing.tier, (this.routingStats.get(routing.tier) || 0) + 1);
+    logger.info(`🧭 查詢路由: ${routing.tier} (分數 ${routing.score}，查詢模糊度 ${routing.queryAmbiguity}，結果分散度 ${routing.heterogeneity})`);
+    return routing;
+  }
+
+  /**
+   * 依路由決策調整提供商順序 - 選定的提供商移到最前面
+   * Gemini 接近每日配額時不提前，由 Ollama 大模型處理
+   */
+  applyRouting(providers, routing) {
+    let preferred = routing.tier === ROUTE_TIERS.GEMINI ? LLM_PROVIDERS.GEMINI : LLM_PROVIDERS.OLLAMA;
+    if (preferred === LLM_PROVIDERS.GEMINI && this.usageTracker.getQuotaStatus(preferred).near) {
+      preferred = LLM_PROVIDERS.OLLAMA;
+    }
+    if (!providers.includes(preferred)) return providers;
+    
+    return [preferred, ...providers.filter(provider => provider !== preferred)];
+  }
+
+  /**
+   * 提供商的路由請求選項 - 目前只有 Ollama 依路由切換模型
+   */
+  getRouteOptions(provider, routing) {
+    return routing && provider === LLM_PROVIDERS.OLLAMA ? { model: routing.model } : {};
+  }
+
+  /**
+   * 提供商此次請求使用的模型 (路由可覆寫 Ollama 模型)
+   */
+  getProviderModel(provider, options = {}) {
+    return options.model || this.config[provider]?.model || null;
+  }
+
+  /**
+   * 對沖延遲門檻 - 取該提供商回應時間的百分位數，樣本不足時使用預設值
+   */
+  getHedgeDelay(provider) {
+    const { percentile, minDelayMs, defaultDelayMs, minSamples } = this.config.hedging;
+    const samples = [...(this.performanceStats.get(provider)?.responseTimes || [])].sort((a, b) => a - b);
+    
+    if (samples.length < minSamples) {
+      return defaultDelayMs;
+    }
+    return Math.max(minDelayMs, this.calculatePercentile(samples, percentile));
+  }
+
+  /**
+   * 記錄對沖事件 (hedged: 被平行啟動、wins: 競速勝出、cancelled: 被取消)
+   */
+  recordHedgeEvent(provider, event) {
+    if (!provider) return;
+    
+    if (!this.hedgeStats.has(provider)) {
+      this.hedgeStats.set(provider, { hedged: 0, wins: 0, cancelled: 0 });
+    }
+    this.hedgeStats.get(provider)[event]++;
+  }
+
+  /**
+   * 可取消的等待 (signal 中止時立即拒絕)
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * 是否為取消的請求 (axios CanceledError 或 AbortController 中止)
+   */
+  isCancellation(error) {
+    return axios.isCancel(error) || error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+  }
+
+  /**
+   * 使用特定提供商分類 - 商品數超過單次上限時自動分批
+   */
+  async classifyWithProvider(provider, products, searchQuery, options = {}) {
+    if (this.shouldChunk(provider, products, searchQuery)) {
+      return await this.classifyInChunks(provider, products, searchQuery, options);
+    }
+    return await this.tryProvider(provider, products, searchQuery, options);
+  }
+
+  /**
+   * 判斷是否需要分批分類 (關鍵字匹配與嵌入分群不受 prompt 大小限制)
+   * 商品數超過單次上限，或精簡商品描述後仍超出 token 預算時分批
+   */
+  shouldChunk(provider, products, searchQuery = '') {
+    const { enabled, maxProductsPerRequest } = this.config.chunking;
+    if (!enabled || provider === LLM_PROVIDERS.KEYWORD || provider === LLM_PROVIDERS.EMBEDDING || products.length <= 1) {
+      return false;
+    }
+    
+    if (products.length > maxProductsPerRequest) {
+      return true;
+    }
+    
+    const { withinBudget, estimatedTokens } = this.buildClassificationPrompt(products, searchQuery, provider);
+    if (!withinBudget) {
+      logger.info(`📏 ${provider.toUpperCase()} prompt 預估 ${estimatedTokens} tokens，超出預算，改為分批分類`);
+    }
+    return !withinBudget;
+  }
+
+  /**
+   * 依商品數上限與 token 預算切分批次 (批次內商品保持原順序且連續)
+   */
+  planChunks(provider, products, searchQuery) {
+    const { batchSize } = this.config.chunking;
+    const budget = this.getTokenBudget(provider);
+    const chunks = [];
+    const overheadTokens = budget ? estimateTokens(
+      this.renderClassificationPrompt([], searchQuery, provider, MAX_PROMPT_COMPRESSION_LEVEL).text
+    ) : 0;
+    
+    // prompt 模板本身就超出預算時，分得再細也無法符合，只依商品數上限分批
+    if (budget && overheadTokens >= budget.input) {
+      logger.warn(`⚠️  ${provider.toUpperCase()} prompt 模板預估 ${overheadTokens} tokens，已超出輸入預算 ${budget.input}，請檢查上下文長度設定`);
+    }
+    if (!budget || overheadTokens >= budget.input) {
+      for (let start = 0; start < products.length; start += batchSize) {
+        chunks.push({ start, items: products.slice(start, start + batchSize) });
+      }
+      return chunks;
+    }
+    
+    let current = null;
+    products.forEach((product, index) => {
+      const lineTokens = estimateTokens(this.formatProductLine(product, index, MAX_PROMPT_COMPRESSION_LEVEL)) + 1;
+      const fits = current &&
+        current.items.length < batchSize &&
+        current.inputTokens + lineTokens <= budget.input &&
+        this.estimateOutputTokens(current.items.length + 1) <= budget.output;
+      
+      if (!fits) {
+        current = { start: index, items: [], inputTokens: overheadTokens };
+        chunks.push(current);
+      }
+      current.items.push(product);
+      current.inputTokens += lineTokens;
+    });
+    
+    return chunks.map(({ start, items }) => ({ start, items }));
+  }
+
+  /**
+   * 分批分類並合併跨批次的等價分類
+   */
+  async classifyInChunks(provider, products, searchQuery, options = {}) {
+    const { batchSize, requestDelay } = this.config.chunking;
+    const chunks = this.planChunks(provider, products, searchQuery);
+
+    logger.info(`🧩 ${provider.toUpperCase()} 分批分類: ${products.length} 個商品分為 ${chunks.length} 批 (每批最多 ${batchSize} 個)`);
+
+    const partialCategories = [];
+    const assignments = [];
+    const reports = [];
+    const promptVersions = new Set();
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+      if (chunkIndex > 0 && requestDelay > 0) {
+        await this.delay(requestDelay, options.signal);
+      }
+
+      logger.info(`🧩 處理第 ${chunkIndex + 1}/${chunks.length} 批 (商品 ${chunk.start}-${chunk.start + chunk.items.length - 1})`);
+      const result = await this.tryProvider(provider, chunk.items, searchQuery, options);
+      reports.push({ offset: chunk.start, report: result.reconciliation });
+      if (result.promptVersion) promptVersions.add(result.promptVersion);
+      (result.assignments || []).forEach((assignment, index) => {
+        assignments[index + chunk.start] = assignment;
+      });
+
+      // 將批次內索引轉換為全域索引
+      result.categories.forEach(category => {
+        partialCategories.push({
+          name: category.name,
+          parent: category.parent,
+          description: category.description,
+          productIndexes: (category.productIndexes || []).map(index => index + chunk.start)
+        });
+      });
+    }
+
+    const mergedCategories = mergeEquivalentCategories(partialCategories);
+    return {
+      categories: this.assignProductsExactlyOnce(mergedCategories, products),
+      assignments,
+      promptVersion: [...promptVersions].join(',') || null,
+      reconciliation: this.mergeReconciliationReports(reports)
+    };
+  }
+
+  /**
+   * 依索引建立分類，確保每個商品只出現在一個分類中
+   * 重複出現的商品保留第一次的分類，未分配的商品歸入預設分類
+   */
+  assignProductsExactlyOnce(categories, products) {
+    const assigned = new Set();
+    const groups = categories.map(category => {
+      const productIndexes = (category.productIndexes || []).filter(index => {
+        if (!Number.isInteger(index) || index < 0 || index >= products.length || assigned.has(index)) {
+          return false;
+        }
+        assigned.add(index);
+        return true;
+      });
+      return { ...category, productIndexes };
+    });
+
+    const unassigned = products.map((_, index) => index).filter(index => !assigned.has(index));
+    if (unassigned.length > 0) {
+      logger.warn(`⚠️  ${unassigned.length} 個商品未被分類，歸入「${this.config.fallback.defaultCategory}」`);
+      const defaultGroup = groups.find(group => group.name === this.config.fallback.defaultCategory);
+      if (defaultGroup) {
+        defaultGroup.productIndexes.push(...unassigned);
+      } else {
+        groups.push({
+          name: this.config.fallback.defaultCategory,
+          description: `${this.config.fallback.defaultCategory}相關商品`,
+          productIndexes: unassigned
+        });
+      }
+    }
+
+    return this.buildCategoriesFromIndexes(groups, products);
+  }
+
+  /**
+   * 嘗試特定提供商 - LLM 結果會經過對帳階段，確保每個商品都被分類
+   */
+  async tryProvider(provider, products, searchQuery, options = {}) {
+    const result = await this.callProvider(provider, products, searchQuery, options);
+    
+    // 管理員覆寫規則在提供商分類之後、關鍵字補齊之前套用，符合規則的商品不再重新詢問或以關鍵字歸類
+    const overridden = this.applyOverrideRules(result.categories, result.assignments || [], products, searchQuery);
+    const ruled = { ...result, categories: overridden.categories, assignments: overridden.assignments };
+    
+    if (provider === LLM_PROVIDERS.KEYWORD) {
+      return ruled;
+    }
+    
+    return await this.reconcileClassification(provider, ruled, products, searchQuery, options);
+  }
+
+  /**
+   * 調用特定提供商
+   */
+  async callProvider(provider, products, searchQuery, options = {}) {
+    switch (provider) {
+      case LLM_PROVIDERS.OLLAMA:
+        return await this.enqueue(provider, () => this.useOllama(products, searchQuery, options), options.signal);
+      
+      case LLM_PROVIDERS.GEMINI:
+        return await this.enqueue(provider, () => this.useGemini(products, searchQuery, options), options.signal);
+      
+      case LLM_PROVIDERS.OPENAI:
+        return await this.enqueue(provider, () => this.useOpenAI(products, searchQuery, options), options.signal);
+      
+      case LLM_PROVIDERS.EMBEDDING:
+        return await this.useEmbeddingClustering(products, searchQuery, options);
+      
+      case LLM_PROVIDERS.KEYWORD:
+        return await this.useKeywordMatching(products, searchQuery);
+      
+      default:
+        throw new Error(`不支援的提供商: ${provider}`);
+    }
+  }
+
+  /**
+   * 經由提供商的請求佇列執行 (未設定佇列時直接執行)
+   */
+  async enqueue(provider, task, signal) {
+    const queue = this.requestQueues.get(provider);
+    return queue ? await queue.run(task, signal) : await task();
+  }
+
+  /**
+   * 使用 Ollama 本地模型
+   */
+  async useOllama(products, searchQuery, options = {}) {
+    if (!this.config.ollama.enabled) {
+      throw new Error('Ollama 未啟用');
+    }
+
+    // 健康檢查
+    await this.checkOllamaHealth();
+
+    return await this.runLLMClassification(LLM_PROVIDERS.OLLAMA, products, searchQuery, options);
+  }
+
+  /**
+   * 使用 Gemini API
+   */
+  async useGemini(products, searchQuery, options = {}) {
+    if (!this.config.gemini.enabled || (!this.config.gemini.apiKey && !this.recorder.isReplay())) {
+      throw new Error('Gemini 未啟用或缺少 API Key');
+    }
+
+    return await this.runLLMClassification(LLM_PROVIDERS.GEMINI, products, searchQuery, options);
+  }
+
+  /**
+   * 使用 OpenAI 相容服務 (llama.cpp server、vLLM 等)
+   */
+  async useOpenAI(products, searchQuery, options = {}) {
+    if (!this.config.openai.enabled) {
+      throw new Error('OpenAI 相容服務未啟用');
+    }
+
+    return await this.runLLMClassification(LLM_PROVIDERS.OPENAI, products, searchQuery, options);
+  }
+
+  /**
+   * LLM 分類流程 - 產生 prompt、驗證回應格式，格式錯誤時以修正 prompt 重新詢問
+   */
+  async runLLMClassification(provider, products, searchQuery, options = {}) {
+    const model = this.getProviderModel(provider, options);
+    const { prompt, promptVersion, estimatedTokens, compressionLevel, withinBudget } =
+      this.buildClassificationPrompt(products, searchQuery, provider, model);
+    const { maxCorrectionAttempts } = this.config.validation;
+    const requestOptions = { responseSchema: geminiClassificationSchema, signal: options.signal, model: options.model };
+    const parseOptions = { structured: this.isStructuredOutput(provider) };
+    
+    logger.debug(`📝 使用 prompt ${promptVersion}`);
+    if (compressionLevel > 0) {
+      logger.info(`✂️  ${provider.toUpperCase()} prompt 精簡商品描述 (等級 ${compressionLevel})，預估 ${estimatedTokens} tokens`);
+    }
+    if (!withinBudget) {
+      logger.warn(`⚠️  ${provider.toUpperCase()} prompt 預估 ${estimatedTokens} tokens，${products.length} 個商品仍超出 token 預算`);
+    }
+    this.recordPromptEvent(provider, promptVersion, 'requests');
+    
+    let llmResult = await this.requestProvider(provider, prompt, requestOptions);
+    let parsed = this.parseLLMResponse(llmResult, parseOptions);
+    this.recordOutputEvent(provider, parsed.jsonRepaired ? 'jsonRepairs' : null);
+    
+    for (let attempt = 1; parsed.errors.length > 0 && attempt <= maxCorrectionAttempts; attempt++) {
+      logger.warn(`📐 ${provider.toUpperCase()} 回應未通過格式驗證 (${parsed.errors.length} 個錯誤)，修正重問 ${attempt}/${maxCorrectionAttempts}`);
+      this.recordOutputEvent(provider, 'validationFailures');
+      this.recordOutputEvent(provider, 'reprompts');
+      
+      const correctionPrompt = this.buildCorrectionPrompt(prompt, llmResult, parsed.errors, products.length, provider, model);
+      llmResult = await this.requestProvider(provider, correctionPrompt, requestOptions);
+      parsed = this.parseLLMResponse(llmResult, parseOptions);
+      this.recordOutputEvent(provider, parsed.jsonRepaired ? 'jsonRepairs' : null);
+      
+      if (parsed.errors.length === 0) {
+        logger.info(`✅ ${provider.toUpperCase()} 修正重問後通過格式驗證`);
+        this.recordOutputEvent(provider, 'repromptSuccesses');
+      }
+    }
+    
+    if (parsed.errors.length > 0) {
+      logger.warn(`📐 ${provider.toUpperCase()} 回應仍未通過格式驗證: ${parsed.errors.slice(0, 3).join('; ')}`);
+      this.recordOutputEvent(provider, 'validationFailures');
+      this.recordOutputEvent(provider, 'parseFallbacks');
+      this.recordPromptEvent(provider, promptVersion, 'parseFallbacks');
+      return {
+        ...this.normalizeClassification(this.fallbackParseJSON(llmResult).categories, products, provider),
+        promptVersion
+      };
+    }
+    
+    this.recordOutputEvent(provider, 'validResponses');
+    this.recordPromptEvent(provider, promptVersion, 'validResponses');
+    return {
+      ...this.normalizeClassification(parsed.data.categories, products, provider),
+      promptVersion
+    };
+  }
+
+  /**
+   * 是否使用結構化輸出 (目前僅 Gemini 支援 responseSchema)
+   */
+  isStructuredOutput(provider) {
+    return provider === LLM_PROVIDERS.GEMINI && this.config.gemini.structuredOutput;
+  }
+
+  /**
+   * 調用特定提供商的 API，回傳原始文字回應
+   * options 可覆寫 timeout 與 maxRetries (例如嵌入分群的命名請求) 與 model (查詢路由)，
+   * responseSchema 供支援結構化輸出的提供商使用，其他提供商忽略
+   */
+  async requestProvider(provider, prompt, options = {}) {
+    return await this.recorder.run(
+      provider,
+      prompt,
+      () => this.sendProviderRequest(provider, prompt, options),
+      { model: this.getProviderModel(provider, options) }
+    );
+  }
+
+  /**
+   * 實際發送文字生成請求
+   */
+  async sendProviderRequest(provider, prompt, options = {}) {
+    switch (provider) {
+      case LLM_PROVIDERS.OLLAMA:
+        return await this.requestOllama(prompt, options);
+      
+      case LLM_PROVIDERS.GEMINI:
+        return await this.requestGemini(prompt, options);
+      
+      case LLM_PROVIDERS.OPENAI:
+        return await this.requestOpenAI(prompt, options);
+      
+      default:
+        throw new Error(`提供商 ${provider} 不支援文字生成`);
+    }
+  }
+
+  /**
+   * 調用 Ollama API
+   */
+  async requestOllama(prompt, options = {}) {
+    const maxRetries = options.maxRetries || this.config.ollama.maxRetries;
+    const timeout = options.timeout || this.config.ollama.timeout;
+    const model = options.model || this.config.ollama.model;
+    let lastError;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        logger.info(`🦙 調用 Ollama API (${model})，嘗試 ${attempt}/${maxRetries}`);
+        
+        const response = await axios.post(
+          `${this.config.ollama.url}/api/generate`,
+          {
+            model,
+            prompt: prompt,
+            stream: false,
+            format: "json",
+            keep_alive: this.config.ollama.keepAlive, // 請求結束後模型常駐記憶體的時間
+            options: {
+              temperature: 0.01,  // 極低溫度確保穩定性
+              num_predict: this.config.ollama.maxTokens,
+              num_ctx: this.config.ollama.num_ctx, // 未指定時 Ollama 使用預設上下文長度，過長的 prompt 會被截斷
+              top_p: 0.1,
+              top_k: 1,
+              repeat_penalty: 1.1,
+              seed: 42, // 固定種子增加穩定性
+              stop: ["\n\n", "```", "注意", "說明", "重要"] // 防止生成額外文字
+            }
+          },
+          {
+            timeout,
+            signal: options.signal,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+
+        if (response.data && response.data.response) {
+          this.recordTokenUsage(LLM_PROVIDERS.OLLAMA, prompt, {
+            input: response.data.prompt_eval_count,
+            output: response.data.eval_count
+          });
+          const result = response.data.response.trim();
+          logger.debug(`🦙 Ollama 原始回應 (${result.length} 字符):`, result.substring(0, 500));
+          return result;
+        }
+
+        logger.error('❌ Ollama 回應格式錯誤:', response.data);
+        throw new Error('Ollama 回應格式錯誤');
+        
+      } catch (error) {
+        lastError = error;
+        
+        if (this.isCancellation(error)) {
+          throw error;
+        }
+        
+        if (error.code === 'ECONNREFUSED') {
+          throw new Error('Ollama 服務未運行，請先啟動 Ollama');
+        }
+        
+        if (attempt < maxRetries) {
+          logger.warn(`⏰ Ollama 重試 ${attempt + 1}/${maxRetries}，等待 ${this.config.ollama.retryDelay}ms`);
+          await this.delay(this.config.ollama.retryDelay, options.signal);
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+
+  /**
+   * 調用 Gemini API
+   */
+  async requestGemini(prompt, options = {}) {
+    const maxRetries = options.maxRetries || this.config.gemini.maxRetries;
+    const timeout = options.timeout || this.config.gemini.timeout;
+    let lastError;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        logger.info(`🔶 調用 Gemini API (${this.config.gemini.model})，嘗試 ${attempt}/${maxRetries}`);
+        
+        const generationConfig = {
+          temperature: this.config.gemini.temperature,
+          maxOutputTokens: this.config.gemini.maxTokens,
+          topP: 0.8,
+          topK: 10
+        };
+        
+        // JSON 回應模式，由 Gemini 依 responseSchema 產生結構化輸出
+        if (options.responseSchema && this.config.gemini.structuredOutput) {
+          generationConfig.responseMimeType = 'application/json';
+          generationConfig.responseSchema = options.responseSchema;
+        }
+        
+        // API Key 放在 header，避免出現在 URL、axios 錯誤物件與日誌中
+        const response = await axios.post(
+          `https://generativelanguage.googleapis.com/v1beta/models/${this.config.gemini.model}:generateContent`,
+          {
+            contents: [{
+              parts: [{ text: prompt }]
+            }],
+            generationConfig
+          },
+          {
+            timeout,
+            signal: options.signal,
+            headers: {
+              'Content-Type': 'application/json',
+              'x-goog-api-key': this.config.gemini.apiKey
+            }
+          }
+        );
+
+        const candidate = response.data?.candidates?.[0];
+        this.recordTokenUsage(LLM_PROVIDERS.GEMINI, prompt, {
+          input: response.data?.usageMetadata?.promptTokenCount,
+          output: response.data?.usageMetadata?.candidatesTokenCount
+        });
+        if (candidate?.finishReason === 'MAX_TOKENS') {
+          logger.warn(`⚠️  Gemini 回應達到 maxOutputTokens (${this.config.gemini.maxTokens}) 上限，內容可能被截斷`);
+        }
+
+        if (candidate?.content?.parts?.[0]?.text) {
+          return candidate.content.parts[0].text.trim();
+        }
+
+        throw new Error('Gemini 回應格式錯誤');
+        
+      } catch (error) {
+        this.redactApiKey(error);
+        lastError = error;
+        
+        if (this.isCancellation(error)) {
+          throw error;
+        }
+        
+        if (error.response?.status === 429) {
+          const dailyQuota = this.isDailyQuotaError(error);
+          this.usageTracker.recordRateLimit(LLM_PROVIDERS.GEMINI, { daily: dailyQuota });
+          
+          // 每日配額用盡時等待也無法恢復，直接切換
+          if (dailyQuota) {
+            throw error;
+          }
+          
+          if (this.config.autoSwitchOnError) {
+            logger.warn('🚨 Gemini API 頻率限制，直接切換提供商');
+            throw error;
+          }
+          
+          logger.warn(`🚨 Gemini API 頻率限制，等待 ${this.config.gemini.retryDelay}ms`);
+          if (attempt < maxRetries) {
+            await this.delay(this.config.gemini.retryDelay, options.signal);
+            continue;
+          }
+        }
+        
+        if (attempt < maxRetries) {
+          await this.delay(5000, options.signal);
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+
+  /**
+   * 429 是否為每日配額用盡 (而非每分鐘頻率限制)
+   */
+  isDailyQuotaError(error) {
+    return /PerDay|per day|daily/i.test(JSON.stringify(error.response?.data || ''));
+  }
+
+  /**
+   * 遮蔽 axios 錯誤物件中的 API Key，避免錯誤被記錄時洩漏
+   * 除了請求設定的標頭，原始請求物件 (request._header) 也保留完整標頭，一併以摘要取代
+   */
+  redactApiKey(error) {
+    if (!error || typeof error !== 'object') return error;
+
+    const headers = error.config?.headers;
+    if (headers) {
+      ['x-goog-api-key', 'Authorization'].forEach(name => {
+        if (headers[name]) {
+          headers[name] = '[REDACTED]';
+        }
+      });
+    }
+
+    const request = error.request || error.response?.request;
+    if (request) {
+      const summary = { method: request.method, path: request.path, host: request.host };
+      if (error.request) error.request = summary;
+      if (error.response?.request) error.response.request = summary;
+    }
+    return error;
+  }
+
+  /**
+   * 調用 OpenAI 相容 API
+   */
+  async requestOpenAI(prompt, options = {}) {
+    const maxRetries = options.maxRetries || this.config.openai.maxRetries;
+    const timeout = options.timeout || this.config.openai.timeout;
+    const headers = this.getOpenAIHeaders();
+    
+    let lastError;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        logger.info(`🔷 調用 OpenAI 相容 API (${this.config.openai.model})，嘗試 ${attempt}/${maxRetries}`);
+        
+        const response = await axios.post(
+          `${this.getOpenAIBaseUrl()}/chat/completions`,
+          {
+            model: this.config.openai.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: this.config.openai.temperature,
+            max_tokens: this.config.openai.maxTokens,
+            response_format: { type: 'json_object' },
+            stream: false
+          },
+          {
+            timeout,
+            signal: options.signal,
+            headers
+          }
+        );
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        this.recordTokenUsage(LLM_PROVIDERS.OPENAI, prompt, {
+          input: response.data?.usage?.prompt_tokens,
+          output: response.data?.usage?.completion_tokens
+        });
+        if (content) {
+          const result = content.trim();
+          logger.debug(`🔷 OpenAI 相容服務原始回應 (${result.length} 字符):`, result.substring(0, 500));
+          return result;
+        }
+
+        logger.error('❌ OpenAI 相容服務回應格式錯誤:', response.data);
+        throw new Error('OpenAI 相容服務回應格式錯誤');
+        
+      } catch (error) {
+        this.redactApiKey(error);
+        lastError = error;
+        
+        if (this.isCancellation(error)) {
+          throw error;
+        }
+        
+        if (error.code === 'ECONNREFUSED') {
+          throw new Error('OpenAI 相容服務未運行，請確認服務位址');
+        }
+        
+        if (attempt < maxRetries) {
+          logger.warn(`⏰ OpenAI 相容服務重試 ${attempt + 1}/${maxRetries}，等待 ${this.config.openai.retryDelay}ms`);
+          await this.delay(this.config.openai.retryDelay, options.signal);
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+
+  getOpenAIBaseUrl() {
+    return this.config.openai.url.replace(/\/+$/, '');
+  }
+
+  /**
+   * OpenAI 相容 API 的請求標頭 (有設定 API Key 時帶入 Bearer 驗證)
+   */
+  getOpenAIHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.openai.apiKey) {
+      headers.Authorization = `Bearer ${this.config.openai.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * 使用嵌入分群 - 以嵌入向量分群，LLM 只為每群命名，大幅減少 token 用量
+   */
+  async useEmbeddingClustering(products, searchQuery, options = {}) {
+    if (!this.config.embedding.enabled) {
+      throw new Error('嵌入分群未啟用');
+    }
+
+    const { minClusters, maxClusters } = this.config.embedding;
+    const embeddings = await this.requestEmbeddings(products.map(product => product.name || ''), options);
+    const labels = clusterEmbeddings(embeddings, { minClusters, maxClusters });
+
+    const clusters = [];
+    labels.forEach((label, index) => {
+      clusters[label] = clusters[label] || [];
+      clusters[label].push(index);
+    });
+
+    const { names, promptVersion } = await this.nameClusters(clusters, products, searchQuery, options);
+    const rawCategories = clusters.map((productIndexes, clusterId) => ({
+      name: names[clusterId].name,
+      description: names[clusterId].description,
+      productIndexes,
+      details: productIndexes.map(index => ({
+        index,
+        confidence: this.config.confidence.embedding,
+        reason: `嵌入分群: 與同群 ${productIndexes.length - 1} 個商品名稱語意相近`
+      }))
+    }));
+
+    return {
+      ...this.normalizeClassification(mergeEquivalentCategories(rawCategories), products, LLM_PROVIDERS.EMBEDDING),
+      promptVersion
+    };
+  }
+
+  /**
+   * 調用 Ollama 嵌入 API，回傳與輸入順序一致的向量陣列
+   */
+  async requestEmbeddings(texts, options = {}) {
+    return await this.recorder.run(
+      LLM_PROVIDERS.EMBEDDING,
+      texts,
+      () => this.sendEmbeddingRequests(texts, options),
+      { model: this.config.embedding.model }
+    );
+  }
+
+  /**
+   * 分批調用嵌入 API
+   */
+  async sendEmbeddingRequests(texts, options = {}) {
+    const { url, model, timeout, batchSize } = this.config.embedding;
+    const embeddings = [];
+
+    for (let start = 0; start < texts.length; start += batchSize) {
+      const batch = texts.slice(start, start + batchSize);
+      logger.info(`🧮 調用嵌入 API (${model})，商品 ${start}-${start + batch.length - 1}`);
+
+      try {
+        const response = await axios.post(
+          `${url}/api/embed`,
+          { model, input: batch },
+          {
+            timeout,
+            signal: options.signal,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+
+        const vectors = response.data?.embeddings;
+        if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+          throw new Error('嵌入 API 回應格式錯誤');
+        }
+        embeddings.push(...vectors);
+        this.usageTracker.record(LLM_PROVIDERS.EMBEDDING);
+      } catch (error) {
+        if (!this.isCancellation(error) && error.code === 'ECONNREFUSED') {
+          throw new Error('嵌入服務未運行，請先啟動 Ollama');
+        }
+        throw error;
+      }
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * 請 LLM 為每個群組命名，失敗時以群組成員的關鍵字匹配結果多數決命名
+   * 回傳 { names, promptVersion }，未使用 LLM 命名時 promptVersion 為 null
+   */
+  async nameClusters(clusters, products, searchQuery, options = {}) {
+    const { namingProvider, namingTimeout, samplesPerCluster } = this.config.embedding;
+    const names = clusters.map(productIndexes => this.nameClusterByKeyword(productIndexes, products, searchQuery));
+
+    if (!this.getAvailableProviders().includes(namingProvider) ||
+        namingProvider === LLM_PROVIDERS.KEYWORD ||
+        namingProvider === LLM_PROVIDERS.EMBEDDING) {
+      return { names, promptVersion: null };
+    }
+    if (!this.isProviderAvailable(namingProvider)) {
+      logger.info(`⏭️  ${namingProvider.toUpperCase()} 斷路器開啟中，改用關鍵字匹配命名`);
+      return { names, promptVersion: null };
+    }
+
+    const clusterList = clusters.map((productIndexes, clusterId) => {
+      const samples = productIndexes
+        .slice(0, samplesPerCluster)
+        .map(index => `  - ${products[index].name}`)
+        .join('\n');
+      return `[clusterId:${clusterId}] (${productIndexes.length} 個商品)\n${samples}`;
+    }).join('\n');
+
+    const prompt = this.promptRegistry.render(
+      PROMPT_IDS.CLUSTER_NAMING,
+      { SEARCH_QUERY: searchQuery, CLUSTER_LIST: clusterList },
+      this.getPromptContext(namingProvider, searchQuery)
+    );
+
+    const requestStartTime = Date.now();
+    let responded = false;
+    try {
+      // 命名請求與分類請求共用提供商的請求佇列與斷路器
+      const llmResult = await this.enqueue(namingProvider, () => this.requestProvider(namingProvider, prompt.text, {
+        timeout: namingTimeout,
+        maxRetries: 1,
+        responseSchema: geminiClusterNamingSchema,
+        signal: options.signal
+      }), options.signal);
+      this.recordSuccess(namingProvider, Date.now() - requestStartTime);
+      responded = true;
+      const jsonMatch = llmResult.match(/\{[\s\S]*\}/);
+      const parsed = jsonMatch ? this.repairJSON(jsonMatch[0]) : null;
+      let named = 0;
+
+      (Array.isArray(parsed?.clusters) ? parsed.clusters : []).forEach(cluster => {
+        const clusterId = Number(cluster.clusterId);
+        if (Number.isInteger(clusterId) && names[clusterId] && typeof cluster.name === 'string' && cluster.name.trim()) {
+          names[clusterId] = {
+            name: cluster.name.trim(),
+            description: cluster.description || `${cluster.name.trim()}相關商品`
+          };
+          named++;
+        }
+      });
+
+      logger.info(`🏷️  ${namingProvider.toUpperCase()} 命名 ${named}/${clusters.length} 個群組`);
+      if (named < clusters.length) {
+        this.recordOutputEvent(LLM_PROVIDERS.EMBEDDING, 'parseFallbacks');
+      }
+    } catch (error) {
+      if (isRecordingMiss(error) || this.isCancellation(error)) throw error;
+      // 佇列拒絕不算提供商失敗；回應解析失敗已在上方記錄為成功請求
+      if (isQueueRejection(error)) {
+        this.getCircuitBreaker(namingProvider).releaseProbe();
+      } else if (!responded) {
+        this.recordFailure(namingProvider, error);
+      }
+      logger.warn(`⚠️  群組命名失敗，改用關鍵字匹配命名: ${error.message}`);
+      this.recordOutputEvent(LLM_PROVIDERS.EMBEDDING, 'parseFallbacks');
+    }
+
+    return { names, promptVersion: prompt.label };
+  }
+
+  /**
+   * 以群組成員的關鍵字匹配結果多數決命名
+   */
+  nameClusterByKeyword(productIndexes, products, searchQuery) {
+    const votes = new Map();
+    productIndexes.forEach(index => {
+      const category = this.keywordMatch(products[index].name, searchQuery);
+      votes.set(category, (votes.get(category) || 0) + 1);
+    });
+
+    const [name] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+    return { name, description: `${name}相關商品` };
+  }
+
+  /**
+   * 使用關鍵字匹配 (最後降級選項)
+   */
+  async useKeywordMatching(products, searchQuery) {
+    logger.info(`🔑 使用關鍵字匹配分類`);
+    
+    const categoryGroups = {};
+    const assignments = [];
+    
+    products.forEach((product, index) => {
+      const match = this.keywordMatchDetail(product.name, searchQuery);
+      const category = match.category;
+      const groupKey = match.parent ? `${match.parent}/${category}` : category;
+      assignments[index] = this.buildKeywordAssignment(match);
+      
+      if (!categoryGroups[groupKey]) {
+        categoryGroups[groupKey] = {
+          name: category,
+          parent: match.parent,
+          description: `基於關鍵字匹配的 ${category} 分類`,
+          totalProducts: 0,
+          priceRange: { min: Infinity, max: 0, avg: 0 },
+          platforms: new Set(),
+          products: [],
+          productIndexes: []
+        };
+      }
+      
+      const group = categoryGroups[groupKey];
+      group.totalProducts++;
+      group.products.push(product);
+      group.productIndexes.push(index);
+      group.platforms.add(product.platform);
+      
+      if (product.price) {
+        group.priceRange.min = Math.min(group.priceRange.min, product.price);
+        group.priceRange.max = Math.max(group.priceRange.max, product.price);
+      }
+    });
+    
+    // 轉換為標準格式
+    const categories = Object.values(categoryGroups).map(group => {
+      const avgPrice = group.products.reduce((sum, p) => sum + (p.price || 0), 0) / group.products.length;
+      
+      return {
+        name: group.name,
+        ...this.resolveCategoryPath(group.name, group.parent),
+        description: group.description,
+        totalProducts: group.totalProducts,
+        priceRange: {
+          min: group.priceRange.min === Infinity ? 0 : group.priceRange.min,
+          max: group.priceRange.max === 0 ? 0 : group.priceRange.max,
+          avg: Math.round(avgPrice)
+        },
+        platforms: Array.from(group.platforms),
+        products: group.products,
+        productIndexes: group.productIndexes
+      };
+    });
+
+    return { categories, assignments };
+  }
+
+  /**
+   * 關鍵字匹配邏輯
+   */
+  keywordMatch(productName, searchQuery = '') {
+    return this.keywordMatchDetail(productName, searchQuery).category;
+  }
+
+  /**
+   * 關鍵字匹配 - 回傳分類、主分類、分數、信心度與觸發的規則
+   */
+  keywordMatchDetail(productName, searchQuery = '') {
+    // 查詢規則與關鍵字計分 (子分類、主分類、同義詞與品牌)，規則皆來自 taxonomy 分類檔
+    return this.keywordClassifier.classify(productName, searchQuery);
+  }
+
+  /**
+   * 建立 LLM 分類的商品信心度資訊 (LLM 未提供時使用預設信心度)
+   * 部分模型以百分比回傳信心度，大於 1 時換算為 0-1
+   */
+  buildAssignment(detail, source) {
+    let confidence = Number(detail?.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0) {
+      confidence = this.config.confidence.llmDefault;
+    } else if (confidence > 1) {
+      confidence = Math.min(confidence / 100, 1);
+    }
+
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      reason: detail?.reason || null,
+      source
+    };
+  }
+
+  /**
+   * 建立關鍵字匹配的商品信心度資訊 (附上觸發的規則)
+   */
+  buildKeywordAssignment(match) {
+    return {
+      confidence: match.confidence,
+      reason: match.reason,
+      source: LLM_PROVIDERS.KEYWORD,
+      rule: match.rule,
+      score: match.score
+    };
+  }
+
+  /**
+   * 建立分類 prompt - 超出提供商 token 預算時逐級精簡商品清單
+   * 回傳 { prompt, promptVersion, estimatedTokens, compressionLevel, withinBudget }
+   */
+  buildClassificationPrompt(products, searchQuery, provider = null, model = null) {
+    const budget = this.getTokenBudget(provider);
+    let compressionLevel = 0;
+    let rendered = this.renderClassificationPrompt(products, searchQuery, provider, compressionLevel, model);
+    
+    while (budget && estimateTokens(rendered.text) > budget.input && compressionLevel < MAX_PROMPT_COMPRESSION_LEVEL) {
+      compressionLevel++;
+      rendered = this.renderClassificationPrompt(products, searchQuery, provider, compressionLevel, model);
+    }
+    
+    const estimatedTokens = estimateTokens(rendered.text);
+    return {
+      prompt: rendered.text,
+      promptVersion: rendered.label,
+      estimatedTokens,
+      compressionLevel,
+      withinBudget: !budget ||
+        (estimatedTokens <= budget.input && this.estimateOutputTokens(products.length) <= budget.output)
+    };
+  }
+
+  /**
+   * 以指定精簡等級填入分類 prompt 模板
+   */
+  renderClassificationPrompt(products, searchQuery, provider, compressionLevel = 0, model = null) {
+    const productList = products
+      .map((product, index) => this.formatProductLine(product, index, compressionLevel))
+      .join('\n');
+
+    const rendered = this.promptRegistry.render(
+      PROMPT_IDS.CATEGORY_CLASSIFICATION,
+      {
+        SEARCH_QUERY: searchQuery,
+        PRODUCT_LIST: productList,
+        PRODUCT_COUNT: products.length,
+        MAX_INDEX: Math.max(products.length - 1, 0)
+      },
+      this.getPromptContext(provider, searchQuery, model)
+    );
+    
+    const extras = [
+      this.renderPreferredCategories(searchQuery, provider, model),
+      this.renderCorrectionExamples(searchQuery, provider, model)
+    ].filter(Boolean);
+    return extras.length > 0 ? { ...rendered, text: [rendered.text, ...extras].join('\n\n') } : rendered;
+  }
+
+  /**
+   * 同一查詢先前使用過的分類名稱 (偏好名稱)，沒有時回傳空字串
+   */
+  renderPreferredCategories(searchQuery, provider, model = null) {
+    const labels = this.categoryHistory.getLabels(searchQuery);
+    if (labels.length === 0) return '';
+    
+    return this.promptRegistry.render(
+      PROMPT_IDS.PREFERRED_CATEGORIES,
+      { CATEGORIES: labels.map(label => `- ${label.parent ? `${label.parent}/` : ''}${label.name}`).join('\n') },
+      this.getPromptContext(provider, searchQuery, model)
+    ).text;
+  }
+
+  /**
+   * 類似查詢的使用者修正 (few-shot 範例)，沒有時回傳空字串
+   */
+  renderCorrectionExamples(searchQuery, provider, model = null) {
+    const examples = this.correctionStore.findExamples(searchQuery);
+    if (examples.length === 0) return '';
+    
+    const lines = examples.map(correction => {
+      const target = correction.parent ? `${correction.parent}/${correction.category}` : correction.category;
+      const previous = correction.previousCategory ? `，而不是「${correction.previousCategory}」` : '';
+      return `- 查詢「${correction.query}」: 商品「${correction.product.name}」應分類為「${target}」${previous}`;
+    });
+    
+    return this.promptRegistry.render(
+      PROMPT_IDS.CORRECTION_EXAMPLES,
+      { EXAMPLES: lines.join('\n') },
+      this.getPromptContext(provider, searchQuery, model)
+    ).text;
+  }
+
+  /**
+   * 商品清單單行格式 - 等級越高越精簡
+   * 0: 原始內容；1: 移除行銷字詞並縮短描述；2: 省略描述；3: 名稱再縮短
+   */
+  formatProductLine(product, index, compressionLevel = 0) {
+    const prefix = `${index + 1}. [ID:${index}]`;
+    const suffix = `$${product.price}元 - 平台:${product.platform}`;
+    
+    if (compressionLevel === 0) {
+      return `${prefix} ${product.name} - ${product.description || '無描述'} - ${suffix}`;
+    }
+    
+    const name = stripMarketingNoise(product.name || '');
+    if (compressionLevel === 1) {
+      const description = truncateToTokens(stripMarketingNoise(product.description || ''), 40);
+      return `${prefix} ${truncateToTokens(name, 60)} - ${description || '無描述'} - ${suffix}`;
+    }
+    
+    return `${prefix} ${truncateToTokens(name, compressionLevel === 2 ? 60 : 30)} - ${suffix}`;
+  }
+
+  /**
+   * 提供商的 token 預算 { input, output } (已扣除估算誤差)，未啟用或非生成式提供商回傳 null
+   * Ollama 與 OpenAI 相容服務的 prompt 與回應共用上下文長度
+   */
+  getTokenBudget(provider) {
+    const { enabled, safetyRatio } = this.config.tokenBudget;
+    if (!enabled) return null;
+    
+    const { ollama, gemini, openai } = this.config;
+    const limits = {
+      [LLM_PROVIDERS.OLLAMA]: { input: ollama.num_ctx - ollama.maxTokens, output: ollama.maxTokens },
+      [LLM_PROVIDERS.GEMINI]: { input: gemini.inputTokenLimit, output: gemini.maxTokens },
+      [LLM_PROVIDERS.OPENAI]: { input: openai.contextTokens - openai.maxTokens, output: openai.maxTokens }
+    }[provider];
+    
+    if (!limits) return null;
+    return {
+      input: Math.floor(limits.input * safetyRatio),
+      output: Math.floor(limits.output * safetyRatio)
+    };
+  }
+
+  /**
+   * 估算分類回應的 token 數
+   */
+  estimateOutputTokens(productCount) {
+    const { outputTokensPerProduct, outputOverheadTokens } = this.config.tokenBudget;
+    return productCount * outputTokensPerProduct + outputOverheadTokens;
+  }
+
+  /**
+   * 記錄單次請求的預估與實際 token 數 (實際值由提供商回傳，未提供時為 null)
+   */
+  recordTokenUsage(provider, prompt, usage = {}) {
+    const estimated = estimateTokens(prompt);
+    const input = Number.isFinite(usage.input) ? usage.input : null;
+    const output = Number.isFinite(usage.output) ? usage.output : null;
+    
+    if (!this.tokenStats.has(provider)) {
+      this.tokenStats.set(provider, {
+        requests: 0,
+        estimatedInputTokens: 0,
+        reportedRequests: 0,
+        reportedEstimatedTokens: 0,
+        inputTokens: 0,
+        outputTokens: 0
+      });
+    }
+    
+    const stats = this.tokenStats.get(provider);
+    stats.requests++;
+    stats.estimatedInputTokens += estimated;
+    if (input !== null) {
+      stats.reportedRequests++;
+      stats.reportedEstimatedTokens += estimated;
+      stats.inputTokens += input;
+      stats.outputTokens += output || 0;
+    }
+    
+    logger.info(`🔢 ${provider.toUpperCase()} tokens: 預估輸入 ${estimated}，實際輸入 ${input ?? '未知'}，輸出 ${output ?? '未知'}`);
+    
+    // 提供商未回報 token 數時以預估值計入每日用量
+    this.usageTracker.record(provider, { input: input ?? estimated, output: output ?? 0 });
+  }
+
+  /**
+   * Prompt 選用條件 - 提供商、模型與分流依據 (同一查詢穩定使用同一版本)
+   */
+  getPromptContext(provider, searchQuery, model = null) {
+    return {
+      provider,
+      model: model || this.config[provider]?.model || null,
+      key: (searchQuery || '').trim().toLowerCase()
+    };
+  }
+
+  /**
+   * 智能 JSON 修復工具
+   */
+  repairJSON(jsonString) {
+    try {
+      // 先嘗試直接解析
+      return JSON.parse(jsonString);
+    } catch (error) {
+      logger.warn(`🔧 JSON 解析失敗，嘗試修復: ${error.message}`);
+      
+      let repaired = jsonString;
+      
+      // 修復策略 1: 移除末尾多餘的逗號
+      repaired = repaired.replace(/,(\s*[}\]])/g, '$1');
+      
+      // 修復策略 2: 處理未閉合的字符串
+      repaired = repaired.replace(/("[^"]*")([^",}\]]*)/g, '$1');
+      
+      // 修復策略 3: 處理未閉合的對象/數組
+      const openBraces = (repaired.match(/\{/g) || []).length;
+      const closeBraces = (repaired.match(/\}/g) || []).length;
+      if (openBraces > closeBraces) {
+        repaired += '}'.repeat(openBraces - closeBraces);
+      }
+      
+      const openBrackets = (repaired.match(/\[/g) || []).length;
+      const closeBrackets = (repaired.match(/\]/g) || []).length;
+      if (openBrackets > closeBrackets) {
+        repaired += ']'.repeat(openBrackets - closeBrackets);
+      }
+      
+      // 修復策略 4: 移除無效字符
+      repaired = repaired.replace(/[\u0000-\u001F\u007F-\u009F]/g, '');
+      
+      try {
+        logger.info('✅ JSON 修復成功');
+        return JSON.parse(repaired);
+      } catch (secondError) {
+        logger.error('❌ JSON 修復失敗，使用降級解析');
+        throw new Error(`JSON 修復失敗: ${secondError.message}`);
+      }
+    }
+  }
+
+  /**
+   * 降級 JSON 解析 (逐一提取分類名稱與商品索引)
+   * 無法提取的商品交由後續對帳階段處理，不再平均分配
+   */
+  fallbackParseJSON(text) {
+    logger.warn('🚨 使用降級 JSON 解析模式');
+    
+    const categories = [];
+    const categoryPattern = /"name"\s*:\s*"([^"]+)"[\s\S]*?"productIndexes"\s*:\s*\[([^\]]*)\]/g;
+    let match;
+    
+    while ((match = categoryPattern.exec(text)) !== null) {
+      const productIndexes = (match[2].match(/-?\d+/g) || []).map(index => parseInt(index));
+      categories.push({
+        name: match[1],
+        description: `${match[1]}相關商品`,
+        productIndexes
+      });
+    }
+    
+    if (categories.length === 0) {
+      logger.warn('📦 無法從回應中提取任何分類，所有商品交由對帳階段處理');
+    } else {
+      logger.info(`🔧 降級解析提取到 ${categories.length} 個分類`);
+    }
+    
+    return { categories };
+  }
 
+  /**
+   * 從商品列表創建分類對象
+   */
+  createCategoryFromProducts(categoryName, products) {
     return {
       name: categoryName,
       description: `${categoryName}相關商品`,
-      totalProducts: products.length,
-      priceRange: {
-        min: prices.length > 0 ? Math.min(...prices) : 0,
-        max: prices.length > 0 ? Math.max(...prices) : 0,
-        avg: prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : 0
-      },
-      platforms: platforms,
+      ...this.summarizeProducts(products),
       products: products.map(product => ({
         id: product.id || `product_${Math.random().toString(36).substr(2, 9)}`,
         name: product.name || '未知商品',
@@ -475,135 +1864,642 @@ class SmartLLMService {
     };
   }
 
+  /**
+   * 為每個商品附上分類信心度與理由，信心度低於門檻的商品移入「待確認商品」分類
+   * 被移出的商品保留原本的分類建議 (suggestedCategory)
+   */
+  applyProductConfidence(categories, assignments, products) {
+    const { reviewEnabled, reviewThreshold, reviewCategory } = this.config.confidence;
+    const suggestions = new Map();
+    const reviewIndexes = [];
+
+    const groups = categories.map(category => ({
+      name: category.name,
+      parent: category.parent,
+      description: category.description,
+      productIndexes: category.productIndexes.filter(index => {
+        const assignment = assignments[index];
+        if (reviewEnabled && assignment && assignment.confidence < reviewThreshold) {
+          reviewIndexes.push(index);
+          suggestions.set(index, category.path || category.name);
+          return false;
+        }
+        return true;
+      })
+    }));
+
+    if (reviewIndexes.length > 0) {
+      logger.info(`🧐 ${reviewIndexes.length} 個商品分類信心度低於 ${reviewThreshold}，移入「${reviewCategory}」`);
+      groups.push({
+        name: reviewCategory,
+        description: `分類信心度低於 ${reviewThreshold} 的商品，建議人工確認`,
+        productIndexes: reviewIndexes.sort((a, b) => a - b)
+      });
+    }
+
+    const result = this.buildCategoriesFromIndexes(groups, products).map(category => ({
+      ...category,
+      needsReview: reviewIndexes.length > 0 && category.name === reviewCategory,
+      products: category.products.map((product, position) => {
+        const index = category.productIndexes[position];
+        return {
+          ...product,
+          classification: {
+            ...(assignments[index] || { confidence: 0, reason: '未被任何提供商分類', source: null }),
+            ...(suggestions.has(index) && { suggestedCategory: suggestions.get(index) })
+          }
+        };
+      })
+    }));
+
+    return {
+      categories: result,
+      review: {
+        threshold: reviewThreshold,
+        category: reviewCategory,
+        count: reviewIndexes.length
+      }
+    };
+  }
+
+  /**
+   * 計算商品統計 (商品數、價格區間、平台)
+   */
+  summarizeProducts(products) {
+    const prices = products.filter(p => p.price > 0).map(p => p.price);
+
+    return {
+      totalProducts: products.length,
+      priceRange: {
+        min: prices.length > 0 ? Math.min(...prices) : 0,
+        max: prices.length > 0 ? Math.max(...prices) : 0,
+        avg: prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : 0
+      },
+      platforms: [...new Set(products.map(p => p.platform))]
+    };
+  }
+
+  /**
+   * 查詢分類在關鍵字分類規則中的主分類 (子分類回傳所屬主分類，其他回傳 null)
+   */
+  findParentCategory(categoryName) {
+    for (const rule of Object.values(taxonomy.getKeywordRules())) {
+      if (!rule.subcategories) continue;
+
+      if (Object.keys(rule.subcategories).some(subCategory => areCategoryNamesEquivalent(subCategory, categoryName))) {
+        return rule.category;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 決定分類的主分類與路徑 (例如「手機配件/保護殼」)
+   * LLM 未提供主分類時，依關鍵字分類規則的子分類對照補上
+   */
+  resolveCategoryPath(categoryName, parent = null) {
+    const trimmedParent = typeof parent === 'string' ? parent.trim() : '';
+    const resolvedParent = (trimmedParent && trimmedParent !== categoryName) ?
+      trimmedParent :
+      this.findParentCategory(categoryName);
+
+    return {
+      parent: resolvedParent,
+      path: resolvedParent ? `${resolvedParent}/${categoryName}` : categoryName
+    };
+  }
+
+  /**
+   * 依分類的主分類建立兩層分類樹，主分類與子分類都附帶商品統計
+   * 沒有主分類的分類直接作為第一層，subcategories 為空陣列
+   */
+  buildCategoryHierarchy(categories) {
+    const parents = new Map();
+
+    categories.forEach(category => {
+      const parentName = category.parent || category.name;
+      if (!parents.has(parentName)) {
+        parents.set(parentName, { name: parentName, description: null, products: [], subcategories: [] });
+      }
+
+      const node = parents.get(parentName);
+      node.products.push(...(category.products || []));
+
+      if (category.parent) {
+        node.subcategories.push({
+          name: category.name,
+          path: category.path,
+          description: category.description,
+          totalProducts: category.totalProducts,
+          priceRange: category.priceRange,
+          platforms: category.platforms
+        });
+      } else {
+        node.description = category.description;
+      }
+    });
+
+    return [...parents.values()].map(node => ({
+      name: node.name,
+      path: node.name,
+      description: node.description || `${node.name}相關商品`,
+      ...this.summarizeProducts(node.products),
+      subcategories: node.subcategories
+    }));
+  }
+
+  /**
+   * 依商品索引建立完整分類對象 (含價格、平台統計)，略過空分類
+   */
+  buildCategoriesFromIndexes(groups, originalProducts) {
+    return groups
+      .filter(group => group.productIndexes.length > 0)
+      .map(group => {
+        const category = this.createCategoryFromProducts(
+          group.name,
+          group.productIndexes.map(index => ({
+            ...originalProducts[index],
+            id: originalProducts[index].id || `product_${index}`
+          }))
+        );
+        
+        logger.debug(`📦 分類 "${group.name}" 包含 ${category.totalProducts} 個商品`);
+        
+        return {
+          ...category,
+          ...this.resolveCategoryPath(group.name, group.parent),
+          description: group.description || category.description,
+          productIndexes: group.productIndexes
+        };
+      });
+  }
+
   /**
    * 解析 LLM 分類結果 - 增強版
+   * 回傳分類與對帳報告 (遺漏、重複、超出範圍的商品索引)
    */
   parseClassificationResult(llmResult, originalProducts) {
+    const parsed = this.parseLLMResponse(llmResult);
+    
+    if (parsed.errors.length > 0) {
+      logger.warn(`📐 回應未通過格式驗證: ${parsed.errors.slice(0, 3).join('; ')}`);
+      return this.normalizeClassification(this.fallbackParseJSON(llmResult).categories, originalProducts);
+    }
+    
+    return this.normalizeClassification(parsed.data.categories, originalProducts);
+  }
+
+  /**
+   * 提取、修復並依 schema 驗證 LLM 回應中的 JSON
+   * 回傳 { data, errors, jsonRepaired }，errors 為空表示通過驗證
+   * structured 為 true 時 (結構化輸出) 整個回應即為 JSON，不做提取與修復；
+   * 無法解析時 (例如被截斷) 才改用一般解析流程
+   */
+  parseLLMResponse(llmResult, { structured = false } = {}) {
     logger.info('🔍 開始解析 LLM 分類結果');
+    logger.debug(`📝 LLM 原始回應長度: ${llmResult.length} 字符`);
     
-    try {
-      // 記錄原始回應長度，用於調試
-      logger.debug(`📝 LLM 原始回應長度: ${llmResult.length} 字符`);
-      
-      // 提取 JSON 部分
-      const jsonMatch = llmResult.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        logger.error('❌ 未找到 JSON 格式回應，回應內容:', llmResult.substring(0, 200));
-        return this.fallbackParseJSON(llmResult, originalProducts);
+    if (structured) {
+      try {
+        const { value, errors } = validateClassificationData(JSON.parse(llmResult));
+        if (errors.length === 0) {
+          logger.info(`✅ 結構化輸出通過驗證，發現 ${value.categories.length} 個分類`);
+          return { data: value, errors: [], jsonRepaired: false };
+        }
+        return { data: null, errors, jsonRepaired: false };
+      } catch (error) {
+        logger.warn(`⚠️  結構化輸出無法解析，改用一般解析: ${error.message}`);
       }
+    }
+    
+    // 提取 JSON 部分
+    const jsonMatch = llmResult.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      logger.error('❌ 未找到 JSON 格式回應，回應內容:', llmResult.substring(0, 200));
+      return { data: null, errors: ['回應中沒有 JSON 物件'], jsonRepaired: false };
+    }
 
-      const jsonString = jsonMatch[0];
-      logger.debug(`🔧 提取的 JSON 長度: ${jsonString.length} 字符`);
-      
-      // 智能 JSON 解析
-      let parsedData;
+    const jsonString = jsonMatch[0];
+    logger.debug(`🔧 提取的 JSON 長度: ${jsonString.length} 字符`);
+    
+    // 智能 JSON 解析
+    let parsedData;
+    let jsonRepaired = false;
+    try {
+      parsedData = JSON.parse(jsonString);
+    } catch (parseError) {
       try {
         parsedData = this.repairJSON(jsonString);
-        logger.info('✅ JSON 解析成功');
+        jsonRepaired = true;
       } catch (jsonError) {
         logger.error('❌ JSON 解析和修復都失敗:', jsonError.message);
         logger.debug('🔍 JSON 片段:', jsonString.substring(0, 300));
-        return this.fallbackParseJSON(llmResult, originalProducts);
+        return { data: null, errors: [`JSON 格式錯誤: ${parseError.message}`], jsonRepaired: false };
+      }
+    }
+
+    // 驗證數據結構
+    const { value, errors } = validateClassificationData(parsedData);
+    if (errors.length > 0) {
+      return { data: null, errors, jsonRepaired };
+    }
+    
+    logger.info(`✅ JSON 解析成功，發現 ${value.categories.length} 個分類`);
+    return { data: value, errors: [], jsonRepaired };
+  }
+
+  /**
+   * 構建格式修正 Prompt - 附上驗證錯誤與先前的回應
+   */
+  buildCorrectionPrompt(originalPrompt, previousResponse, errors, productCount, provider = null, model = null) {
+    const maxLength = this.config.validation.maxPreviousResponseLength;
+    const truncated = previousResponse.length > maxLength ?
+      `${previousResponse.substring(0, maxLength)}...(已截斷)` :
+      previousResponse;
+    
+    const correction = this.promptRegistry.render(
+      PROMPT_IDS.FORMAT_CORRECTION,
+      {
+        ERRORS: errors.slice(0, 10).map(error => `- ${error}`).join('\n'),
+        PREVIOUS_RESPONSE: truncated,
+        PRODUCT_COUNT: productCount,
+        MAX_INDEX: Math.max(productCount - 1, 0)
+      },
+      { provider, model: model || this.config[provider]?.model || null }
+    );
+    
+    return `${originalPrompt}\n\n${correction.text}`;
+  }
+
+  /**
+   * 檢查分類中的商品索引，移除超出範圍與重複的索引，並找出遺漏的商品
+   * 同時依 details 建立每個商品的信心度與理由 (assignments，以商品索引為鍵)
+   */
+  normalizeClassification(rawCategories, originalProducts, source = null) {
+    const assigned = new Set();
+    const assignments = [];
+    const reconciliation = {
+      missingIndexes: [],
+      duplicateIndexes: [],
+      outOfRangeIndexes: []
+    };
+
+    const groups = rawCategories
+      .filter(category => category && typeof category === 'object')
+      .map((category, categoryIndex) => {
+        const productIndexes = [];
+        const rawIndexes = Array.isArray(category.productIndexes) ? category.productIndexes : [];
+        const details = new Map(
+          (Array.isArray(category.details) ? category.details : [])
+            .filter(detail => detail && Number.isInteger(Number(detail.index)))
+            .map(detail => [Number(detail.index), detail])
+        );
+        
+        rawIndexes.forEach(rawIndex => {
+          const index = typeof rawIndex === 'string' ? Number(rawIndex) : rawIndex;
+          
+          if (!Number.isInteger(index) || index < 0 || index >= originalProducts.length) {
+            logger.warn(`⚠️  無效的商品索引: ${rawIndex} (總共 ${originalProducts.length} 個商品)`);
+            reconciliation.outOfRangeIndexes.push(rawIndex);
+            return;
+          }
+          
+          if (assigned.has(index)) {
+            logger.warn(`⚠️  商品索引 ${index} 重複出現於多個分類，保留第一個分類`);
+            reconciliation.duplicateIndexes.push(index);
+            return;
+          }
+          
+          assigned.add(index);
+          productIndexes.push(index);
+          assignments[index] = this.buildAssignment(details.get(index), source);
+        });
+
+        return {
+          name: category.name || `${this.config.fallback.defaultCategory} ${categoryIndex + 1}`,
+          parent: category.parent || null,
+          description: category.description || `${category.name || '商品'}分類`,
+          productIndexes
+        };
+      });
+
+    reconciliation.missingIndexes = originalProducts
+      .map((_, index) => index)
+      .filter(index => !assigned.has(index));
+
+    if (reconciliation.missingIndexes.length > 0) {
+      logger.warn(`⚠️  LLM 遺漏 ${reconciliation.missingIndexes.length} 個商品`);
+    }
+
+    const categories = this.buildCategoriesFromIndexes(groups, originalProducts);
+    logger.info(`✅ 成功解析 ${categories.length} 個分類`);
+    
+    return { categories, assignments, reconciliation };
+  }
+
+  /**
+   * 對帳階段 - 補齊 LLM 遺漏的商品
+   * 先只針對遺漏商品重新詢問同一提供商，仍無法分類的商品再以關鍵字匹配歸類
+   */
+  async reconcileClassification(provider, result, products, searchQuery, options = {}) {
+    const report = {
+      ...result.reconciliation,
+      reaskedCount: 0,
+      recoveredByReask: 0,
+      assignedByKeyword: 0
+    };
+    const groups = result.categories.map(category => ({
+      name: category.name,
+      parent: category.parent,
+      description: category.description,
+      productIndexes: [...category.productIndexes]
+    }));
+    const assignments = [...(result.assignments || [])];
+    // 已由覆寫規則歸類的遺漏商品不需補齊
+    const assigned = new Set(groups.flatMap(group => group.productIndexes));
+    let missing = report.missingIndexes.filter(index => !assigned.has(index));
+    
+    const { reaskEnabled, maxReaskProducts } = this.config.reconciliation;
+    if (missing.length > 0 && reaskEnabled && missing.length <= maxReaskProducts) {
+      report.reaskedCount = missing.length;
+      logger.info(`🔁 重新詢問 ${provider.toUpperCase()} 分類 ${missing.length} 個遺漏商品`);
+      
+      try {
+        const subset = missing.map(index => products[index]);
+        const reask = await this.callProvider(provider, subset, searchQuery, options);
+        const recovered = new Set();
+        
+        reask.categories.forEach(category => {
+          const globalIndexes = category.productIndexes.map(index => missing[index]);
+          this.addToEquivalentGroup(groups, category.name, category.description, globalIndexes, category.parent);
+          globalIndexes.forEach(index => recovered.add(index));
+        });
+        (reask.assignments || []).forEach((assignment, index) => {
+          assignments[missing[index]] = assignment;
+        });
+        
+        missing = missing.filter(index => !recovered.has(index));
+        report.recoveredByReask = recovered.size;
+      } catch (error) {
+        if (isRecordingMiss(error) || this.isCancellation(error)) throw error;
+        logger.warn(`⚠️  重新詢問 ${provider.toUpperCase()} 失敗: ${error.message}`);
+      }
+    }
+    
+    if (missing.length > 0) {
+      logger.info(`🔑 以關鍵字匹配歸類 ${missing.length} 個遺漏商品`);
+      missing.forEach(index => {
+        const match = this.keywordMatchDetail(products[index].name, searchQuery);
+        this.addToEquivalentGroup(groups, match.category, `基於關鍵字匹配的 ${match.category} 分類`, [index], match.parent);
+        assignments[index] = this.buildKeywordAssignment(match);
+      });
+      report.assignedByKeyword = missing.length;
+    }
+    
+    report.repaired = report.missingIndexes.length > 0 ||
+      report.duplicateIndexes.length > 0 ||
+      report.outOfRangeIndexes.length > 0;
+    
+    if (report.repaired) {
+      logger.info(`🧾 分類對帳完成: 遺漏 ${report.missingIndexes.length}、重複 ${report.duplicateIndexes.length}、超出範圍 ${report.outOfRangeIndexes.length}，重新詢問補回 ${report.recoveredByReask}，關鍵字補回 ${report.assignedByKeyword}`);
+    }
+    
+    return {
+      categories: this.buildCategoriesFromIndexes(groups, products),
+      assignments,
+      promptVersion: result.promptVersion || null,
+      reconciliation: report
+    };
+  }
+
+  /**
+   * 將商品索引加入名稱等價的分類，若無則新增分類
+   */
+  addToEquivalentGroup(groups, name, description, productIndexes, parent = null) {
+    const target = groups.find(group => areCategoryNamesEquivalent(group.name, name));
+    if (target) {
+      target.productIndexes.push(...productIndexes);
+    } else {
+      groups.push({ name, parent, description, productIndexes: [...productIndexes] });
+    }
+  }
+
+  /**
+   * 合併分批分類的對帳報告 (索引轉換為全域索引)
+   */
+  mergeReconciliationReports(reports) {
+    const merged = {
+      missingIndexes: [],
+      duplicateIndexes: [],
+      outOfRangeIndexes: [],
+      reaskedCount: 0,
+      recoveredByReask: 0,
+      assignedByKeyword: 0,
+      repaired: false
+    };
+    
+    reports.forEach(({ offset, report }) => {
+      if (!report) return;
+      merged.missingIndexes.push(...report.missingIndexes.map(index => index + offset));
+      merged.duplicateIndexes.push(...report.duplicateIndexes.map(index => index + offset));
+      merged.outOfRangeIndexes.push(...report.outOfRangeIndexes);
+      merged.reaskedCount += report.reaskedCount;
+      merged.recoveredByReask += report.recoveredByReask;
+      merged.assignedByKeyword += report.assignedByKeyword;
+      merged.repaired = merged.repaired || report.repaired;
+    });
+    
+    return merged;
+  }
+
+  /**
+   * Ollama 健康檢查 - 確認服務可連線且配置的模型已下載 (force 忽略檢查間隔)
+   */
+  async checkOllamaHealth({ force = false } = {}) {
+    // 重播模式不連線
+    if (this.recorder.isReplay()) {
+      return;
+    }
+    
+    const lastCheck = this.lastHealthCheck.get('ollama') || 0;
+    const now = Date.now();
+    
+    // 如果最近檢查過且成功，跳過
+    if (!force && now - lastCheck < this.config.ollama.healthCheckInterval) {
+      return;
+    }
+    
+    try {
+      const response = await axios.get(`${this.config.ollama.url}/api/tags`, {
+        timeout: 5000
+      });
+      
+      const pulled = (response.data?.models || []).map(model => model.name || model.model);
+      const missing = this.getOllamaModels().filter(model => !this.findOllamaModel(pulled, model));
+      this.ollamaModelState = { pulled, missing, checkedAt: new Date(now).toISOString() };
+      
+      if (missing.includes(this.config.ollama.model)) {
+        throw new Error(`模型 ${this.config.ollama.model} 尚未下載，請先執行 ollama pull ${this.config.ollama.model}`);
+      }
+      if (missing.length > 0) {
+        logger.warn(`⚠️  Ollama 模型 ${missing.join(', ')} 尚未下載`);
       }
+      
+      this.lastHealthCheck.set('ollama', now);
+      logger.debug('🦙 Ollama 健康檢查通過');
+    } catch (error) {
+      this.lastHealthCheck.delete('ollama');
+      throw new Error(`Ollama 健康檢查失敗: ${error.message}`);
+    }
+  }
 
-      // 驗證數據結構
-      if (!parsedData.categories || !Array.isArray(parsedData.categories)) {
-        logger.error('❌ 解析結果缺少 categories 陣列');
-        return this.fallbackParseJSON(llmResult, originalProducts);
+  /**
+   * OpenAI 相容服務健康檢查 - 以 GET /models 確認服務可連線，且配置的模型已載入
+   */
+  async checkOpenAIHealth() {
+    // 重播模式不連線
+    if (this.recorder.isReplay()) {
+      return { status: 'healthy' };
+    }
+    
+    try {
+      const response = await axios.get(`${this.getOpenAIBaseUrl()}/models`, {
+        timeout: 5000,
+        headers: this.getOpenAIHeaders()
+      });
+      
+      const models = (response.data?.data || []).map(model => model.id);
+      if (models.length > 0 && !models.includes(this.config.openai.model)) {
+        return { status: 'degraded', models, error: `服務未提供模型 ${this.config.openai.model}` };
       }
+      return { status: 'healthy', models };
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      return { status: 'unhealthy', error: `OpenAI 相容服務健康檢查失敗: ${reason}` };
+    }
+  }
 
-      logger.info(`📊 發現 ${parsedData.categories.length} 個分類`);
-
-      // 處理每個分類
-      const validatedCategories = parsedData.categories.map((category, index) => {
-        try {
-          const categoryProducts = (category.productIndexes || [])
-            .filter(index => {
-              const valid = index >= 0 && index < originalProducts.length;
-              if (!valid) {
-                logger.warn(`⚠️  無效的商品索引: ${index} (總共 ${originalProducts.length} 個商品)`);
-              }
-              return valid;
-            })
-            .map(index => {
-              const originalProduct = originalProducts[index];
-              return {
-                id: originalProduct.id || `product_${index}`,
-                name: originalProduct.name || '未知商品',
-                price: originalProduct.price || 0,
-                platform: originalProduct.platform || 'unknown',
-                url: originalProduct.url || null,
-                image: originalProduct.image || null,
-                inStock: originalProduct.inStock !== false,
-                shipping: originalProduct.shipping || '依商家規定',
-                currency: originalProduct.currency || 'TWD',
-                crawledAt: originalProduct.crawledAt || new Date().toISOString()
-              };
-            });
-
-          logger.debug(`📦 分類 "${category.name}" 包含 ${categoryProducts.length} 個商品`);
-
-          // 計算統計數據
-          const prices = categoryProducts.filter(p => p.price > 0).map(p => p.price);
-          const platforms = [...new Set(categoryProducts.map(p => p.platform))];
-
-          return {
-            name: category.name || `${this.config.fallback.defaultCategory} ${index + 1}`,
-            description: category.description || `${category.name || '商品'}分類`,
-            totalProducts: categoryProducts.length,
-            priceRange: {
-              min: prices.length > 0 ? Math.min(...prices) : 0,
-              max: prices.length > 0 ? Math.max(...prices) : 0,
-              avg: prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : 0
-            },
-            platforms: platforms,
-            products: categoryProducts
-          };
-        } catch (categoryError) {
-          logger.error(`❌ 處理分類 ${index} 時出錯:`, categoryError.message);
-          return this.createCategoryFromProducts(
-            category.name || `分類 ${index + 1}`, 
-            originalProducts.slice(0, Math.ceil(originalProducts.length / parsedData.categories.length))
-          );
-        }
+  /**
+   * 嵌入服務健康檢查 - 以一筆短文字呼叫嵌入 API，確認服務可連線且模型可產生向量
+   */
+  async checkEmbeddingHealth() {
+    // 重播模式不連線
+    if (this.recorder.isReplay()) {
+      return { status: 'healthy' };
+    }
+    
+    const { url, model } = this.config.embedding;
+    try {
+      const response = await axios.post(`${url}/api/embed`, { model, input: ['health check'] }, {
+        timeout: 5000,
+        headers: { 'Content-Type': 'application/json' }
       });
-
-      logger.info(`✅ 成功解析 ${validatedCategories.length} 個分類`);
-      return { categories: validatedCategories };
       
+      const [vector] = response.data?.embeddings || [];
+      if (!Array.isArray(vector) || vector.length === 0) {
+        return { status: 'unhealthy', error: '嵌入 API 回應格式錯誤' };
+      }
+      return { status: 'healthy', dimensions: vector.length };
     } catch (error) {
-      logger.error('🛑 解析LLM分類結果完全失敗:', error.message);
-      logger.debug('🔍 錯誤堆疊:', error.stack);
-      
-      // 最終降級策略
-      return this.fallbackParseJSON(llmResult, originalProducts);
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      return { status: 'unhealthy', error: `嵌入服務健康檢查失敗: ${reason}` };
     }
   }
 
   /**
-   * Ollama 健康檢查
+   * 需要的 Ollama 模型 (主要模型，啟用路由時加上小模型)
    */
-  async checkOllamaHealth() {
-    const lastCheck = this.lastHealthCheck.get('ollama') || 0;
-    const now = Date.now();
+  getOllamaModels() {
+    const models = [this.config.ollama.model];
+    if (this.config.routing.enabled && !models.includes(this.config.routing.smallModel)) {
+      models.push(this.config.routing.smallModel);
+    }
+    return models;
+  }
+
+  /**
+   * 在 Ollama 模型清單中尋找模型 (未指定標籤時視為 :latest)
+   */
+  findOllamaModel(models, name) {
+    const withTag = model => (model.includes(':') ? model : `${model}:latest`);
+    return models.find(model => withTag(model) === withTag(name)) || null;
+  }
+
+  /**
+   * 啟動時確認 Ollama 模型已下載，並依配置預先載入 (避免第一次搜尋承擔模型載入時間)
+   */
+  async prepareOllama() {
+    if (!this.config.ollama.enabled || this.recorder.isReplay()) return;
     
-    // 如果最近檢查過且成功，跳過
-    if (now - lastCheck < this.config.ollama.healthCheckInterval) {
+    try {
+      await this.checkOllamaHealth({ force: true });
+      logger.info(`🦙 Ollama 模型已下載: ${this.getOllamaModels().filter(model => !this.ollamaModelState.missing.includes(model)).join(', ')}`);
+    } catch (error) {
+      logger.error(`❌ ${error.message}`);
       return;
     }
     
-    try {
-      const response = await axios.get(`${this.config.ollama.url}/api/tags`, {
-        timeout: 5000
-      });
-      
-      if (response.status === 200) {
-        this.lastHealthCheck.set('ollama', now);
-        logger.debug('🦙 Ollama 健康檢查通過');
+    if (this.config.ollama.warmup) {
+      for (const model of this.getOllamaModels()) {
+        if (this.ollamaModelState.missing.includes(model)) continue;
+        await this.warmupOllama(model).catch(error => {
+          logger.warn(`⚠️  Ollama 模型 ${model} 預先載入失敗: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * 以簡短 prompt 預先載入模型 (num_ctx 須與分類請求一致，否則 Ollama 會重新載入模型)
+   */
+  async warmupOllama(model = this.config.ollama.model) {
+    const startTime = Date.now();
+    logger.info(`🔥 預先載入 Ollama 模型 ${model}...`);
+    
+    await axios.post(
+      `${this.config.ollama.url}/api/generate`,
+      {
+        model,
+        prompt: '你好',
+        stream: false,
+        keep_alive: this.config.ollama.keepAlive,
+        options: {
+          num_predict: 1,
+          num_ctx: this.config.ollama.num_ctx
+        }
+      },
+      {
+        timeout: this.config.ollama.timeout,
+        headers: { 'Content-Type': 'application/json' }
       }
+    );
+    
+    logger.info(`🔥 Ollama 模型 ${model} 已載入 (${Date.now() - startTime}ms)`);
+  }
+
+  /**
+   * Ollama 模型狀態 - 是否已下載、是否已載入記憶體 (/api/ps) 與常駐到期時間
+   */
+  async getOllamaModelStatus() {
+    let running = null;
+    try {
+      const response = await axios.get(`${this.config.ollama.url}/api/ps`, { timeout: 5000 });
+      running = response.data?.models || [];
     } catch (error) {
-      throw new Error(`Ollama 健康檢查失敗: ${error.message}`);
+      logger.debug(`🦙 無法取得 Ollama 已載入模型: ${error.message}`);
     }
+    
+    const status = {};
+    this.getOllamaModels().forEach(model => {
+      const loaded = running && running.find(item => this.findOllamaModel([item.name || item.model], model));
+      status[model] = {
+        pulled: this.ollamaModelState ? !this.ollamaModelState.missing.includes(model) : null,
+        loaded: running ? Boolean(loaded) : null,
+        expiresAt: loaded?.expires_at || null,
+        sizeVram: loaded?.size_vram ?? null
+      };
+    });
+    return status;
   }
 
   /**
@@ -625,8 +2521,19 @@ class SmartLLMService {
     stats.totalResponseTime += responseTime;
     stats.lastSuccess = Date.now();
     
+    // 保留最近的響應時間樣本，用於計算延遲百分位數
+    stats.responseTimes = stats.responseTimes || [];
+    stats.responseTimes.push(responseTime);
+    if (stats.responseTimes.length > LATENCY_SAMPLE_SIZE) {
+      stats.responseTimes.shift();
+    }
+    
     // 重置失敗計數
     this.failureCount.set(provider, 0);
+    
+    if (provider !== LLM_PROVIDERS.KEYWORD) {
+      this.getCircuitBreaker(provider).recordSuccess();
+    }
   }
 
   /**
@@ -649,6 +2556,128 @@ class SmartLLMService {
     stats.totalRequests++;
     stats.lastFailure = Date.now();
     stats.lastError = error.message;
+    
+    if (provider !== LLM_PROVIDERS.KEYWORD) {
+      const rateLimited = error.response?.status === 429;
+      this.getCircuitBreaker(provider).recordFailure(error, {
+        immediate: rateLimited || this.isOutageError(error),
+        cooldownMs: rateLimited && provider === LLM_PROVIDERS.GEMINI ? this.config.gemini.retryDelay : undefined
+      });
+    }
+  }
+
+  /**
+   * 獲取提供商斷路器
+   */
+  getCircuitBreaker(provider) {
+    if (!this.circuitBreakers.has(provider)) {
+      this.circuitBreakers.set(provider, new CircuitBreaker(provider.toUpperCase(), {
+        failureThreshold: this.config.fallbackThreshold,
+        cooldownMs: this.config.circuitBreaker.cooldownMs
+      }));
+    }
+    return this.circuitBreakers.get(provider);
+  }
+
+  /**
+   * 提供商是否可用 (autoSwitchOnError 關閉時不略過任何提供商)
+   */
+  isProviderAvailable(provider) {
+    if (!this.config.autoSwitchOnError || provider === LLM_PROVIDERS.KEYWORD) {
+      return true;
+    }
+    return this.getCircuitBreaker(provider).canRequest();
+  }
+
+  /**
+   * 是否為服務中斷類錯誤 (服務未運行、健康檢查失敗)
+   */
+  isOutageError(error) {
+    return error.code === 'ECONNREFUSED' ||
+      /未運行|健康檢查失敗/.test(error.message || '');
+  }
+
+  /**
+   * 記錄 prompt 版本的請求與解析結果
+   */
+  recordPromptEvent(provider, promptVersion, event) {
+    if (!promptVersion) return;
+
+    const stats = this.getPromptStats(provider, promptVersion);
+    stats[event] = (stats[event] || 0) + 1;
+  }
+
+  /**
+   * 記錄 prompt 版本的分類品質 (對帳修補、待確認商品比例)
+   */
+  recordPromptOutcome(provider, promptVersion, reconciliation, review, productCount) {
+    if (!promptVersion) return;
+
+    promptVersion.split(',').forEach(version => {
+      const stats = this.getPromptStats(provider, version);
+      stats.classifications++;
+      stats.totalProducts += productCount;
+      stats.reviewProducts += review?.count || 0;
+      if (reconciliation?.repaired) {
+        stats.repairedClassifications++;
+        stats.missingIndexes += reconciliation.missingIndexes.length;
+      }
+    });
+  }
+
+  /**
+   * 取得 (必要時建立) prompt 版本統計
+   */
+  getPromptStats(provider, promptVersion) {
+    const key = `${provider}:${promptVersion}`;
+    if (!this.promptStats.has(key)) {
+      this.promptStats.set(key, {
+        provider,
+        prompt: promptVersion,
+        requests: 0,
+        validResponses: 0,
+        parseFallbacks: 0,
+        classifications: 0,
+        repairedClassifications: 0,
+        missingIndexes: 0,
+        reviewProducts: 0,
+        totalProducts: 0
+      });
+    }
+    return this.promptStats.get(key);
+  }
+
+  /**
+   * 記錄回應格式事件 (jsonRepairs、validationFailures、reprompts 等)
+   */
+  recordOutputEvent(provider, event) {
+    if (!event) return;
+    
+    if (!this.outputStats.has(provider)) {
+      this.outputStats.set(provider, {
+        validResponses: 0,
+        jsonRepairs: 0,
+        validationFailures: 0,
+        reprompts: 0,
+        repromptSuccesses: 0,
+        parseFallbacks: 0,
+        providerFallbacks: 0,
+        queueFallbacks: 0
+      });
+    }
+    
+    this.outputStats.get(provider)[event]++;
+  }
+
+  /**
+   * 獲取所有斷路器狀態
+   */
+  getCircuitBreakerStates() {
+    const states = {};
+    for (const [provider, breaker] of this.circuitBreakers.entries()) {
+      states[provider] = breaker.getState();
+    }
+    return states;
   }
 
   /**
@@ -677,113 +2706,392 @@ class SmartLLMService {
       
       logger.info(`   ${provider.toUpperCase()}: 成功率 ${successRate}%, 平均響應 ${avgResponseTime}ms, 總請求 ${stats.totalRequests}`);
     }
+    
+    for (const [provider, output] of this.outputStats.entries()) {
+      logger.info(`   ${provider.toUpperCase()} 回應格式: JSON 修復 ${output.jsonRepairs}, 修正重問 ${output.reprompts} (成功 ${output.repromptSuccesses}), 降級解析 ${output.parseFallbacks}, 切換提供商 ${output.providerFallbacks}`);
+    }
+  }
+
+  /**
+   * 健康檢查 - 結果快取 health.cacheMs，期間內 (含探測進行中) 的呼叫共用同一次結果；force 時重新探測
+   */
+  async healthCheck({ force = false } = {}) {
+    const cached = this.healthCache;
+    if (!force && cached && Date.now() < cached.expiresAt) {
+      return cached.promise;
+    }
+    
+    const entry = { promise: this.probeHealth(), expiresAt: Infinity };
+    this.healthCache = entry;
+    try {
+      const result = await entry.promise;
+      entry.expiresAt = Date.now() + this.config.health.cacheMs;
+      return result;
+    } catch (error) {
+      if (this.healthCache === entry) this.healthCache = null;
+      throw error;
+    }
   }
 
   /**
-   * 健康檢查
+   * 探測各提供商健康狀態 (Ollama、OpenAI 相容服務與嵌入服務會實際發出請求)
    */
-  async healthCheck() {
+  async probeHealth() {
     const results = {};
     
     // 檢查 Ollama
     if (this.config.ollama.enabled) {
       try {
-        await this.checkOllamaHealth();
-        results.ollama = { status: 'healthy', model: this.config.ollama.model };
+        await this.checkOllamaHealth({ force: true });
+        results.ollama = {
+          status: this.ollamaModelState?.missing.length > 0 ? 'degraded' : 'healthy',
+          model: this.config.ollama.model
+        };
       } catch (error) {
-        results.ollama = { status: 'unhealthy', error: error.message };
+        results.ollama = { status: 'unhealthy', model: this.config.ollama.model, error: error.message };
+      }
+      
+      if (!this.recorder.isReplay()) {
+        results.ollama.keepAlive = this.config.ollama.keepAlive;
+        results.ollama.models = await this.getOllamaModelStatus();
       }
     }
     
+    // 檢查 OpenAI 相容服務
+    if (this.config.openai.enabled) {
+      results.openai = {
+        model: this.config.openai.model,
+        url: this.config.openai.url,
+        ...await this.checkOpenAIHealth()
+      };
+    }
+    
+    // 檢查嵌入分群
+    if (this.config.embedding.enabled) {
+      results.embedding = {
+        model: this.config.embedding.model,
+        namingProvider: this.config.embedding.namingProvider,
+        ...await this.checkEmbeddingHealth()
+      };
+    }
+    
     // 檢查 Gemini
     if (this.config.gemini.enabled) {
-      try {
-        results.gemini = { status: 'healthy', model: this.config.gemini.model };
-      } catch (error) {
-        results.gemini = { status: 'unhealthy', error: error.message };
+      const quota = this.usageTracker.getQuotaStatus(LLM_PROVIDERS.GEMINI);
+      results.gemini = {
+        status: quota.exhausted ? 'degraded' : 'healthy',
+        model: this.config.gemini.model,
+        quota
+      };
+    }
+    
+    // 關鍵字匹配總是可用
+    results.keyword = { status: 'healthy' };
+    
+    // 斷路中的提供商視為降級
+    for (const [provider, result] of Object.entries(results)) {
+      if (!this.circuitBreakers.has(provider)) continue;
+      
+      const circuit = this.circuitBreakers.get(provider).getState();
+      result.circuit = circuit;
+      if (result.status === 'healthy' && circuit.state !== 'closed') {
+        result.status = 'degraded';
       }
     }
     
+    const primaryProvider = this.getProviderOrder()[0];
+    const status = Object.values(results).every(result => result.status === 'healthy') ? 'healthy' :
+      results[primaryProvider]?.status === 'healthy' ? 'degraded' : 'unhealthy';
+    
     return {
-      status: 'healthy',
+      status,
       currentProvider: this.currentProvider,
+      provider: this.config.provider,
+      fallbackEnabled: this.config.fallbackEnabled,
       fallbackOrder: this.config.fallbackOrder,
       providers: results,
-      performanceStats: Object.fromEntries(this.performanceStats),
-      logSystem: logTest
+      checkedAt: new Date().toISOString()
     };
   }
 
   /**
-   * 使用 Gemini 進行分類
+   * 寫入延遲寫檔中的資料 (關閉服務前呼叫，避免遺失最近的記錄)
    */
-  async categorizeWithGemini(products, searchQuery) {
-    const startTime = Date.now();
-    
-    try {
-      if (!this.config.gemini.enabled || !this.config.gemini.apiKey) {
-        throw new Error('Gemini 未啟用或缺少 API Key');
-      }
+  flush() {
+    this.usageTracker.flush();
+    this.categoryHistory.flush();
+  }
 
-      const result = await this.useGemini(products, searchQuery);
-      
-      // 記錄成功統計
-      this.recordSuccess(LLM_PROVIDERS.GEMINI, Date.now() - startTime);
+  /**
+   * 獲取實際使用的提供商順序
+   */
+  getProviderOrder() {
+    return this.config.provider === 'auto' ?
+      this.config.fallbackOrder :
+      [this.config.provider];
+  }
+
+  /**
+   * 獲取分類流程的提供商順序 - 一定以關鍵字匹配收尾，確保搜尋不會因 LLM 全數失敗而中斷
+   * 停用降級 (LLM_FALLBACK_ENABLED=false) 時只使用第一個提供商，失敗後直接以關鍵字匹配收尾
+   */
+  getClassificationPipeline() {
+    const order = this.getProviderOrder();
+    const providers = this.config.fallbackEnabled ? [...order] : order.slice(0, 1);
+    if (!providers.includes(LLM_PROVIDERS.KEYWORD)) {
+      providers.push(LLM_PROVIDERS.KEYWORD);
+    }
+    return this.applyQuotaDemotion(providers);
+  }
+
+  /**
+   * 依每日配額調整提供商順序 - 接近配額時移到關鍵字匹配之前的最後順位，用盡時移除
+   */
+  applyQuotaDemotion(providers) {
+    const demoted = [];
+    const kept = providers.filter(provider => {
+      const quota = this.usageTracker.getQuotaStatus(provider);
+      if (!quota.near) return true;
       
-      logger.info(`✅ Gemini 分類成功: ${result.categories.length} 個分類`);
+      this.noticeQuota(provider, quota);
+      if (!quota.exhausted) demoted.push(provider);
+      return false;
+    });
+    
+    const keywordIndex = kept.indexOf(LLM_PROVIDERS.KEYWORD);
+    kept.splice(keywordIndex === -1 ? kept.length : keywordIndex, 0, ...demoted);
+    return kept;
+  }
+
+  /**
+   * 配額狀態變化時記錄一次警告
+   */
+  noticeQuota(provider, quota) {
+    const state = `${this.usageTracker.dateKey()}:${quota.exhausted ? 'exhausted' : 'near'}`;
+    if (this.quotaNotices.get(provider) === state) return;
+    
+    this.quotaNotices.set(provider, state);
+    const usage = quota.usageRatio === null ? '' : ` (已使用 ${(quota.usageRatio * 100).toFixed(1)}%)`;
+    logger.warn(quota.exhausted ?
+      `🚫 ${provider.toUpperCase()} 今日配額已用盡${usage}，暫時從降級順序移除` :
+      `📉 ${provider.toUpperCase()} 接近今日配額${usage}，降低優先順序`);
+  }
+
+  /**
+   * 最近幾天的用量與費用
+   */
+  getUsage(days = 7) {
+    return this.usageTracker.getUsage(days);
+  }
+
+  /**
+   * 獲取可在執行期間選用的提供商
+   */
+  getAvailableProviders() {
+    const providers = [];
+    if (this.config.ollama.enabled) providers.push(LLM_PROVIDERS.OLLAMA);
+    if (this.config.gemini.enabled) providers.push(LLM_PROVIDERS.GEMINI);
+    if (this.config.openai.enabled) providers.push(LLM_PROVIDERS.OPENAI);
+    if (this.config.embedding.enabled) providers.push(LLM_PROVIDERS.EMBEDDING);
+    providers.push(LLM_PROVIDERS.KEYWORD);
+    return providers;
+  }
+
+  /**
+   * 獲取各提供商統計 (成功率、延遲百分位數、回應格式、斷路器)
+   */
+  getStats() {
+    const providers = {};
+    const providerNames = new Set([
+      ...this.performanceStats.keys(),
+      ...this.outputStats.keys(),
+      ...this.tokenStats.keys(),
+      ...this.circuitBreakers.keys()
+    ]);
+    
+    for (const provider of providerNames) {
+      const stats = this.performanceStats.get(provider) || { successCount: 0, totalRequests: 0, totalResponseTime: 0 };
+      const samples = [...(stats.responseTimes || [])].sort((a, b) => a - b);
       
-      return {
-        success: true,
-        mode: 'gemini_classification',
-        provider: LLM_PROVIDERS.GEMINI,
-        categories: result.categories,
-        totalProducts: products.length,
-        searchQuery: searchQuery,
-        responseTime: Date.now() - startTime,
-        timestamp: new Date().toISOString()
+      providers[provider] = {
+        totalRequests: stats.totalRequests,
+        successCount: stats.successCount,
+        failureCount: stats.totalRequests - stats.successCount,
+        successRate: stats.totalRequests > 0 ?
+          Number((stats.successCount / stats.totalRequests).toFixed(4)) : null,
+        consecutiveFailures: this.failureCount.get(provider) || 0,
+        latency: {
+          avg: stats.successCount > 0 ? Math.round(stats.totalResponseTime / stats.successCount) : null,
+          p50: this.calculatePercentile(samples, 50),
+          p90: this.calculatePercentile(samples, 90),
+          p99: this.calculatePercentile(samples, 99),
+          samples: samples.length
+        },
+        lastSuccess: stats.lastSuccess ? new Date(stats.lastSuccess).toISOString() : null,
+        lastFailure: stats.lastFailure ? new Date(stats.lastFailure).toISOString() : null,
+        lastError: stats.lastError || null,
+        output: this.outputStats.get(provider) || null,
+        tokens: this.getTokenStats(provider),
+        circuit: this.circuitBreakers.has(provider) ? this.circuitBreakers.get(provider).getState() : null
       };
-      
-    } catch (error) {
-      logger.error('🛑 Gemini 分類失敗:', error);
-      this.recordFailure(LLM_PROVIDERS.GEMINI, error);
-      throw error;
     }
+    
+    const prompts = [...this.promptStats.values()].map(stats => ({
+      ...stats,
+      repairRate: stats.classifications > 0 ?
+        Number((stats.repairedClassifications / stats.classifications).toFixed(4)) : null,
+      reviewRate: stats.totalProducts > 0 ?
+        Number((stats.reviewProducts / stats.totalProducts).toFixed(4)) : null
+    }));
+    
+    return {
+      currentProvider: this.currentProvider,
+      provider: this.config.provider,
+      fallbackEnabled: this.config.fallbackEnabled,
+      fallbackOrder: this.config.fallbackOrder,
+      providers,
+      prompts,
+      hedging: {
+        enabled: this.config.hedging.enabled,
+        providers: Object.fromEntries(this.hedgeStats)
+      },
+      routing: {
+        enabled: this.config.routing.enabled,
+        tiers: Object.fromEntries(this.routingStats)
+      },
+      corrections: {
+        ...this.correctionStore.getStats(),
+        applied: this.correctionsApplied
+      },
+      overrideRules: {
+        ...this.overrideRuleStore.getStats(),
+        applied: this.overrideRulesApplied
+      },
+      categoryHistory: {
+        ...this.categoryHistory.getStats(),
+        anchored: this.categoriesAnchored
+      },
+      taxonomy: taxonomy.getStatus(),
+      queues: Object.fromEntries(
+        [...this.requestQueues.entries()].map(([provider, queue]) => [provider, queue.getStats()])
+      ),
+      recording: this.recorder.getStats()
+    };
   }
 
   /**
-   * 使用 Ollama 進行分類
+   * Token 用量統計 - estimateAccuracy 為實際輸入 token 與預估值的比例 (大於 1 表示低估)
    */
-  async categorizeWithOllama(products, searchQuery) {
-    const startTime = Date.now();
+  getTokenStats(provider) {
+    const stats = this.tokenStats.get(provider);
+    if (!stats) return null;
     
-    try {
-      if (!this.config.ollama.enabled) {
-        throw new Error('Ollama 未啟用');
+    return {
+      ...stats,
+      estimateAccuracy: stats.reportedEstimatedTokens > 0 ?
+        Number((stats.inputTokens / stats.reportedEstimatedTokens).toFixed(4)) : null
+    };
+  }
+
+  /**
+   * 計算百分位數 (nearest-rank)，輸入需已排序
+   */
+  calculatePercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return null;
+    const rank = Math.ceil((percentile / 100) * sortedValues.length);
+    return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+  }
+
+  /**
+   * 驗證執行期間的配置變更，回傳錯誤訊息列表
+   */
+  validateRuntimeConfig({ provider, fallbackOrder } = {}) {
+    const errors = [];
+    const availableProviders = this.getAvailableProviders();
+    
+    if (provider !== undefined && provider !== LLM_PROVIDERS.AUTO && !availableProviders.includes(provider)) {
+      errors.push(`提供商 ${provider} 未啟用或不存在，可用提供商: ${availableProviders.join(', ')}`);
+    }
+    
+    if (fallbackOrder !== undefined) {
+      if (!Array.isArray(fallbackOrder) || fallbackOrder.length === 0) {
+        errors.push('fallbackOrder 必須是非空陣列');
+      } else {
+        const unavailable = fallbackOrder.filter(item => !availableProviders.includes(item));
+        if (unavailable.length > 0) {
+          errors.push(`降級順序包含未啟用或不存在的提供商: ${unavailable.join(', ')}`);
+        }
+        if (new Set(fallbackOrder).size !== fallbackOrder.length) {
+          errors.push('降級順序不可包含重複的提供商');
+        }
       }
+    }
+    
+    return errors;
+  }
 
-      const result = await this.useOllama(products, searchQuery);
-      
-      // 記錄成功統計
-      this.recordSuccess(LLM_PROVIDERS.OLLAMA, Date.now() - startTime);
-      
-      logger.info(`✅ Ollama 分類成功: ${result.categories.length} 個分類`);
-      
-      return {
-        success: true,
-        mode: 'ollama_classification',
-        provider: LLM_PROVIDERS.OLLAMA,
-        categories: result.categories,
-        totalProducts: products.length,
-        searchQuery: searchQuery,
-        responseTime: Date.now() - startTime,
-        timestamp: new Date().toISOString()
-      };
-      
-    } catch (error) {
-      logger.error('🛑 Ollama 分類失敗:', error);
-      this.recordFailure(LLM_PROVIDERS.OLLAMA, error);
-      throw error;
+  /**
+   * 執行期間變更提供商與降級順序 (不需重啟)
+   */
+  updateRuntimeConfig({ provider, fallbackOrder } = {}) {
+    const errors = this.validateRuntimeConfig({ provider, fallbackOrder });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    const previous = {
+      provider: this.config.provider,
+      fallbackOrder: [...this.config.fallbackOrder]
+    };
+    
+    if (provider !== undefined) {
+      this.config.provider = provider;
+    }
+    if (fallbackOrder !== undefined) {
+      this.config.fallbackOrder = [...fallbackOrder];
+    }
+    this.currentProvider = getActiveProvider(this.config);
+    
+    logger.info(`🔧 LLM 執行期配置變更: 提供商 ${previous.provider} → ${this.config.provider}，降級順序 ${previous.fallbackOrder.join(' → ')} → ${this.config.fallbackOrder.join(' → ')}`);
+    
+    return {
+      previous,
+      provider: this.config.provider,
+      currentProvider: this.currentProvider,
+      fallbackOrder: this.config.fallbackOrder
+    };
+  }
+
+  /**
+   * 列出 prompt 模板版本與流量分配
+   */
+  getPromptTemplates() {
+    return this.promptRegistry.list();
+  }
+
+  /**
+   * 執行期間變更 prompt 流量分配，weights 為 null 時恢復使用 active 版本
+   */
+  updatePromptRollout(id, weights) {
+    if (weights === null) {
+      this.promptRegistry.clearRollout(id);
+      logger.info(`🧪 Prompt 流量分配已清除: ${id}`);
+      return null;
+    }
+    return this.promptRegistry.setRollout(id, weights);
+  }
+
+  /**
+   * 手動重置提供商斷路器
+   */
+  resetCircuitBreaker(provider) {
+    if (!this.circuitBreakers.has(provider)) {
+      return false;
     }
+    this.circuitBreakers.get(provider).reset();
+    this.failureCount.set(provider, 0);
+    logger.info(`🔌 ${provider.toUpperCase()} 斷路器已手動重置`);
+    return true;
   }
 }
 
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureLLMEnv } = require('./fixtures/env');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-category-history-'));
+
+// 重播模式會停用分類歷史，這裡直接以分類結果建立回應 (不發出 LLM 請求)
+configureLLMEnv('off');
+Object.assign(process.env, {
+  LLM_PROVIDER: 'keyword',
+  OLLAMA_ENABLED: 'false',
+  GEMINI_ENABLED: 'false',
+  LLM_CATEGORY_HISTORY_ENABLED: 'true',
+  LLM_CATEGORY_HISTORY_FILE: path.join(tmpDir, 'service-history.json'),
+  LLM_CORRECTIONS_ENABLED: 'false',
+  LLM_OVERRIDE_RULES_ENABLED: 'false'
+});
+
+const CategoryHistory = require('../src/services/llm/categoryHistory');
+const SmartLLMService = require('../src/services/smartLLMService');
+
+const products = [
+  { name: '烏龜曬台 浮島 吸盤式 中型', platform: '蝦皮' },
+  { name: '巴西龜 曬背台 自動浮動 附爬梯', platform: 'PChome' },
+  { name: '爬蟲 UVB 5.0 紫外線燈泡 26W', platform: 'MOMO' },
+  { name: '陶瓷加熱燈 保溫燈 附燈罩', platform: 'MOMO' }
+];
+
+const firstSearch = [
+  { name: '烏龜曬台', parent: '寵物用品', productIndexes: [0, 1] },
+  { name: '加溫燈具', parent: '寵物用品', productIndexes: [2, 3] }
+];
+
+let fileCount = 0;
+const createHistory = (options = {}) => new CategoryHistory({
+  file: path.join(tmpDir, `history-${++fileCount}.json`),
+  ...options
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('CategoryHistory.matchLabels', () => {
+  let history;
+
+  beforeEach(() => {
+    history = createHistory();
+    history.record('烏龜台', firstSearch, products);
+  });
+
+  test('新分類的商品多數先前屬於同一分類時對應到既有分類', () => {
+    const matches = history.matchLabels([
+      { name: '曬背平台', productIndexes: [0, 1] },
+      { name: '燈具', productIndexes: [2] }
+    ], products, '烏龜台');
+
+    expect([...matches].map(([position, label]) => [position, label.name])).toEqual([
+      [0, '烏龜曬台'],
+      [1, '加溫燈具']
+    ]);
+  });
+
+  test('商品重疊比例低於門檻且名稱不同時不對應', () => {
+    const matches = history.matchLabels([
+      { name: '爬蟲用品', productIndexes: [0, 2, 3] }
+    ], [products[0], { name: '守宮躲避屋' }, { name: '蟋蟀飼料' }, products[3]], '烏龜台');
+
+    expect(matches.size).toBe(0);
+  });
+
+  test('每個既有分類只對應一個新分類，商品多的分類優先', () => {
+    const matches = history.matchLabels([
+      { name: '浮島', productIndexes: [0] },
+      { name: '曬背平台', productIndexes: [0, 1] }
+    ], products, '烏龜台');
+
+    expect([...matches].map(([position, label]) => [position, label.name])).toEqual([[1, '烏龜曬台']]);
+  });
+
+  test('查詢以標準化後的文字比對，其他查詢沒有歷史', () => {
+    const category = [{ name: '曬背平台', productIndexes: [0, 1] }];
+
+    expect(history.matchLabels(category, products, '  烏龜台 ').size).toBe(1);
+    expect(history.matchLabels(category, products, '烏龜飼料').size).toBe(0);
+  });
+});
+
+describe('CategoryHistory 寫檔', () => {
+  test('記錄後延遲寫檔，flush 立即寫入，重新載入後可沿用', () => {
+    const history = createHistory();
+    history.record('烏龜台', firstSearch, products);
+
+    expect(fs.existsSync(history.file)).toBe(false);
+
+    history.flush();
+
+    expect(history.saveTimer).toBeNull();
+    const reloaded = new CategoryHistory({ file: history.file });
+    expect(reloaded.getLabels('烏龜台').map(label => label.name)).toEqual(['烏龜曬台', '加溫燈具']);
+    expect(reloaded.list('烏龜台')[0]).toMatchObject({ query: '烏龜台', searches: 1 });
+  });
+
+  test('沒有待寫入的變更時 flush 不寫檔', () => {
+    const history = createHistory();
+
+    history.flush();
+
+    expect(fs.existsSync(history.file)).toBe(false);
+  });
+
+  test('停用時不記錄也不寫檔', () => {
+    const history = createHistory({ enabled: false });
+    history.record('烏龜台', firstSearch, products);
+    history.flush();
+
+    expect(history.getLabels('烏龜台')).toEqual([]);
+    expect(fs.existsSync(history.file)).toBe(false);
+  });
+});
+
+describe('SmartLLMService 分類錨定', () => {
+  test('同一查詢再次搜尋時沿用先前的分類名稱，關閉前 flush 寫入分類歷史', () => {
+    const service = new SmartLLMService();
+    service.buildClassificationResult('gemini', { categories: firstSearch }, products, '烏龜台', Date.now());
+
+    const result = service.buildClassificationResult('gemini', {
+      categories: [
+        { name: '曬背平台', parent: '寵物用品', productIndexes: [0, 1] },
+        { name: '加溫燈具', parent: '寵物用品', productIndexes: [2, 3] }
+      ]
+    }, products, '烏龜台', Date.now());
+
+    expect(result.anchoredCategories).toBe(1);
+    expect(result.categories.map(category => [category.path, category.productIndexes])).toEqual([
+      ['寵物用品/烏龜曬台', [0, 1]],
+      ['寵物用品/加溫燈具', [2, 3]]
+    ]);
+    expect(service.getStats().categoryHistory).toMatchObject({ enabled: true, queries: 1, anchored: 1 });
+
+    service.flush();
+
+    const saved = JSON.parse(fs.readFileSync(process.env.LLM_CATEGORY_HISTORY_FILE, 'utf8'));
+    expect(Object.values(saved.queries)[0]).toMatchObject({ query: '烏龜台', searches: 2 });
+  });
+
+  test('關鍵字分類只錨定到既有名稱，不記錄為歷史', () => {
+    const service = new SmartLLMService();
+    service.categoryHistory.queries = {};
+
+    service.buildClassificationResult('keyword', { categories: firstSearch }, products, '烏龜台', Date.now());
+
+    expect(service.getCategoryHistory('烏龜台')).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+const { configureLLMEnv } = require('./fixtures/env');
+
+configureLLMEnv('replay');
+process.env.LLM_FALLBACK_THRESHOLD = '3';
+process.env.LLM_AUTO_SWITCH_ON_ERROR = 'true';
+
+const CircuitBreaker = require('../src/services/llm/circuitBreaker');
+const { CIRCUIT_STATES } = CircuitBreaker;
+const SmartLLMService = require('../src/services/smartLLMService');
+const { fallbackToGemini } = require('./fixtures/scenarios');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+
+describe('CircuitBreaker 狀態轉換', () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    breaker = new CircuitBreaker('TEST', { failureThreshold: 3, cooldownMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const openBreaker = () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('逾時'));
+  };
+
+  test('連續失敗未達門檻時維持 closed', () => {
+    breaker.recordFailure(new Error('逾時'));
+    breaker.recordFailure(new Error('逾時'));
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('成功會重置連續失敗次數', () => {
+    breaker.recordFailure(new Error('逾時'));
+    breaker.recordFailure(new Error('逾時'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('逾時'));
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('達到門檻時 open，冷卻期間拒絕請求', () => {
+    openBreaker();
+
+    expect(breaker.getState()).toMatchObject({
+      state: CIRCUIT_STATES.OPEN,
+      consecutiveFailures: 3,
+      openedAt: new Date(NOW).toISOString(),
+      nextProbeAt: new Date(NOW + 1000).toISOString(),
+      lastError: '逾時'
+    });
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+  });
+
+  test('immediate 失敗直接 open', () => {
+    breaker.recordFailure(new Error('429'), { immediate: true, cooldownMs: 5000 });
+
+    expect(breaker.getState()).toMatchObject({
+      state: CIRCUIT_STATES.OPEN,
+      nextProbeAt: new Date(NOW + 5000).toISOString()
+    });
+  });
+
+  test('冷卻結束後轉為 half_open，只放行一個探測請求', () => {
+    openBreaker();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('探測成功時 closed', () => {
+    openBreaker();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.getState()).toMatchObject({
+      state: CIRCUIT_STATES.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null,
+      nextProbeAt: null
+    });
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('探測失敗時重新 open 並重新計算冷卻時間', () => {
+    openBreaker();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.recordFailure(new Error('仍然逾時'));
+
+    expect(breaker.getState()).toMatchObject({
+      state: CIRCUIT_STATES.OPEN,
+      nextProbeAt: new Date(NOW + 2000).toISOString(),
+      lastError: '仍然逾時'
+    });
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('探測被取消時釋放名額，維持 half_open', () => {
+    openBreaker();
+    jest.advanceTimersByTime(1000);
+    breaker.canRequest();
+    breaker.releaseProbe();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
+
+describe('SmartLLMService 斷路器', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SmartLLMService();
+  });
+
+  test('服務未運行時直接 open，分類略過該提供商', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:11434'), { code: 'ECONNREFUSED' });
+    service.recordFailure('ollama', refused);
+
+    expect(service.getStats().providers.ollama.circuit.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(service.isProviderAvailable('ollama')).toBe(false);
+
+    const result = await service.categorizeSearchResults(fallbackToGemini.products, fallbackToGemini.query);
+
+    expect(result.provider).toBe('gemini');
+    expect(service.getStats().providers.ollama.totalRequests).toBe(1);
+    expect(service.recorder.getStats()).toMatchObject({ replayed: 1, misses: 0 });
+  });
+
+  test('Gemini 429 以 GEMINI_RETRY_DELAY 作為冷卻時間', () => {
+    const before = Date.now();
+    service.recordFailure('gemini', Object.assign(new Error('Request failed with status code 429'), {
+      response: { status: 429 }
+    }));
+
+    const { circuit } = service.getStats().providers.gemini;
+    expect(circuit.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(new Date(circuit.nextProbeAt).getTime() - before).toBeGreaterThanOrEqual(service.config.gemini.retryDelay);
+  });
+
+  test('未達門檻的一般錯誤不開啟斷路器', () => {
+    service.recordFailure('ollama', new Error('Request failed with status code 500'));
+
+    expect(service.getStats().providers.ollama.circuit.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(service.isProviderAvailable('ollama')).toBe(true);
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-corrections-'));
+
+Object.assign(process.env, {
+  LOG_LEVEL: 'error',
+  LLM_RECORDING_MODE: 'off',
+  LLM_USAGE_TRACKING_ENABLED: 'false',
+  LLM_PERFORMANCE_MONITORING: 'false',
+  LLM_CATEGORY_HISTORY_ENABLED: 'false',
+  LLM_OVERRIDE_RULES_ENABLED: 'false',
+  LLM_CORRECTIONS_ENABLED: 'true',
+  LLM_CORRECTIONS_FILE: path.join(tmpDir, 'corrections.json'),
+  LLM_CORRECTIONS_RATE_LIMIT_MAX: '3',
+  ADMIN_API_TOKEN: 'test-admin-token'
+});
+
+const express = require('express');
+const request = require('supertest');
+const llmRoutes = require('../src/routes/llm');
+const { smartLLMService } = require('../src/services/nlp/nlpProcessor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/llm', llmRoutes);
+
+const ADMIN = { 'X-Admin-Token': 'test-admin-token' };
+const product = { name: '烏龜缸 含曬台 生態飼養箱 45cm', platform: 'MOMO' };
+const submission = { query: '烏龜台', product, category: '飼養缸', parent: '寵物用品', previousCategory: '烏龜曬台' };
+const appliedCount = () => smartLLMService.correctionStore.findOverrides([product], '烏龜台').size;
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('POST /api/llm/corrections', () => {
+  test('使用者送出的修正存為待審核，核准前不套用', async () => {
+    const res = await request(app).post('/api/llm/corrections').send(submission);
+
+    expect(res.status).toBe(202);
+    expect(res.body.data.status).toBe('pending');
+    expect(appliedCount()).toBe(0);
+
+    const listed = await request(app).get('/api/llm/corrections');
+    expect(listed.body.data.total).toBe(0);
+
+    const pending = await request(app).get('/api/llm/corrections/pending').set(ADMIN);
+    expect(pending.body.data.corrections.map(correction => correction.id)).toEqual([res.body.data.id]);
+  });
+
+  test('待審核列表與核准需要管理員令牌', async () => {
+    const pending = await request(app).get('/api/llm/corrections/pending');
+    expect(pending.status).toBe(401);
+
+    const [correction] = smartLLMService.getCorrections(null, 'pending');
+    const approve = await request(app).post(`/api/llm/corrections/${correction.id}/approve`);
+    expect(approve.status).toBe(401);
+    expect(appliedCount()).toBe(0);
+  });
+
+  test('管理員核准後套用，並寫入檔案', async () => {
+    const [correction] = smartLLMService.getCorrections(null, 'pending');
+    const res = await request(app).post(`/api/llm/corrections/${correction.id}/approve`).set(ADMIN);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'approved', category: '飼養缸' });
+    expect(appliedCount()).toBe(1);
+    expect(smartLLMService.getCorrections(null, 'pending')).toEqual([]);
+
+    const saved = JSON.parse(fs.readFileSync(process.env.LLM_CORRECTIONS_FILE, 'utf8')).corrections;
+    expect(saved.map(entry => entry.status)).toEqual(['approved']);
+
+    const again = await request(app).post(`/api/llm/corrections/${correction.id}/approve`).set(ADMIN);
+    expect(again.status).toBe(404);
+  });
+
+  test('新的待審核修正不會取代已核准的修正', async () => {
+    await request(app).post('/api/llm/corrections').send({ ...submission, category: '烏龜曬台' });
+
+    const [applied] = smartLLMService.correctionStore.findOverrides([product], '烏龜台').values();
+    expect(applied.category).toBe('飼養缸');
+    expect(smartLLMService.getStats().corrections).toMatchObject({ total: 1, pending: 1 });
+  });
+
+  test('管理員送出的修正直接核准', async () => {
+    const res = await request(app)
+      .post('/api/llm/corrections')
+      .set(ADMIN)
+      .send({ ...submission, product: { name: '爬蟲 UVB 5.0 紫外線燈泡 26W' }, category: '加溫燈具' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('approved');
+  });
+
+  test('非管理員送出超過速率限制時回傳 429，管理員不受限', async () => {
+    // 前面的測試已送出 2 筆，上限 3 筆
+    const third = await request(app).post('/api/llm/corrections').send(submission);
+    expect(third.status).toBe(202);
+
+    const limited = await request(app).post('/api/llm/corrections').send(submission);
+    expect(limited.status).toBe(429);
+    expect(limited.body.success).toBe(false);
+
+    const admin = await request(app).post('/api/llm/corrections').set(ADMIN).send(submission);
+    expect(admin.status).toBe(201);
+  });
+});
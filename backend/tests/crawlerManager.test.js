@@ -0,0 +1,58 @@
+const { configureLLMEnv } = require('./fixtures/env');
+
+configureLLMEnv('replay');
+
+const CrawlerManager = require('../src/services/crawlers/crawlerManager');
+const SmartLLMService = require('../src/services/smartLLMService');
+const { crawlerSearch } = require('./fixtures/scenarios');
+const { installStubCrawlers } = require('./fixtures/stubs');
+
+describe('CrawlerManager.searchProducts', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new CrawlerManager();
+    manager.smartLLMService = new SmartLLMService();
+    installStubCrawlers(manager, crawlerSearch.platformResults);
+  });
+
+  test('合併各平台商品並以重播的 Ollama 回應分類，失敗的平台另外回報', async () => {
+    const result = await manager.searchProducts(crawlerSearch.query, { platforms: ['pchome', 'momo'] });
+
+    expect(result.success).toBe(true);
+    expect(result.mode).toBe('category_summary');
+    expect(result.classificationMode).toBe('ollama_classification');
+    expect(result.categories.map(category => [category.path, category.products.map(product => product.name)])).toEqual([
+      ['手機配件/保護殼', ['iPhone 15 透明防摔保護殼 MagSafe 相容']],
+      ['手機配件/充電配件', ['Apple 20W USB-C 電源轉接器']],
+      ['手機配件/保護貼', ['iPhone 15 防窺玻璃保護貼']]
+    ]);
+    expect(result.categories[0].products[0].platform).toBe('pchome');
+    expect(result.failedPlatforms).toEqual([{ platform: 'momo', error: 'momo 連線逾時' }]);
+    expect(result.summary).toMatchObject({
+      totalProducts: 3,
+      successfulPlatforms: 1,
+      failedPlatforms: 1,
+      categories: 3
+    });
+  });
+
+  test('停用分類摘要時依價格排序回傳商品列表，不呼叫 LLM', async () => {
+    const result = await manager.searchProducts(crawlerSearch.query, {
+      platforms: ['pchome'],
+      enableCategorySummary: false
+    });
+
+    expect(result.mode).toBe('product_list');
+    expect(result.products.map(product => product.price)).toEqual([399, 590, 590]);
+    expect(manager.smartLLMService.recorder.getStats().replayed).toBe(0);
+  });
+
+  test('所有平台都沒有商品時回傳空的分類結果', async () => {
+    const result = await manager.searchProducts(crawlerSearch.query, { platforms: ['momo'] });
+
+    expect(result.success).toBe(true);
+    expect(result.categories).toEqual([]);
+    expect(result.summary).toMatchObject({ totalProducts: 0, successfulPlatforms: 0, failedPlatforms: 1 });
+  });
+});
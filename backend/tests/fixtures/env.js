@@ -0,0 +1,34 @@
+const path = require('path');
+
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+
+/**
+ * 設定測試用的 LLM 環境變數 (需在載入服務模組之前呼叫)
+ * 固定提供商順序與模型，停用用量記錄與定時工作，避免測試受本機 .env 或資料檔影響
+ */
+const configureLLMEnv = (mode = 'replay') => {
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    LLM_RECORDING_MODE: mode,
+    LLM_RECORDINGS_DIR: RECORDINGS_DIR,
+    LLM_PROVIDER: 'auto',
+    LLM_FALLBACK_ENABLED: 'true',
+    LLM_FALLBACK_ORDER: 'ollama,gemini,keyword',
+    OLLAMA_ENABLED: 'true',
+    OLLAMA_MODEL: 'qwen2.5:14b',
+    GEMINI_ENABLED: 'true',
+    GEMINI_MODEL: 'gemini-1.5-flash',
+    OPENAI_ENABLED: 'false',
+    EMBEDDING_ENABLED: 'false',
+    LLM_PROMPT_ROLLOUT: '',
+    LLM_ROUTING_ENABLED: 'false',
+    LLM_HEDGING_ENABLED: 'false',
+    LLM_USAGE_TRACKING_ENABLED: 'false',
+    LLM_PERFORMANCE_MONITORING: 'false'
+  });
+};
+
+module.exports = {
+  RECORDINGS_DIR,
+  configureLLMEnv
+};
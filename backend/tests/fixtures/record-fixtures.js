@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * 重新錄製測試用的 LLM 回應 (修改 prompt 或 scenarios.js 後執行)
+ *
+ * 用法: npm run test:record
+ *
+ * 以 LLM_RECORDING_MODE=record 跑過真正的分類流程，只把送出請求的部分換成情境中的回應，
+ * 錄製檔寫入 tests/fixtures/recordings，測試時以 replay 模式重播
+ */
+
+const fs = require('fs');
+const { RECORDINGS_DIR, configureLLMEnv } = require('./env');
+
+configureLLMEnv('record');
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'recorded';
+
+const SmartLLMService = require('../../src/services/smartLLMService');
+const CrawlerManager = require('../../src/services/crawlers/crawlerManager');
+const scenarios = require('./scenarios');
+const { installProviderStandIn, installStubCrawlers } = require('./stubs');
+
+const createService = (responses) => {
+  const service = new SmartLLMService();
+  installProviderStandIn(service, responses);
+  return service;
+};
+
+const main = async () => {
+  fs.rmSync(RECORDINGS_DIR, { recursive: true, force: true });
+
+  for (const name of ['fallbackToGemini', 'fallbackToKeyword']) {
+    const { query, products, responses } = scenarios[name];
+    const result = await createService(responses).categorizeSearchResults(products, query);
+    console.log(`📼 ${name}: ${result.mode}，${result.categories.length} 個分類`);
+  }
+
+  const { query, platformResults, responses } = scenarios.crawlerSearch;
+  const manager = new CrawlerManager();
+  manager.smartLLMService = createService(responses);
+  installStubCrawlers(manager, platformResults);
+  const result = await manager.searchProducts(query, { platforms: Object.keys(platformResults) });
+  console.log(`📼 crawlerSearch: ${result.classificationMode}，${result.categories.length} 個分類`);
+
+  console.log(`✅ 已錄製 ${fs.readdirSync(RECORDINGS_DIR).length} 個回應: ${RECORDINGS_DIR}`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ 錄製失敗:', error);
+    process.exit(1);
+  });
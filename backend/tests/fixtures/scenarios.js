@@ -0,0 +1,68 @@
+/**
+ * 測試情境 - 商品、查詢與各提供商的回應
+ * recordings/ 中的錄製檔由 record-fixtures.js 依此檔以 LLM_RECORDING_MODE=record 產生，
+ * 修改 prompt 或情境後需重新錄製
+ */
+
+const json = (categories) => JSON.stringify({ categories });
+
+/** Ollama 伺服器錯誤，降級到 Gemini */
+const fallbackToGemini = {
+  query: '烏龜台',
+  products: [
+    { name: '烏龜曬台 浮島 吸盤式 中型', price: 199, platform: '蝦皮' },
+    { name: '爬蟲 UVB 5.0 紫外線燈泡 26W', price: 450, platform: 'MOMO' },
+    { name: '烏龜專用浮水飼料 500g', price: 180, platform: '蝦皮' },
+    { name: '巴西龜 曬背台 自動浮動 附爬梯', price: 320, platform: 'PChome' },
+    { name: '陶瓷加熱燈 保溫燈 附燈罩', price: 380, platform: 'MOMO' },
+    { name: '水龜 高鈣幼龜飼料 250g', price: 150, platform: 'PChome' }
+  ],
+  responses: {
+    ollama: { error: { message: 'Request failed with status code 500', status: 500 } },
+    gemini: json([
+      { name: '烏龜曬台', parent: '寵物用品', description: '浮島與曬背台', productIndexes: [0, 3] },
+      { name: '加溫燈具', parent: '寵物用品', description: 'UVB 與加熱燈', productIndexes: [1, 4] },
+      { name: '烏龜飼料', parent: '寵物用品', description: '烏龜飼料', productIndexes: [2, 5] }
+    ])
+  }
+};
+
+/** 所有 LLM 提供商都失敗，以關鍵字分類收尾 */
+const fallbackToKeyword = {
+  query: '保濕面膜',
+  products: [
+    { name: '玻尿酸保濕面膜 10 入', price: 299, platform: 'MOMO' },
+    { name: '神經醯胺修護面膜 5 片', price: 350, platform: 'PChome' },
+    { name: 'B5 保濕精華液 30ml', price: 680, platform: 'MOMO' }
+  ],
+  responses: {
+    ollama: { error: { message: 'connect ECONNREFUSED 127.0.0.1:11434', code: 'ECONNREFUSED' } },
+    gemini: { error: { message: 'Request failed with status code 503', status: 503 } }
+  }
+};
+
+/** 多平台搜尋 - MOMO 爬蟲失敗，其餘商品由 Ollama 分類 */
+const crawlerSearch = {
+  query: 'iPhone 15 配件',
+  platformResults: {
+    pchome: [
+      { name: 'iPhone 15 透明防摔保護殼 MagSafe 相容', price: 590, url: 'https://24h.pchome.com.tw/prod/A1' },
+      { name: 'Apple 20W USB-C 電源轉接器', price: 590, url: 'https://24h.pchome.com.tw/prod/A2' },
+      { name: 'iPhone 15 防窺玻璃保護貼', price: 399, url: 'https://24h.pchome.com.tw/prod/A3' }
+    ],
+    momo: null
+  },
+  responses: {
+    ollama: json([
+      { name: '保護殼', parent: '手機配件', description: '手機保護殼', productIndexes: [0] },
+      { name: '充電配件', parent: '手機配件', description: '充電器', productIndexes: [1] },
+      { name: '保護貼', parent: '手機配件', description: '螢幕保護貼', productIndexes: [2] }
+    ])
+  }
+};
+
+module.exports = {
+  fallbackToGemini,
+  fallbackToKeyword,
+  crawlerSearch
+};
@@ -0,0 +1,50 @@
+/**
+ * 以情境中的回應取代實際的提供商請求 (錄製時使用，錄製器仍會照常存檔)
+ * 回應為 { error } 時以相同訊息、代碼與 HTTP 狀態拋出；Ollama 健康檢查視為正常 (重播模式本來就不檢查)
+ */
+const installProviderStandIn = (service, responses) => {
+  service.checkOllamaHealth = async () => {};
+  service.sendProviderRequest = async (provider) => {
+    const response = responses[provider];
+    if (response === undefined) {
+      throw new Error(`情境沒有 ${provider} 的回應`);
+    }
+
+    if (response.error) {
+      const error = new Error(response.error.message);
+      if (response.error.code) error.code = response.error.code;
+      if (response.error.status) error.response = { status: response.error.status };
+      throw error;
+    }
+
+    return response;
+  };
+};
+
+/**
+ * 建立回傳固定商品的爬蟲替身 - products 為 null 時模擬平台搜尋失敗
+ */
+const createStubCrawler = (platform, products) => ({
+  searchProducts: async (keyword) => {
+    if (!products) {
+      throw new Error(`${platform} 連線逾時`);
+    }
+    return { success: true, platform, keyword, products: products.map(product => ({ ...product })) };
+  }
+});
+
+/**
+ * 將爬蟲管理器的平台換成情境中的爬蟲替身
+ */
+const installStubCrawlers = (manager, platformResults) => {
+  manager.crawlers.clear();
+  Object.entries(platformResults).forEach(([platform, products]) => {
+    manager.crawlers.set(platform, createStubCrawler(platform, products));
+  });
+};
+
+module.exports = {
+  installProviderStandIn,
+  createStubCrawler,
+  installStubCrawlers
+};
@@ -0,0 +1,110 @@
+const { configureLLMEnv } = require('./fixtures/env');
+
+configureLLMEnv('replay');
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+process.env.LLM_HEALTH_CACHE_MS = '60000';
+
+const express = require('express');
+const request = require('supertest');
+const llmRoutes = require('../src/routes/llm');
+const SmartLLMService = require('../src/services/smartLLMService');
+const { smartLLMService } = require('../src/services/nlp/nlpProcessor');
+
+const ADMIN = { 'X-Admin-Token': 'test-admin-token' };
+
+describe('SmartLLMService.healthCheck', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SmartLLMService();
+    service.checkOllamaHealth = jest.fn(async () => {});
+  });
+
+  test('快取期間內重複呼叫不重新探測', async () => {
+    const first = await service.healthCheck();
+    const second = await service.healthCheck();
+
+    expect(service.checkOllamaHealth).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(first.providers.ollama.status).toBe('healthy');
+  });
+
+  test('探測進行中的呼叫共用同一次探測', async () => {
+    await Promise.all([service.healthCheck(), service.healthCheck(), service.healthCheck()]);
+
+    expect(service.checkOllamaHealth).toHaveBeenCalledTimes(1);
+  });
+
+  test('force 時略過快取重新探測', async () => {
+    await service.healthCheck();
+    await service.healthCheck({ force: true });
+
+    expect(service.checkOllamaHealth).toHaveBeenCalledTimes(2);
+  });
+
+  test('快取過期後重新探測', async () => {
+    await service.healthCheck();
+    service.healthCache.expiresAt = Date.now() - 1;
+    await service.healthCheck();
+
+    expect(service.checkOllamaHealth).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GET /api/llm/health 與 /api/llm/stats', () => {
+  const app = express();
+  app.use('/api/llm', llmRoutes);
+
+  beforeAll(() => {
+    smartLLMService.checkOllamaHealth = jest.fn(async () => {
+      throw new Error('connect ECONNREFUSED 10.0.0.5:11434');
+    });
+    smartLLMService.recordFailure('gemini', new Error('API key not valid: AIzaSy-secret'));
+  });
+
+  beforeEach(() => {
+    smartLLMService.checkOllamaHealth.mockClear();
+  });
+
+  test('非管理員看不到健康檢查的錯誤訊息，也不能強制重新探測', async () => {
+    await request(app).get('/api/llm/health');
+    const res = await request(app).get('/api/llm/health?refresh=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.providers.ollama.status).toBe('unhealthy');
+    expect(res.body.data.providers.ollama).not.toHaveProperty('error');
+    expect(JSON.stringify(res.body)).not.toContain('10.0.0.5');
+    expect(smartLLMService.checkOllamaHealth).toHaveBeenCalledTimes(1);
+  });
+
+  test('管理員可重新探測並看到錯誤訊息', async () => {
+    const res = await request(app).get('/api/llm/health?refresh=true').set(ADMIN);
+
+    expect(res.body.data.providers.ollama.error).toContain('10.0.0.5');
+    expect(smartLLMService.checkOllamaHealth).toHaveBeenCalledTimes(1);
+  });
+
+  test('refresh 不是布林值時回傳 400', async () => {
+    const res = await request(app).get('/api/llm/health?refresh=soon');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('非管理員的統計不含提供商與斷路器的 lastError', async () => {
+    const res = await request(app).get('/api/llm/stats');
+    const { gemini } = res.body.data.providers;
+
+    expect(gemini.failureCount).toBe(1);
+    expect(gemini).not.toHaveProperty('lastError');
+    expect(gemini.circuit).not.toHaveProperty('lastError');
+    expect(JSON.stringify(res.body)).not.toContain('AIzaSy-secret');
+  });
+
+  test('管理員的統計保留 lastError', async () => {
+    const res = await request(app).get('/api/llm/stats').set(ADMIN);
+    const { gemini } = res.body.data.providers;
+
+    expect(gemini.lastError).toBe('API key not valid: AIzaSy-secret');
+    expect(gemini.circuit.lastError).toBe('API key not valid: AIzaSy-secret');
+  });
+});
@@ -0,0 +1,96 @@
+const { configureLLMEnv } = require('./fixtures/env');
+
+// 對沖請求需要可控制回應時間的提供商，改以替身取代實際請求 (不經過錄製器)
+configureLLMEnv('off');
+Object.assign(process.env, {
+  LLM_HEDGING_ENABLED: 'true',
+  LLM_HEDGE_DELAY_MS: '20',
+  LLM_HEDGE_MIN_DELAY_MS: '20',
+  GEMINI_API_KEY: 'test-key',
+  LLM_AUTO_SWITCH_ON_ERROR: 'true',
+  LLM_CATEGORY_HISTORY_ENABLED: 'false',
+  LLM_CORRECTIONS_ENABLED: 'false',
+  LLM_OVERRIDE_RULES_ENABLED: 'false'
+});
+
+const SmartLLMService = require('../src/services/smartLLMService');
+const { CIRCUIT_STATES } = require('../src/services/llm/circuitBreaker');
+const { fallbackToGemini } = require('./fixtures/scenarios');
+
+const { products, query, responses } = fallbackToGemini;
+const geminiResponse = responses.gemini;
+
+/**
+ * 提供商替身 - 依 delays 延遲回應，signal 中止時以 axios 相同的 ERR_CANCELED 拒絕
+ */
+const installTimedProviders = (service, delays) => {
+  const signals = {};
+  service.checkOllamaHealth = async () => {};
+  service.sendProviderRequest = jest.fn((provider, prompt, { signal }) => new Promise((resolve, reject) => {
+    signals[provider] = signal;
+    const timer = setTimeout(() => resolve(geminiResponse), delays[provider]);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', name: 'CanceledError' }));
+    });
+  }));
+  return signals;
+};
+
+const requestedProviders = (service) => service.sendProviderRequest.mock.calls.map(([provider]) => provider);
+
+describe('SmartLLMService 對沖請求', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SmartLLMService();
+  });
+
+  test('Ollama 超過延遲門檻時平行啟動 Gemini，採用 Gemini 結果並取消 Ollama 請求', async () => {
+    const signals = installTimedProviders(service, { ollama: 5000, gemini: 5 });
+
+    const result = await service.categorizeSearchResults(products, query);
+
+    expect(result.provider).toBe('gemini');
+    expect(requestedProviders(service)).toEqual(['ollama', 'gemini']);
+    expect(signals.ollama.aborted).toBe(true);
+    expect(signals.gemini.aborted).toBe(false);
+    expect(service.getStats().hedging.providers).toEqual({
+      gemini: { hedged: 1, wins: 1, cancelled: 0 },
+      ollama: { hedged: 0, wins: 0, cancelled: 1 }
+    });
+  });
+
+  test('被取消的請求不計入失敗，也不影響斷路器', async () => {
+    installTimedProviders(service, { ollama: 5000, gemini: 5 });
+
+    await service.categorizeSearchResults(products, query);
+
+    const { ollama } = service.getStats().providers;
+    expect(ollama.failureCount).toBe(0);
+    expect(ollama.consecutiveFailures).toBe(0);
+    expect(ollama.circuit.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('被取消的半開探測請求釋放探測名額', async () => {
+    installTimedProviders(service, { ollama: 5000, gemini: 5 });
+    const breaker = service.getCircuitBreaker('ollama');
+    breaker.open(60000);
+    breaker.openUntil = Date.now() - 1;
+
+    await service.categorizeSearchResults(products, query);
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('Ollama 在延遲門檻內回應時不啟動 Gemini', async () => {
+    installTimedProviders(service, { ollama: 1, gemini: 1 });
+
+    const result = await service.categorizeSearchResults(products, query);
+
+    expect(result.provider).toBe('ollama');
+    expect(requestedProviders(service)).toEqual(['ollama']);
+    expect(service.getStats().hedging.providers).toEqual({});
+  });
+});
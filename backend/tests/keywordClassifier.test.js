@@ -0,0 +1,66 @@
+process.env.LOG_LEVEL = 'error';
+
+const KeywordClassifier = require('../src/services/llm/keywordClassifier');
+const { containsTerm } = KeywordClassifier;
+
+describe('containsTerm', () => {
+  test('中文詞彙以子字串比對，標題中間的詞彙也會命中', () => {
+    expect(containsTerm('韓國面膜保濕補水 10片', '面膜')).toBe(true);
+    expect(containsTerm('無線藍牙耳機盒裝', '耳機')).toBe(true);
+    expect(containsTerm('烏龜過濾器 靜音', '過濾')).toBe(true);
+  });
+
+  test('英數詞彙需完整命中，前後不可緊接英文字母', () => {
+    expect(containsTerm('mini 迷你風扇', 'mi')).toBe(false);
+    expect(containsTerm('小米 mi 手環', 'mi')).toBe(true);
+    expect(containsTerm('iphone15 保護殼', 'iphone')).toBe(true);
+    expect(containsTerm('iphone 15 保護殼', 'phone')).toBe(false);
+  });
+
+  test('比對不分大小寫', () => {
+    expect(containsTerm('magsafe 磁吸充電盤', 'MagSafe')).toBe(true);
+  });
+});
+
+describe('KeywordClassifier.classify', () => {
+  const classifier = new KeywordClassifier();
+
+  test.each([
+    ['韓國面膜保濕補水 10片', '美妝保養', '臉部保養'],
+    ['無線藍牙耳機盒裝', '3C電子', '影音娛樂'],
+    ['MINI 迷你風扇', '家電影音', '生活家電'],
+    ['iPhone 15 軍規防摔手機殼', '3C電子', '手機與通訊']
+  ])('%s 歸入 %s/%s', (name, parent, category) => {
+    expect(classifier.classify(name)).toMatchObject({ parent, category });
+  });
+
+  test('單一品牌命中即可分類', () => {
+    expect(classifier.classify('MagSafe 磁吸無線充電盤')).toMatchObject({ category: '3C電子', score: 0.4 });
+  });
+
+  test('沒有命中任何詞彙時歸入預設分類', () => {
+    expect(classifier.classify('神秘小物 隨機出貨')).toMatchObject({ category: '其他商品', parent: null, score: 0 });
+  });
+});
+
+describe('KeywordClassifier 查詢規則 (原本寫死在 keywordMatch 的烏龜規則)', () => {
+  const classifier = new KeywordClassifier();
+
+  test.each([
+    ['烏龜過濾器 靜音', '烏龜'],
+    ['超白玻璃缸 60cm', '烏龜'],
+    ['UVB 紫外線燈泡 26W', '龜'],
+    ['高鈣幼體飼料 250g', '巴西龜'],
+    ['樹脂造景 烏龜曬台 岩石造型', '烏龜台']
+  ])('%s (查詢: %s) 歸入寵物用品', (name, query) => {
+    expect(classifier.classify(name, query)).toMatchObject({
+      category: '寵物用品',
+      parent: '寵物生活',
+      rule: 'QUERY.烏龜'
+    });
+  });
+
+  test('查詢不符合時不套用規則', () => {
+    expect(classifier.classify('烏龜過濾器 靜音', '魚缸').rule).not.toBe('QUERY.烏龜');
+  });
+});
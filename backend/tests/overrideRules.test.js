@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureLLMEnv } = require('./fixtures/env');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-override-rules-'));
+
+// 重播模式會停用覆寫規則，這裡只使用關鍵字分類 (不發出 LLM 請求)
+configureLLMEnv('off');
+Object.assign(process.env, {
+  LLM_PROVIDER: 'keyword',
+  OLLAMA_ENABLED: 'false',
+  GEMINI_ENABLED: 'false',
+  LLM_CATEGORY_HISTORY_ENABLED: 'false',
+  LLM_CORRECTIONS_ENABLED: 'false',
+  LLM_OVERRIDE_RULES_ENABLED: 'true',
+  LLM_OVERRIDE_RULES_FILE: path.join(tmpDir, 'override-rules.json')
+});
+
+const OverrideRuleStore = require('../src/services/llm/overrideRuleStore');
+const SmartLLMService = require('../src/services/smartLLMService');
+
+const products = [
+  { name: '烏龜曬台 浮島 吸盤式 中型', platform: '蝦皮' },
+  { name: '爬蟲 UVB 5.0 紫外線燈泡 26W', platform: 'MOMO' },
+  { name: '烏龜專用浮水飼料 500g', platform: 'PChome' }
+];
+
+const createStore = (file = path.join(tmpDir, `${Date.now()}-${Math.random()}.json`)) =>
+  new OverrideRuleStore({ enabled: true, file });
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('OverrideRuleStore.validate 拒絕不安全或無效的正規表示式', () => {
+  const store = createStore();
+
+  test.each([
+    ['(a+)+$', '(a+)+$', '巢狀量詞'],
+    ['(\\w|\\d)*x', '(\\w|\\d)*x', '巢狀量詞'],
+    ['(烏龜|龜){2,}', '(烏龜|龜){2,}', '巢狀量詞'],
+    ['(曬台)\\1', '(曬台)\\1', '反向參照'],
+    ['烏龜[', '烏龜[', '無效的正規表示式'],
+    ['201 個字元', '龜'.repeat(201), '不能超過 200 個字元']
+  ])('%s', (label, pattern, message) => {
+    const errors = store.validate({ pattern, category: '寵物用品' });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain(message);
+  });
+
+  test.each([
+    '烏龜(曬台|浮島)',
+    '^iphone\\s?1[45]',
+    '(uvb|紫外線)燈',
+    '[(a+)+]+'
+  ])('%s 可以使用', (pattern) => {
+    expect(store.validate({ pattern, category: '寵物用品' })).toEqual([]);
+  });
+
+  test('必須擇一指定 pattern 或 keywords，且需要目標分類', () => {
+    expect(store.validate({ pattern: '烏龜', keywords: ['烏龜'], category: '寵物用品' }))
+      .toEqual(['規則必須指定 pattern 或 keywords 其中之一']);
+    expect(store.validate({ keywords: ['烏龜'] })).toEqual(['缺少目標分類 category']);
+  });
+
+  test('更新成不安全的正規表示式時拋出錯誤並保留原規則', () => {
+    const rule = store.add({ pattern: '烏龜', category: '寵物用品' });
+
+    expect(() => store.update(rule.id, { pattern: '(龜+)+' })).toThrow(/巢狀量詞/);
+    expect(store.list()[0].pattern).toBe('烏龜');
+  });
+});
+
+describe('OverrideRuleStore 規則比對', () => {
+  test('依建立順序採用第一條符合的規則，停用的規則不生效', () => {
+    const store = createStore();
+    store.add({ keywords: ['烏龜'], category: '停用規則', enabled: false });
+    const pattern = store.add({ pattern: '烏龜(曬台|浮島)', category: '烏龜曬台' });
+    const keywords = store.add({ keywords: ['烏龜', 'uvb'], category: '烏龜用品' });
+
+    const overrides = store.findOverrides(products, '烏龜');
+
+    expect([...overrides].map(([index, rule]) => [index, rule.id])).toEqual([
+      [0, pattern.id],
+      [1, keywords.id],
+      [2, keywords.id]
+    ]);
+  });
+
+  test('限定查詢與平台的規則只在條件符合時生效', () => {
+    const store = createStore();
+    store.add({ keywords: ['飼料'], query: '烏龜', platform: 'pchome', category: '烏龜飼料' });
+
+    expect(store.findOverrides(products, '巴西烏龜').size).toBe(1);
+    expect(store.findOverrides(products, '魚飼料').size).toBe(0);
+    expect(store.findOverrides([{ ...products[2], platform: 'MOMO' }], '烏龜').size).toBe(0);
+  });
+
+  test('規則會寫入檔案，重新載入時略過檔案中不安全的正規表示式', () => {
+    const file = path.join(tmpDir, 'reload.json');
+    createStore(file).add({ pattern: '浮島', category: '烏龜曬台' });
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    saved.rules.unshift({ ...saved.rules[0], id: 'unsafe', pattern: '(烏+)+龜' });
+    fs.writeFileSync(file, JSON.stringify(saved));
+
+    const store = createStore(file);
+
+    expect(store.list().map(rule => rule.pattern)).toEqual(['(烏+)+龜', '浮島']);
+    expect(store.matches(store.list()[0], { name: '烏烏烏龜' })).toBe(false);
+    expect(store.findOverrides(products, '烏龜').get(0).pattern).toBe('浮島');
+  });
+});
+
+describe('SmartLLMService 套用覆寫規則', () => {
+  test('符合規則的商品移到指定分類，信心度為 1 且標示來源', async () => {
+    const service = new SmartLLMService();
+    const rule = service.overrideRuleStore.add({ pattern: 'uvb|紫外線', category: '加溫燈具', parent: '寵物用品' });
+
+    const result = await service.categorizeSearchResults(products, '烏龜');
+
+    expect(result.provider).toBe('keyword');
+    const lamps = result.categories.find(category => category.name === '加溫燈具');
+    expect(lamps.productIndexes).toEqual([1]);
+    expect(result.categories.filter(category => category.productIndexes.includes(1))).toHaveLength(1);
+    expect(lamps.products[0].classification).toMatchObject({ confidence: 1, source: 'override', rule: rule.id });
+    expect(result.overrides).toBe(1);
+    expect(service.getStats().overrideRules).toMatchObject({ enabled: true, total: 1, active: 1, applied: 1 });
+  });
+});
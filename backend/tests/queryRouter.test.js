@@ -0,0 +1,39 @@
+process.env.LOG_LEVEL = 'error';
+
+const QueryRouter = require('../src/services/llm/queryRouter');
+const { matchRuleTypes } = QueryRouter;
+
+describe('matchRuleTypes', () => {
+  test('與關鍵字分類相同，中文關鍵字在標題中間也會命中', () => {
+    expect(matchRuleTypes('韓國面膜保濕補水 10片')).toEqual(['BEAUTY']);
+    expect(matchRuleTypes('無線藍牙耳機盒裝')).toEqual(['ELECTRONICS']);
+  });
+
+  test('與關鍵字分類相同，英數關鍵字不命中較長單字中的片段', () => {
+    expect(matchRuleTypes('Androids 機器人模型')).toEqual([]);
+    expect(matchRuleTypes('Android 平板')).toEqual(['ELECTRONICS']);
+  });
+});
+
+describe('QueryRouter.scoreHeterogeneity', () => {
+  const router = new QueryRouter({ smallModel: 'small', largeModel: 'large' });
+
+  test('同一主分類的結果分散度低', () => {
+    const result = router.scoreHeterogeneity([
+      { name: '韓國面膜保濕補水 10片' },
+      { name: '玻尿酸精華液 30ml' }
+    ]);
+
+    expect(result).toMatchObject({ heterogeneity: 0, keywordCoverage: 1, dominantRule: 'BEAUTY' });
+  });
+
+  test('關鍵字無法解釋的商品提高分散度', () => {
+    const result = router.scoreHeterogeneity([
+      { name: '韓國面膜保濕補水 10片' },
+      { name: 'Androids 機器人模型' }
+    ]);
+
+    expect(result.keywordCoverage).toBe(0.5);
+    expect(result.heterogeneity).toBe(0.25);
+  });
+});
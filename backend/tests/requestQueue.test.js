@@ -0,0 +1,107 @@
+const { configureLLMEnv } = require('./fixtures/env');
+
+configureLLMEnv('replay');
+Object.assign(process.env, {
+  LLM_QUEUE_ENABLED: 'true',
+  OLLAMA_CONCURRENCY: '1',
+  OLLAMA_MAX_QUEUE_LENGTH: '0'
+});
+
+const RequestQueue = require('../src/services/llm/requestQueue');
+const { isQueueRejection } = RequestQueue;
+const SmartLLMService = require('../src/services/smartLLMService');
+const { fallbackToGemini } = require('./fixtures/scenarios');
+
+/**
+ * 可由測試控制完成時機的工作
+ */
+const deferredTask = () => {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return { task: () => done, finish };
+};
+
+describe('RequestQueue', () => {
+  test('佇列已滿時立即拒絕，錯誤可由 isQueueRejection 辨識', async () => {
+    const queue = new RequestQueue('TEST', { concurrency: 1, maxQueueLength: 1, maxWaitMs: 1000 });
+    const running = deferredTask();
+    const first = queue.run(running.task);
+    const second = queue.run(async () => 'second');
+
+    const error = await queue.run(async () => 'third').catch(rejection => rejection);
+
+    expect(error.code).toBe('LLM_QUEUE_FULL');
+    expect(isQueueRejection(error)).toBe(true);
+    expect(queue.getStats()).toMatchObject({ active: 1, depth: 1, queued: 1, rejectedFull: 1 });
+
+    running.finish('first');
+    await expect(first).resolves.toBe('first');
+    await expect(second).resolves.toBe('second');
+    expect(queue.getStats()).toMatchObject({ active: 0, depth: 0, completed: 2 });
+  });
+
+  test('預估等待時間超過上限時拒絕', async () => {
+    const queue = new RequestQueue('TEST', { concurrency: 1, maxQueueLength: 10, maxWaitMs: 1000 });
+    queue.recordSample(queue.runTimes, 5000);
+    const running = deferredTask();
+    const first = queue.run(running.task);
+
+    const error = await queue.run(async () => 'second').catch(rejection => rejection);
+
+    expect(error.code).toBe('LLM_QUEUE_TIMEOUT');
+    expect(isQueueRejection(error)).toBe(true);
+    expect(queue.getStats().rejectedWait).toBe(1);
+
+    running.finish();
+    await first;
+  });
+
+  test('排隊超過 maxWaitMs 時拒絕並移出佇列', async () => {
+    const queue = new RequestQueue('TEST', { concurrency: 1, maxQueueLength: 10, maxWaitMs: 20 });
+    const running = deferredTask();
+    const first = queue.run(running.task);
+
+    const error = await queue.run(async () => 'second').catch(rejection => rejection);
+
+    expect(error.code).toBe('LLM_QUEUE_TIMEOUT');
+    expect(queue.getStats()).toMatchObject({ depth: 0, timedOut: 1 });
+
+    running.finish();
+    await first;
+  });
+
+  test('排隊中的請求被取消時移出佇列，不視為佇列拒絕', async () => {
+    const queue = new RequestQueue('TEST', { concurrency: 1, maxQueueLength: 10, maxWaitMs: 1000 });
+    const running = deferredTask();
+    const first = queue.run(running.task);
+    const controller = new AbortController();
+    const second = queue.run(async () => 'second', controller.signal);
+
+    controller.abort();
+    const error = await second.catch(rejection => rejection);
+
+    expect(isQueueRejection(error)).toBe(false);
+    expect(queue.getStats()).toMatchObject({ depth: 0, cancelled: 1 });
+
+    running.finish();
+    await first;
+    expect(queue.getStats().active).toBe(0);
+  });
+});
+
+describe('SmartLLMService 請求佇列', () => {
+  test('Ollama 佇列已滿時改用 Gemini，不計入 Ollama 失敗', async () => {
+    const service = new SmartLLMService();
+    service.requestQueues.get('ollama').active = 1;
+
+    const result = await service.categorizeSearchResults(fallbackToGemini.products, fallbackToGemini.query);
+
+    expect(result.provider).toBe('gemini');
+    const { providers, queues } = service.getStats();
+    expect(providers.ollama).toMatchObject({ failureCount: 0, consecutiveFailures: 0 });
+    expect(providers.ollama.output.queueFallbacks).toBe(1);
+    expect(providers.ollama.circuit.state).toBe('closed');
+    expect(queues.ollama.rejectedFull).toBe(1);
+    expect(service.recorder.getStats()).toMatchObject({ replayed: 1, misses: 0 });
+  });
+});
@@ -0,0 +1,135 @@
+const { configureLLMEnv } = require('./fixtures/env');
+
+configureLLMEnv('replay');
+
+const SmartLLMService = require('../src/services/smartLLMService');
+const { RECORDING_MODES } = require('../src/services/llm/responseRecorder');
+const { fallbackToGemini, fallbackToKeyword } = require('./fixtures/scenarios');
+
+const products = [
+  { name: '烏龜曬台 浮島', price: 199, platform: '蝦皮' },
+  { name: '巴西龜 曬背台', price: 320, platform: 'PChome' },
+  { name: 'UVB 燈泡', price: 450, platform: 'MOMO' }
+];
+
+const summarize = (categories) => categories.map(category => [category.path, category.productIndexes]);
+
+describe('SmartLLMService.parseClassificationResult', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SmartLLMService();
+  });
+
+  test('從說明文字中提取 JSON 並建立分類路徑', () => {
+    const result = service.parseClassificationResult(
+      '以下是分類結果：\n' +
+      '{"categories":[{"name":"烏龜曬台","parent":"寵物用品","description":"曬台","productIndexes":[0,1]},' +
+      '{"name":"加溫燈具","description":"燈具","productIndexes":[2]}]}\n希望有幫助',
+      products
+    );
+
+    expect(summarize(result.categories)).toEqual([
+      ['寵物用品/烏龜曬台', [0, 1]],
+      ['加溫燈具', [2]]
+    ]);
+    expect(result.categories[0].products.map(product => product.name)).toEqual(['烏龜曬台 浮島', '巴西龜 曬背台']);
+    expect(result.reconciliation).toEqual({ missingIndexes: [], duplicateIndexes: [], outOfRangeIndexes: [] });
+  });
+
+  test('移除重複與超出範圍的索引，並回報遺漏的商品', () => {
+    const result = service.parseClassificationResult(
+      '{"categories":[{"name":"烏龜曬台","description":"曬台","productIndexes":[0,"1",1,7]}]}',
+      products
+    );
+
+    expect(summarize(result.categories)).toEqual([['烏龜曬台', [0, 1]]]);
+    expect(result.reconciliation).toEqual({ missingIndexes: [2], duplicateIndexes: [1], outOfRangeIndexes: [7] });
+  });
+
+  test('含多餘逗號的回應仍能解析', () => {
+    const result = service.parseClassificationResult(
+      '{"categories": [{"name": "烏龜曬台", "description": "曬台", "productIndexes": [0, 1],}, ' +
+      '{"name": "加溫燈具", "description": "燈具", "productIndexes": [2],},]}',
+      products
+    );
+
+    expect(summarize(result.categories)).toEqual([['烏龜曬台', [0, 1]], ['加溫燈具', [2]]]);
+    expect(result.reconciliation.missingIndexes).toEqual([]);
+  });
+
+  test('依 details 設定每個商品的信心度與理由，未提供時使用預設值', () => {
+    const result = service.parseClassificationResult(
+      '{"categories":[{"name":"烏龜用品","description":"用品","productIndexes":[0,1,2],' +
+      '"details":[{"index":0,"confidence":0.95,"reason":"曬台"},{"index":2,"confidence":0.3,"reason":"用途不明確"}]}]}',
+      products
+    );
+
+    expect(result.assignments[0]).toMatchObject({ confidence: 0.95, reason: '曬台' });
+    expect(result.assignments[1]).toMatchObject({ confidence: 0.8, reason: null });
+    expect(result.assignments[2]).toMatchObject({ confidence: 0.3, reason: '用途不明確' });
+  });
+
+  test('沒有 JSON 的回應視為所有商品都遺漏', () => {
+    const result = service.parseClassificationResult('抱歉，我無法分類這些商品', products);
+
+    expect(result.categories).toEqual([]);
+    expect(result.reconciliation.missingIndexes).toEqual([0, 1, 2]);
+  });
+});
+
+describe('SmartLLMService 降級鏈 (重播錄製回應)', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SmartLLMService();
+  });
+
+  test('以重播模式執行，停用會改變 prompt 的分類歷史、使用者修正與覆寫規則', () => {
+    expect(service.recorder.mode).toBe(RECORDING_MODES.REPLAY);
+    expect(service.categoryHistory.enabled).toBe(false);
+    expect(service.correctionStore.enabled).toBe(false);
+    expect(service.overrideRuleStore.enabled).toBe(false);
+  });
+
+  test('Ollama 失敗時降級到 Gemini', async () => {
+    const result = await service.categorizeSearchResults(fallbackToGemini.products, fallbackToGemini.query);
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('gemini');
+    expect(result.mode).toBe('gemini_classification');
+    expect(summarize(result.categories)).toEqual([
+      ['寵物用品/烏龜曬台', [0, 3]],
+      ['寵物用品/加溫燈具', [1, 4]],
+      ['寵物用品/烏龜飼料', [2, 5]]
+    ]);
+    expect(result.hierarchy.map(node => [node.name, node.totalProducts])).toEqual([['寵物用品', 6]]);
+
+    const stats = service.getStats().providers;
+    expect(stats.ollama).toMatchObject({ failureCount: 1, lastError: 'Request failed with status code 500' });
+    expect(stats.ollama.output.providerFallbacks).toBe(1);
+    expect(stats.gemini).toMatchObject({ successCount: 1, failureCount: 0 });
+    expect(service.recorder.getStats()).toMatchObject({ replayed: 2, misses: 0 });
+  });
+
+  test('所有 LLM 提供商都失敗時以關鍵字分類收尾', async () => {
+    const result = await service.categorizeSearchResults(fallbackToKeyword.products, fallbackToKeyword.query);
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('keyword');
+    expect(summarize(result.categories)).toEqual([['美妝保養/臉部保養', [0, 1, 2]]]);
+
+    const stats = service.getStats().providers;
+    expect(stats.ollama.lastError).toBe('connect ECONNREFUSED 127.0.0.1:11434');
+    expect(stats.gemini.lastError).toBe('Request failed with status code 503');
+  });
+
+  test('找不到錄製時直接失敗，不降級到其他提供商', async () => {
+    await expect(
+      service.categorizeSearchResults(fallbackToGemini.products, '沒有錄製的查詢')
+    ).rejects.toMatchObject({ code: 'LLM_RECORDING_MISS' });
+
+    expect(service.recorder.getStats().misses).toBe(1);
+    expect(service.getStats().providers.gemini).toBeUndefined();
+  });
+});